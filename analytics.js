@@ -0,0 +1,427 @@
+// The Digital Mirror - Exhibition Analytics
+// Anonymous, local-only log of how sessions go, kept in IndexedDB. No
+// transcripts, codes or images are stored and nothing is sent anywhere.
+// Staff open the statistics dashboard with Shift+D or the #stats route.
+
+import { browserClock } from './mirror-adapters.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, mirrorEventTarget, registerMirrorPlugin } from './mirror-api.js';
+
+const ANALYTICS_DB_NAME = 'digital-mirror-analytics';
+const ANALYTICS_STORE_NAME = 'events';
+
+// How much is kept: older events are deleted when the store opens, then the
+// oldest beyond the row limit
+const ANALYTICS_RETENTION = { days: 365, maxEvents: 100000 };
+
+// A repeated error (no-speech fires every few seconds in an empty room) is
+// stored at most once per interval, with the repeats in between counted
+const ANALYTICS_ERROR_INTERVAL = 60000; // ms
+
+// Local calendar day, e.g. '2024-05-31'
+function analyticsDay(time) {
+    return `${time.getFullYear()}-${String(time.getMonth() + 1).padStart(2, '0')}-${String(time.getDate()).padStart(2, '0')}`;
+}
+
+// Promise wrapper around the single IndexedDB object store
+class AnalyticsStore {
+    constructor(dbName = ANALYTICS_DB_NAME, retention = ANALYTICS_RETENTION) {
+        this.dbName = dbName;
+        this.retention = retention;
+        this.db = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(ANALYTICS_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('day', 'day');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.prune()
+                    .catch(error => console.error('Analytics pruning failed:', error))
+                    .then(() => resolve(this));
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    run(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(ANALYTICS_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(ANALYTICS_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    add(event) {
+        const time = new Date();
+        const record = {
+            time: time.toISOString(),
+            day: analyticsDay(time),
+            ...event
+        };
+        return this.run('readwrite', store => store.add(record));
+    }
+
+    // Delete events older than the retention days, then the oldest beyond maxEvents
+    async prune(now = new Date()) {
+        const { days, maxEvents } = this.retention;
+        const cutoff = analyticsDay(new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+        await this.run('readwrite', store => this.deleteFirst(store.index('day'), IDBKeyRange.upperBound(cutoff, true), Infinity));
+
+        const count = await this.run('readonly', store => store.count());
+        if (count > maxEvents) {
+            await this.run('readwrite', store => this.deleteFirst(store, null, count - maxEvents));
+            console.log(`Analytics: deleted the ${count - maxEvents} oldest events`);
+        }
+    }
+
+    // Delete up to `limit` records from the start of a store or index
+    deleteFirst(source, range, limit) {
+        let deleted = 0;
+        const request = source.openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || deleted >= limit) return;
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        return request;
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// Count items by a field; `weight` gives how many each item stands for
+function countBy(items, key, weight = () => 1) {
+    return items.reduce((counts, item) => {
+        const value = item[key] || 'unknown';
+        counts[value] = (counts[value] || 0) + weight(item);
+        return counts;
+    }, {});
+}
+
+// Aggregate raw events into totals, averages and per-day counts
+function summarizeAnalytics(events) {
+    const sessions = new Map();
+    const days = {};
+    const getDay = (day) => days[day] || (days[day] = { sessions: 0, verdicts: 0, failures: 0, accepted: 0, timeouts: 0 });
+
+    events.forEach(event => {
+        if (event.type === 'session') {
+            sessions.set(event.session, { claims: 0, challenges: 0, ending: null });
+            getDay(event.day).sessions++;
+        }
+
+        const session = sessions.get(event.session);
+        if (event.type === 'claim' && session) session.claims++;
+        if (event.type === 'challenge' && session) session.challenges++;
+        if (event.type === 'challenge' && event.result === 'timeout') getDay(event.day).timeouts++;
+        if (event.type === 'ending') {
+            if (session) session.ending = event.ending;
+            const endings = { verdict: 'verdicts', failed: 'failures', accepted: 'accepted' };
+            getDay(event.day)[endings[event.ending] || 'failures']++;
+        }
+    });
+
+    const sessionList = Array.from(sessions.values());
+    const challenges = events.filter(e => e.type === 'challenge');
+    const answered = challenges.filter(e => e.result !== 'timeout' && typeof e.timeUsed === 'number');
+    const errors = events.filter(e => e.type === 'error');
+    const occurrences = error => 1 + (error.repeats || 0);
+    const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+    return {
+        events: events.length,
+        sessions: sessionList.length,
+        verdicts: sessionList.filter(s => s.ending === 'verdict').length,
+        failures: sessionList.filter(s => s.ending === 'failed').length,
+        accepted: sessionList.filter(s => s.ending === 'accepted').length,
+        abandoned: sessionList.filter(s => !s.ending).length,
+        averageClaims: average(sessionList.map(s => s.claims)),
+        averageChallenges: average(sessionList.map(s => s.challenges)),
+        challengeResults: countBy(challenges, 'result'),
+        challengeTypes: countBy(challenges, 'challenge'),
+        averageAnswerTime: average(answered.map(e => e.timeUsed)),
+        timeoutRate: challenges.length ? (countBy(challenges, 'result').timeout || 0) / challenges.length : 0,
+        claimSources: countBy(events.filter(e => e.type === 'claim'), 'source'),
+        speechErrors: countBy(errors.filter(e => e.source === 'speech'), 'error', occurrences),
+        mediaErrors: countBy(errors.filter(e => e.source === 'media'), 'error', occurrences),
+        days
+    };
+}
+
+// Flat CSV with one column per field seen in any event
+function analyticsToCSV(events) {
+    const columns = [];
+    events.forEach(event => {
+        Object.keys(event).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(',')]
+        .concat(events.map(event => columns.map(column => escape(event[column])).join(',')))
+        .join('\n');
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Staff-facing overlay, so it is not localized. `clock` is the mirror's
+// clock adapter.
+class AnalyticsDashboard {
+    constructor(store, container = document.body, clock = browserClock) {
+        this.store = store;
+        this.clock = clock;
+        this.element = document.createElement('div');
+        this.element.className = 'analytics-dashboard';
+        this.element.style.display = 'none';
+        this.element.addEventListener('click', (event) => {
+            const action = event.target.dataset.action;
+            if (action) this.handleAction(action);
+        });
+        container.appendChild(this.element);
+    }
+
+    get isOpen() {
+        return this.element.style.display !== 'none';
+    }
+
+    async open() {
+        this.element.style.display = 'block';
+        await this.refresh();
+    }
+
+    close() {
+        this.element.style.display = 'none';
+        if (window.location.hash === '#stats') {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    toggle() {
+        return this.isOpen ? this.close() : this.open();
+    }
+
+    async handleAction(action) {
+        try {
+            switch (action) {
+                case 'close':
+                    this.close();
+                    break;
+                case 'refresh':
+                    await this.refresh();
+                    break;
+                case 'csv':
+                    this.download(analyticsToCSV(await this.store.getAll()), 'text/csv', 'csv');
+                    break;
+                case 'json':
+                    this.download(JSON.stringify(await this.store.getAll(), null, 2), 'application/json', 'json');
+                    break;
+                case 'clear':
+                    if (window.confirm('Delete all recorded visitor statistics?')) {
+                        await this.store.clear();
+                        await this.refresh();
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error(`Analytics action "${action}" failed:`, error);
+        }
+    }
+
+    download(content, type, extension) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `digital-mirror-analytics-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.clock.setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    async refresh() {
+        this.render(summarizeAnalytics(await this.store.getAll()));
+    }
+
+    render(summary) {
+        const percent = (part, whole) => whole ? `${Math.round(part * 100 / whole)}%` : '-';
+        const table = (counts) => {
+            const rows = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+            if (!rows.length) return '<p class="analytics-empty">None</p>';
+            return `<table>${rows.map(([key, count]) => `<tr><td>${escapeHTML(key)}</td><td>${count}</td></tr>`).join('')}</table>`;
+        };
+
+        const days = Object.keys(summary.days).sort().slice(-30);
+        const busiest = Math.max(1, ...days.map(day => summary.days[day].sessions));
+        const histogram = days.length ? days.map(day => {
+            const d = summary.days[day];
+            const other = Math.max(0, d.sessions - d.verdicts - d.failures - d.accepted);
+            const width = (count) => `${count * 100 / busiest}%`;
+            return `<div class="analytics-day">
+                <span class="analytics-day-label">${day}</span>
+                <span class="analytics-bar">
+                    <span class="analytics-bar-verdict" style="width: ${width(d.verdicts)}"></span><span class="analytics-bar-failed" style="width: ${width(d.failures)}"></span><span class="analytics-bar-accepted" style="width: ${width(d.accepted)}"></span><span class="analytics-bar-other" style="width: ${width(other)}"></span>
+                </span>
+                <span class="analytics-day-count">${d.sessions} (${d.timeouts} timeouts)</span>
+            </div>`;
+        }).join('') : '<p class="analytics-empty">No sessions yet</p>';
+
+        this.element.innerHTML = `
+            <div class="analytics-content">
+                <h1>EXHIBITION STATISTICS</h1>
+                <div class="analytics-summary">
+                    <div><strong>${summary.sessions}</strong> sessions</div>
+                    <div><strong>${summary.verdicts}</strong> verdicts (${percent(summary.verdicts, summary.sessions)})</div>
+                    <div><strong>${summary.failures}</strong> failures (${percent(summary.failures, summary.sessions)})</div>
+                    <div><strong>${summary.accepted}</strong> accepted (${percent(summary.accepted, summary.sessions)})</div>
+                    <div><strong>${summary.abandoned}</strong> unfinished</div>
+                    <div><strong>${summary.averageClaims.toFixed(1)}</strong> claims per session</div>
+                    <div><strong>${summary.averageChallenges.toFixed(1)}</strong> challenges per session</div>
+                    <div><strong>${percent(summary.timeoutRate, 1)}</strong> of challenges timed out</div>
+                    <div><strong>${summary.averageAnswerTime.toFixed(1)}s</strong> average answer time</div>
+                </div>
+                <h2>Sessions per day <small>(green: verdict, red: failure, white: accepted, grey: unfinished)</small></h2>
+                <div class="analytics-histogram">${histogram}</div>
+                <div class="analytics-columns">
+                    <div><h2>Challenge results</h2>${table(summary.challengeResults)}</div>
+                    <div><h2>Challenge types</h2>${table(summary.challengeTypes)}</div>
+                    <div><h2>Claim sources</h2>${table(summary.claimSources)}</div>
+                    <div><h2>Speech errors</h2>${table(summary.speechErrors)}</div>
+                    <div><h2>Camera errors</h2>${table(summary.mediaErrors)}</div>
+                </div>
+                <div class="analytics-actions">
+                    <button data-action="refresh">Refresh</button>
+                    <button data-action="csv">Export CSV</button>
+                    <button data-action="json">Export JSON</button>
+                    <button data-action="clear">Clear</button>
+                    <button data-action="close">Close</button>
+                </div>
+                <p class="analytics-footnote">${summary.events} events stored locally in this browser. Shift+D or Esc to close.</p>
+            </div>
+        `;
+    }
+}
+
+registerMirrorPlugin({
+    name: 'analytics',
+    install(mirror) {
+        const store = new AnalyticsStore();
+        const opened = store.open();
+        let ready = false;
+        let session = null;
+        let timeLimit = 0;
+        const lastErrors = new Map(); // 'source:error' -> { time, repeats }
+        const unsubscribers = [];
+
+        // Events before the database is open wait for it
+        const record = (type, fields = {}) => {
+            const event = { type, session, ...fields };
+            opened
+                .then(() => store.add(event))
+                .catch(error => {
+                    if (ready) console.error('Analytics event not stored:', error);
+                });
+        };
+        const on = (event, listener) => unsubscribers.push(mirror.on(event, listener));
+
+        on(MIRROR_EVENTS.STATE_CHANGE, ({ from, to }) => {
+            if (to === SESSION_STATES.LISTENING && from === SESSION_STATES.IDLE) {
+                // Random per-session id, only used to group events
+                session = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+                record('session');
+            }
+        });
+        on(MIRROR_EVENTS.CLAIM_DETECTED, ({ accepted, source, level }) => {
+            if (accepted) record('claim', { source, level });
+        });
+        on(MIRROR_EVENTS.CHALLENGE_STARTED, detail => {
+            timeLimit = detail.timeLimit;
+        });
+        on(MIRROR_EVENTS.CHALLENGE_RESULT, ({ level, type, result, timeRemaining }) => {
+            record('challenge', {
+                level,
+                challenge: type,
+                result,
+                timeUsed: Math.round((timeLimit - timeRemaining) * 10) / 10
+            });
+        });
+        on(MIRROR_EVENTS.VERDICT, ({ ending, level, humanity }) => record('ending', { ending, level, humanity }));
+        on(MIRROR_EVENTS.ERROR, ({ source, error }) => {
+            const key = `${source}:${error}`;
+            const now = mirror.clock.now();
+            const last = lastErrors.get(key);
+            if (last && now - last.time < ANALYTICS_ERROR_INTERVAL) {
+                last.repeats++;
+                return;
+            }
+            record('error', last && last.repeats ? { source, error, repeats: last.repeats } : { source, error });
+            lastErrors.set(key, { time: now, repeats: 0 });
+        });
+
+        const dashboard = new AnalyticsDashboard(store, mirror.container, mirror.clock);
+        const onKeyDown = (event) => {
+            if (!ready || !mirror.ownsEvent(event)) return;
+            if (event.shiftKey && event.key.toLowerCase() === 'd' && mirrorEventTarget(event).tagName !== 'INPUT') {
+                event.preventDefault();
+                dashboard.toggle();
+            } else if (event.key === 'Escape' && dashboard.isOpen) {
+                dashboard.close();
+            }
+        };
+        const onHashChange = () => {
+            if (ready && window.location.hash === '#stats') dashboard.open();
+        };
+        document.addEventListener('keydown', onKeyDown);
+        window.addEventListener('hashchange', onHashChange);
+
+        opened
+            .then(() => {
+                ready = true;
+                onHashChange();
+            })
+            .catch(error => console.error('Analytics disabled:', error));
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            document.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('hashchange', onHashChange);
+            dashboard.element.remove();
+            store.close();
+        };
+    }
+});
+
+export { AnalyticsStore };
@@ -0,0 +1,173 @@
+// The Digital Mirror - Seven-Segment CAPTCHA Bitmap
+// DOM-independent generator and reference solver for the seven-segment
+// challenge. Works on plain RGBA Uint8ClampedArray buffers, so the same code
+// draws into a canvas ImageData in the browser and runs headless in Node.
+//
+// Segments are indexed a-g:
+//    aaa
+//   f   b
+//    ggg
+//   e   c
+//    ddd
+
+// Seven-segment digit patterns for machine-readable encoding (a,b,c,d,e,f,g)
+const SEVEN_SEGMENT_PATTERNS = {
+    '0': [1,1,1,1,1,1,0],
+    '1': [0,1,1,0,0,0,0],
+    '2': [1,1,0,1,1,0,1],
+    '3': [1,1,1,1,0,0,1],
+    '4': [0,1,1,0,0,1,1],
+    '5': [1,0,1,1,0,1,1],
+    '6': [1,0,1,1,1,1,1],
+    '7': [1,1,1,0,0,0,0],
+    '8': [1,1,1,1,1,1,1],
+    '9': [1,1,1,1,0,1,1]
+};
+
+// Blue value that marks a code pixel; the background never reaches it
+const CODE_PIXEL_BLUE = 255;
+
+function getSevenSegmentPattern(digit) {
+    return SEVEN_SEGMENT_PATTERNS[digit] || [0,0,0,0,0,0,0];
+}
+
+// Fill with near-white background, `contrast` below the blue-255 code pixels.
+// Noise only ever darkens, so code pixels stay the only blue-255 pixels.
+function fillNearWhiteBackground(data, settings, random = Math.random) {
+    const background = 255 - settings.contrast;
+    for (let i = 0; i < data.length; i += 4) {
+        const noise = settings.noise ? Math.round((random() - 0.5) * 2 * settings.noise) : 0;
+        data[i] = Math.min(254, background + noise);     // Red
+        data[i + 1] = Math.min(254, background + noise); // Green
+        data[i + 2] = Math.min(254, background + noise); // Blue
+        data[i + 3] = 255; // Alpha
+    }
+}
+
+// Segment endpoints (a,b,c,d,e,f,g) for a digit cell
+function getSevenSegmentGeometry(startX, startY, digitWidth, digitHeight) {
+    const centerX = startX + digitWidth / 2;
+    const centerY = startY + digitHeight / 2;
+    const half = Math.min(digitWidth, digitHeight) * 0.3 / 2;
+
+    return [
+        { x1: centerX - half, y1: centerY - half, x2: centerX + half, y2: centerY - half }, // a (top)
+        { x1: centerX + half, y1: centerY - half, x2: centerX + half, y2: centerY },        // b (top-right)
+        { x1: centerX + half, y1: centerY, x2: centerX + half, y2: centerY + half },        // c (bottom-right)
+        { x1: centerX - half, y1: centerY + half, x2: centerX + half, y2: centerY + half }, // d (bottom)
+        { x1: centerX - half, y1: centerY, x2: centerX - half, y2: centerY + half },        // e (bottom-left)
+        { x1: centerX - half, y1: centerY - half, x2: centerX - half, y2: centerY },        // f (top-left)
+        { x1: centerX - half, y1: centerY, x2: centerX + half, y2: centerY }                // g (middle)
+    ];
+}
+
+// Draw a single segment line as code pixels
+function drawSegment(data, width, segment, thickness) {
+    const { x1, y1, x2, y2 } = segment;
+    const height = data.length / (4 * width);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const steps = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dy * dy)));
+
+    for (let i = 0; i <= steps; i++) {
+        const x = Math.round(x1 + dx * i / steps);
+        const y = Math.round(y1 + dy * i / steps);
+
+        // Draw thickness around the point
+        for (let ox = -thickness; ox <= thickness; ox++) {
+            for (let oy = -thickness; oy <= thickness; oy++) {
+                const px = x + ox;
+                const py = y + oy;
+                if (px >= 0 && px < width && py >= 0 && py < height) {
+                    data[(py * width + px) * 4 + 2] = CODE_PIXEL_BLUE;
+                }
+            }
+        }
+    }
+}
+
+function drawSevenSegmentDigit(data, width, startX, startY, digitWidth, digitHeight, pattern, thickness) {
+    const segments = getSevenSegmentGeometry(startX, startY, digitWidth, digitHeight);
+    pattern.forEach((on, i) => {
+        if (on === 1) {
+            drawSegment(data, width, segments[i], thickness);
+        }
+    });
+}
+
+// Render a code into an RGBA buffer (a new one unless `data` is given)
+function createSevenSegmentBitmap(code, width, height, settings, data = null, random = Math.random) {
+    const pixels = data || new Uint8ClampedArray(width * height * 4);
+    fillNearWhiteBackground(pixels, settings, random);
+
+    const digitWidth = Math.floor(width / code.length);
+    for (let i = 0; i < code.length; i++) {
+        drawSevenSegmentDigit(pixels, width, i * digitWidth, 0, digitWidth, height, getSevenSegmentPattern(code[i]), settings.thickness);
+    }
+    return pixels;
+}
+
+// Read the segments of one digit cell by sampling each segment's midpoint
+function readSevenSegmentPattern(data, width, startX, startY, digitWidth, digitHeight) {
+    return getSevenSegmentGeometry(startX, startY, digitWidth, digitHeight).map(segment => {
+        const x = Math.round((segment.x1 + segment.x2) / 2);
+        const y = Math.round((segment.y1 + segment.y2) / 2);
+        return data[(y * width + x) * 4 + 2] === CODE_PIXEL_BLUE ? 1 : 0;
+    });
+}
+
+// The digit whose pattern matches exactly, or null
+function matchSevenSegmentPattern(pattern) {
+    const key = pattern.join('');
+    const digit = Object.keys(SEVEN_SEGMENT_PATTERNS).find(d => SEVEN_SEGMENT_PATTERNS[d].join('') === key);
+    return digit === undefined ? null : digit;
+}
+
+// Reference solver: read a bitmap back into its code. Unreadable digits
+// become '?' and are listed in `unreadable`.
+function decodeSevenSegmentBitmap(data, width, height, length) {
+    const digitWidth = Math.floor(width / length);
+    const digits = [];
+    const unreadable = [];
+
+    for (let i = 0; i < length; i++) {
+        const pattern = readSevenSegmentPattern(data, width, i * digitWidth, 0, digitWidth, height);
+        const digit = matchSevenSegmentPattern(pattern);
+        if (digit === null) {
+            unreadable.push({ index: i, pattern });
+        }
+        digits.push(digit === null ? '?' : digit);
+    }
+
+    return { code: digits.join(''), unreadable };
+}
+
+// Digits that would not survive a round trip at this size and stroke width,
+// e.g. when thick strokes of b/c, e/f and g bleed into each other's midpoints.
+// Returns [{ digit, decodedAs, pattern }]; empty when every digit is readable.
+function findAmbiguousSevenSegmentDigits(width, height, length, thickness) {
+    const digitWidth = Math.floor(width / length);
+    const settings = { contrast: 1, noise: 0, thickness };
+    const ambiguous = [];
+
+    Object.keys(SEVEN_SEGMENT_PATTERNS).forEach(digit => {
+        const data = createSevenSegmentBitmap(digit, digitWidth, height, settings);
+        const pattern = readSevenSegmentPattern(data, digitWidth, 0, 0, digitWidth, height);
+        const decodedAs = matchSevenSegmentPattern(pattern);
+        if (decodedAs !== digit) {
+            ambiguous.push({ digit, decodedAs, pattern });
+        }
+    });
+
+    return ambiguous;
+}
+
+export {
+    SEVEN_SEGMENT_PATTERNS,
+    CODE_PIXEL_BLUE,
+    getSevenSegmentPattern,
+    fillNearWhiteBackground,
+    createSevenSegmentBitmap,
+    decodeSevenSegmentBitmap,
+    findAmbiguousSevenSegmentDigits
+};
@@ -0,0 +1,189 @@
+// The Digital Mirror - CAPTCHA Difficulty Curve
+// One configuration object describes every level of the reverse CAPTCHA:
+// how many digits, how long the visitor has, and how hidden the code is.
+//
+// A config either lists its levels explicitly:
+//   { "levels": [ { "codeLength": 8, "timeLimit": 5, ... }, ... ] }
+// or describes a curve that is expanded into levels:
+//   { "levelCount": 5, "base": { "timeLimit": 5, ... }, "step": { "timeLimit": 2 } }
+//
+// Challenge types (see challenges.js) come from "rotation": level n uses
+// rotation[(n - 1) % rotation.length] unless the level names its own "challenge".
+
+import { findAmbiguousSevenSegmentDigits } from './captcha-bitmap.js';
+import { captchaChallenges } from './challenges.js';
+
+// Limits for each per-level setting
+const CAPTCHA_SETTING_LIMITS = {
+    codeLength: { min: 1, max: 16 },    // Digits in the hidden code
+    timeLimit: { min: 0.5, max: 120 },  // Seconds to answer
+    contrast: { min: 1, max: 254 },     // Blue-channel gap between code and background
+    thickness: { min: 1, max: 6 },      // Seven-segment stroke half-width in pixels
+    noise: { min: 0, max: 254 }         // Random background variation
+};
+
+// Size of the CAPTCHA canvas in the mirror's markup (digital-mirror-element.js)
+const CAPTCHA_CANVAS_SIZE = { width: 400, height: 100 };
+
+// The original curve: 8 digits, 5s plus 2s per level, (254,254,254) against blue 255
+const DEFAULT_CAPTCHA_CONFIG = {
+    name: 'Default',
+    levelCount: 5,
+    base: { codeLength: 8, timeLimit: 5, contrast: 1, thickness: 2, noise: 0 },
+    step: { timeLimit: 2 },
+    rotation: ['sevenSegment']
+};
+
+// Check a list of challenge type names against the registry
+function parseChallengeRotation(rotation) {
+    const names = Array.isArray(rotation) ? rotation : DEFAULT_CAPTCHA_CONFIG.rotation;
+    if (names.length === 0) {
+        throw new Error('CAPTCHA rotation must name at least one challenge type');
+    }
+    names.forEach(name => {
+        if (!captchaChallenges.has(name)) {
+            throw new Error(`Unknown CAPTCHA challenge type "${name}" (known: ${captchaChallenges.list().join(', ')})`);
+        }
+    });
+    return names.slice();
+}
+
+// Thickest stroke, up to `thickness`, at which the reference solver reads
+// every digit back; null when even the thinnest stroke is unreadable
+function readableSevenSegmentThickness(codeLength, thickness, canvasSize = CAPTCHA_CANVAS_SIZE) {
+    for (let candidate = thickness; candidate >= CAPTCHA_SETTING_LIMITS.thickness.min; candidate--) {
+        if (findAmbiguousSevenSegmentDigits(canvasSize.width, canvasSize.height, codeLength, candidate).length === 0) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// Validate a config (parsed JSON or object) into { name, levels: [...] }.
+// Seven-segment levels whose strokes would merge at `canvasSize` get the
+// thickest stroke that still reads back, so the code stays machine-readable.
+function parseCaptchaConfig(config, canvasSize = CAPTCHA_CANVAS_SIZE) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('CAPTCHA config must be an object');
+    }
+
+    let levels = config.levels;
+    if (!Array.isArray(levels)) {
+        const count = Math.round(Number(config.levelCount));
+        if (!count || count < 1) {
+            throw new Error('CAPTCHA config needs a "levels" array or a "levelCount"');
+        }
+
+        const base = { ...DEFAULT_CAPTCHA_CONFIG.base, ...(config.base || {}) };
+        const step = config.step || {};
+        levels = Array.from({ length: count }, (_, i) => {
+            const level = {};
+            Object.keys(CAPTCHA_SETTING_LIMITS).forEach(key => {
+                level[key] = Number(base[key]) + Number(step[key] || 0) * i;
+            });
+            return level;
+        });
+    }
+
+    if (levels.length === 0) {
+        throw new Error('CAPTCHA config must define at least one level');
+    }
+
+    const rotation = parseChallengeRotation(config.rotation);
+
+    return {
+        name: config.name || 'Untitled curve',
+        levels: levels.map((level, index) => {
+            const resolved = {};
+            Object.entries(CAPTCHA_SETTING_LIMITS).forEach(([key, limits]) => {
+                const value = level[key] !== undefined ? Number(level[key]) : DEFAULT_CAPTCHA_CONFIG.base[key];
+                if (Number.isNaN(value)) {
+                    throw new Error(`CAPTCHA level ${index + 1}: "${key}" must be a number`);
+                }
+                resolved[key] = Math.min(limits.max, Math.max(limits.min, value));
+            });
+            // Digit counts and pixel sizes are whole numbers
+            resolved.codeLength = Math.round(resolved.codeLength);
+            resolved.contrast = Math.round(resolved.contrast);
+            resolved.thickness = Math.round(resolved.thickness);
+            resolved.noise = Math.round(resolved.noise);
+            resolved.challenge = level.challenge !== undefined
+                ? parseChallengeRotation([level.challenge])[0]
+                : rotation[index % rotation.length];
+
+            if (resolved.challenge === 'sevenSegment') {
+                const thickness = readableSevenSegmentThickness(resolved.codeLength, resolved.thickness, canvasSize);
+                if (thickness === null) {
+                    throw new Error(`CAPTCHA level ${index + 1}: ${resolved.codeLength} seven-segment digits do not fit a ${canvasSize.width}x${canvasSize.height} canvas`);
+                }
+                if (thickness < resolved.thickness) {
+                    console.warn(`CAPTCHA level ${index + 1}: thickness ${resolved.thickness} merges the strokes of ${resolved.codeLength} digits, using ${thickness}`);
+                    resolved.thickness = thickness;
+                }
+            }
+            return resolved;
+        })
+    };
+}
+
+// Quick per-venue overrides from the URL, applied to the default curve:
+// ?captchaLevels=3&codeLength=6&captchaTime=8&captchaTimeStep=3&contrast=4&thickness=3&noise=2
+// &challenges=sevenSegment,lsb,hexPixel
+function captchaConfigFromParams(params) {
+    const read = (name) => {
+        const value = parseFloat(params.get(name));
+        return Number.isNaN(value) ? undefined : value;
+    };
+
+    const overrides = {
+        levelCount: read('captchaLevels'),
+        base: {
+            codeLength: read('codeLength'),
+            timeLimit: read('captchaTime'),
+            contrast: read('contrast'),
+            thickness: read('thickness'),
+            noise: read('noise')
+        },
+        step: { timeLimit: read('captchaTimeStep') },
+        rotation: params.get('challenges') ? params.get('challenges').split(',').map(s => s.trim()).filter(Boolean) : undefined
+    };
+
+    const hasOverrides = overrides.levelCount !== undefined || overrides.rotation !== undefined ||
+        Object.values(overrides.base).some(v => v !== undefined) ||
+        overrides.step.timeLimit !== undefined;
+    if (!hasOverrides) return null;
+
+    const merge = (defaults, values) => {
+        const merged = { ...defaults };
+        Object.entries(values).forEach(([key, value]) => {
+            if (value !== undefined) merged[key] = value;
+        });
+        return merged;
+    };
+
+    return {
+        name: 'URL overrides',
+        levelCount: overrides.levelCount || DEFAULT_CAPTCHA_CONFIG.levelCount,
+        base: merge(DEFAULT_CAPTCHA_CONFIG.base, overrides.base),
+        step: merge(DEFAULT_CAPTCHA_CONFIG.step, overrides.step),
+        rotation: overrides.rotation || DEFAULT_CAPTCHA_CONFIG.rotation
+    };
+}
+
+// Fetch a config JSON file (e.g. ?captcha=curves/gentle.json)
+async function loadCaptchaConfigFromURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load CAPTCHA config ${url}: ${response.status}`);
+    }
+    return parseCaptchaConfig(await response.json());
+}
+
+export {
+    CAPTCHA_SETTING_LIMITS,
+    CAPTCHA_CANVAS_SIZE,
+    DEFAULT_CAPTCHA_CONFIG,
+    parseCaptchaConfig,
+    captchaConfigFromParams,
+    loadCaptchaConfigFromURL
+};
@@ -0,0 +1,428 @@
+// The Digital Mirror - Reverse CAPTCHA Challenges
+// Challenge generators that are trivial for a machine but hard for a human.
+// Each renders into #captcha-canvas and validates its own answer.
+
+import { CODE_PIXEL_BLUE, fillNearWhiteBackground, createSevenSegmentBitmap } from './captcha-bitmap.js';
+
+// Registry of challenge types. A type's create(canvas, settings, environment)
+// returns:
+// { answer, instruction: { key, params }, placeholder: { key, params },
+//   maxLength, validate(input), stop() }
+// and optionally replay() (audio challenges) and timeBonus (seconds added to
+// the time limit, e.g. for playback). `environment` is { lang, reducedMotion }.
+// A type may also define available(), false where the browser cannot present it.
+class CaptchaChallengeRegistry {
+    constructor() {
+        this.challenges = new Map();
+    }
+
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('CAPTCHA challenge needs a name');
+        }
+        if (typeof definition.create !== 'function') {
+            throw new Error(`CAPTCHA challenge "${definition.name}" needs a create() function`);
+        }
+        this.challenges.set(definition.name, definition);
+        return this;
+    }
+
+    get(name) {
+        return this.challenges.get(name);
+    }
+
+    has(name) {
+        return this.challenges.has(name);
+    }
+
+    available(name) {
+        const definition = this.challenges.get(name);
+        return Boolean(definition) && (!definition.available || definition.available());
+    }
+
+    list() {
+        return Array.from(this.challenges.keys());
+    }
+}
+
+const captchaChallenges = new CaptchaChallengeRegistry();
+
+function randomDigits(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += Math.floor(Math.random() * 10).toString();
+    }
+    return code;
+}
+
+// Validator for answers that must match exactly (ignoring surrounding spaces)
+function exactAnswer(answer) {
+    return (input) => input.trim() === answer;
+}
+
+// Mark a filled rectangle of code pixels (blue channel 255)
+function fillCodeRect(data, width, height, x, y, rectWidth, rectHeight) {
+    for (let py = Math.max(0, y); py < Math.min(height, y + rectHeight); py++) {
+        for (let px = Math.max(0, x); px < Math.min(width, x + rectWidth); px++) {
+            data[(py * width + px) * 4 + 2] = CODE_PIXEL_BLUE;
+        }
+    }
+}
+
+// Near-invisible seven-segment digits in the blue channel
+captchaChallenges.register({
+    name: 'sevenSegment',
+    create(canvas, settings) {
+        const answer = randomDigits(settings.codeLength);
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const imageData = ctx.createImageData(width, height);
+
+        createSevenSegmentBitmap(answer, width, height, settings, imageData.data);
+
+        ctx.putImageData(imageData, 0, 0);
+
+        return {
+            answer,
+            instruction: { key: 'captchaInstruction', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            validate: exactAnswer(answer),
+            stop() {}
+        };
+    }
+});
+
+// Digits as 4-bit values in the least significant bit of the blue channel,
+// read left to right, top to bottom, under an ordinary-looking noisy image
+captchaChallenges.register({
+    name: 'lsb',
+    create(canvas, settings) {
+        const answer = randomDigits(settings.codeLength);
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+        const phase = Math.random() * Math.PI * 2;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const wave = Math.sin(x / 17 + phase) * Math.cos(y / 11 - phase);
+                const grain = (Math.random() - 0.5) * (8 + settings.noise);
+                data[i] = 120 + wave * 60 + grain;
+                data[i + 1] = 90 + wave * 40 + grain;
+                data[i + 2] = 160 - wave * 50 + grain;
+                data[i + 3] = 255;
+            }
+        }
+
+        const bits = Array.from(answer).flatMap(digit => (
+            Number(digit).toString(2).padStart(4, '0').split('').map(Number)
+        ));
+        bits.forEach((bit, pixel) => {
+            const i = pixel * 4 + 2;
+            data[i] = (data[i] & 0xfe) | bit;
+        });
+
+        ctx.putImageData(imageData, 0, 0);
+
+        return {
+            answer,
+            instruction: { key: 'challengeLsb', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            validate: exactAnswer(answer),
+            stop() {}
+        };
+    }
+});
+
+// Dense grid of random cells; the answer is the sum of their red values
+captchaChallenges.register({
+    name: 'pixelChecksum',
+    create(canvas, settings) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const cellSize = Math.max(2, 12 - settings.thickness * 2);
+        const cols = Math.floor(width / cellSize);
+        const rows = Math.floor(height / cellSize);
+        const modulus = Math.pow(10, Math.min(6, settings.codeLength));
+
+        let sum = 0;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const red = Math.floor(Math.random() * 256);
+                const green = Math.floor(Math.random() * 256);
+                const blue = Math.floor(Math.random() * 256);
+                sum += red;
+                ctx.fillStyle = `rgb(${red}, ${green}, ${blue})`;
+                ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+            }
+        }
+
+        // Zero-padded to the width the placeholder asks for, e.g. '004217'
+        const digits = String(modulus - 1).length;
+        const answer = String(sum % modulus).padStart(digits, '0');
+        return {
+            answer,
+            instruction: { key: 'challengeChecksum', params: { cells: cols * rows, modulus } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            // Leading zeros may be left out: the answer is a number
+            validate: (input) => /^\d+$/.test(input.trim()) && Number(input.trim()) === Number(answer),
+            stop() {}
+        };
+    }
+});
+
+// One pixel in a field of near-identical colours; the answer is its hex value
+captchaChallenges.register({
+    name: 'hexPixel',
+    create(canvas, settings) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+        const base = [0, 1, 2].map(() => 40 + Math.floor(Math.random() * 176));
+        const spread = Math.max(4, settings.noise + settings.contrast * 2);
+
+        for (let i = 0; i < data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                data[i + c] = base[c] + Math.round((Math.random() - 0.5) * spread);
+            }
+            data[i + 3] = 255;
+        }
+
+        const x = Math.floor(Math.random() * width);
+        const y = Math.floor(Math.random() * height);
+        const i = (y * width + x) * 4;
+        const answer = [data[i], data[i + 1], data[i + 2]]
+            .map(value => value.toString(16).padStart(2, '0'))
+            .join('');
+
+        ctx.putImageData(imageData, 0, 0);
+
+        return {
+            answer,
+            instruction: { key: 'challengeHexPixel', params: { x, y } },
+            placeholder: { key: 'captchaPlaceholderHex', params: {} },
+            maxLength: 7,
+            validate: (input) => input.trim().replace(/^#/, '').toLowerCase() === answer,
+            stop() {}
+        };
+    }
+});
+
+// Draw a strip of bars, each { width, gap } in units, scaled to fit the canvas
+function drawBarStrip(canvas, settings, bars) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const imageData = ctx.createImageData(width, height);
+    const data = imageData.data;
+
+    fillNearWhiteBackground(data, settings);
+
+    const totalUnits = bars.reduce((sum, bar) => sum + bar.width + bar.gap, 0);
+    const unit = Math.max(1, Math.floor(width / totalUnits));
+    const barHeight = Math.round(height * 0.6);
+    const top = Math.round((height - barHeight) / 2);
+    let x = Math.max(0, Math.floor((width - totalUnits * unit) / 2));
+
+    bars.forEach(bar => {
+        fillCodeRect(data, width, height, x, top, bar.width * unit, barHeight);
+        x += (bar.width + bar.gap) * unit;
+    });
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+// Each digit as 4 bits: thin bar = 0, thick bar = 1
+captchaChallenges.register({
+    name: 'binaryBarcode',
+    create(canvas, settings) {
+        const answer = randomDigits(settings.codeLength);
+        const bars = [];
+        Array.from(answer).forEach(digit => {
+            const bits = Number(digit).toString(2).padStart(4, '0');
+            Array.from(bits).forEach((bit, index) => {
+                bars.push({ width: bit === '1' ? 3 : 1, gap: index === 3 ? 4 : 1 });
+            });
+        });
+
+        drawBarStrip(canvas, settings, bars);
+
+        return {
+            answer,
+            instruction: { key: 'challengeBinary', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            validate: exactAnswer(answer),
+            stop() {}
+        };
+    }
+});
+
+const MORSE_DIGITS = {
+    '0': '-----', '1': '.----', '2': '..---', '3': '...--', '4': '....-',
+    '5': '.....', '6': '-....', '7': '--...', '8': '---..', '9': '----.'
+};
+
+// Each digit in Morse: dot = 1 unit, dash = 3 units, 3-unit gap between digits
+captchaChallenges.register({
+    name: 'morseBarcode',
+    create(canvas, settings) {
+        const answer = randomDigits(settings.codeLength);
+        const bars = [];
+        Array.from(answer).forEach(digit => {
+            const symbols = MORSE_DIGITS[digit];
+            Array.from(symbols).forEach((symbol, index) => {
+                bars.push({ width: symbol === '-' ? 3 : 1, gap: index === symbols.length - 1 ? 3 : 1 });
+            });
+        });
+
+        drawBarStrip(canvas, settings, bars);
+
+        return {
+            answer,
+            instruction: { key: 'challengeMorse', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            validate: exactAnswer(answer),
+            stop() {}
+        };
+    }
+});
+
+// Digits flashed one per couple of frames, looping with a pause between runs
+captchaChallenges.register({
+    name: 'flashSequence',
+    create(canvas, settings) {
+        const answer = randomDigits(settings.codeLength);
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const background = 255 - settings.contrast;
+        const digitDuration = 33; // ms, about two frames at 60 fps
+        const loopPause = 700;
+        const cycle = answer.length * digitDuration * 2 + loopPause;
+        let frameId = null;
+        let start = null;
+
+        const draw = (timestamp) => {
+            if (start === null) start = timestamp;
+            const t = (timestamp - start) % cycle;
+            const slot = Math.floor(t / digitDuration);
+
+            ctx.fillStyle = `rgb(${background}, ${background}, ${background})`;
+            ctx.fillRect(0, 0, width, height);
+
+            // Even slots show a digit, odd slots are blank
+            if (slot % 2 === 0 && slot / 2 < answer.length) {
+                ctx.fillStyle = `rgb(${background}, ${background}, 255)`;
+                ctx.font = `bold ${Math.round(height * 0.8)}px 'Courier New', monospace`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(answer[slot / 2], width / 2, height / 2);
+            }
+
+            frameId = requestAnimationFrame(draw);
+        };
+        frameId = requestAnimationFrame(draw);
+
+        return {
+            answer,
+            instruction: { key: 'challengeFlash', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            validate: exactAnswer(answer),
+            stop() {
+                if (frameId) cancelAnimationFrame(frameId);
+                frameId = null;
+            }
+        };
+    }
+});
+
+// What the browser can play the digits with
+function audioDigitsOutput() {
+    return {
+        synth: typeof speechSynthesis !== 'undefined' ? speechSynthesis : null,
+        AudioContext: window.AudioContext || window.webkitAudioContext || null
+    };
+}
+
+// Spoken digits for visitors who cannot see the screen: fast, flat and
+// machine-paced. Falls back to beeps (one per unit, ten for 0) without
+// speech synthesis; unavailable without Web Audio either.
+captchaChallenges.register({
+    name: 'audioDigits',
+    available() {
+        const { synth, AudioContext } = audioDigitsOutput();
+        return Boolean(synth || AudioContext);
+    },
+    create(canvas, settings, environment = {}) {
+        const answer = randomDigits(settings.codeLength);
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const { synth, AudioContext } = audioDigitsOutput();
+        let audioContext = null;
+
+        // A silent waveform, so sighted visitors see that something is playing
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#00ff00';
+        const bars = 48;
+        for (let i = 0; i < bars; i++) {
+            const barHeight = height * (0.15 + 0.7 * Math.abs(Math.sin(i * 1.7 + Number(answer[i % answer.length]))));
+            ctx.fillRect(i * width / bars + 1, (height - barHeight) / 2, width / bars - 2, barHeight);
+        }
+
+        const speak = () => {
+            synth.cancel();
+            const utterance = new SpeechSynthesisUtterance(Array.from(answer).join(', '));
+            utterance.lang = environment.lang || 'en-US';
+            utterance.rate = 1.6;
+            utterance.pitch = 0.4;
+            synth.speak(utterance);
+        };
+
+        const beep = () => {
+            if (!AudioContext) return;
+            if (audioContext) audioContext.close();
+            audioContext = new AudioContext();
+            let time = audioContext.currentTime + 0.2;
+            Array.from(answer).forEach(digit => {
+                const count = digit === '0' ? 10 : Number(digit);
+                for (let i = 0; i < count; i++) {
+                    const oscillator = audioContext.createOscillator();
+                    oscillator.frequency.value = 880;
+                    oscillator.connect(audioContext.destination);
+                    oscillator.start(time);
+                    oscillator.stop(time + 0.06);
+                    time += 0.12;
+                }
+                time += 0.6;
+            });
+        };
+
+        const play = synth ? speak : beep;
+        play();
+
+        return {
+            answer,
+            instruction: { key: synth ? 'challengeAudio' : 'challengeBeeps', params: { length: answer.length } },
+            placeholder: { key: 'captchaPlaceholder', params: { length: answer.length } },
+            maxLength: answer.length,
+            timeBonus: synth ? answer.length * 0.4 + 1 : answer.length * 1.5 + 1,
+            validate: exactAnswer(answer),
+            replay: play,
+            stop() {
+                if (synth) synth.cancel();
+                if (audioContext) audioContext.close();
+                audioContext = null;
+            }
+        };
+    }
+});
+
+export { captchaChallenges };
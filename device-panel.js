@@ -0,0 +1,247 @@
+// The Digital Mirror - Device Panel
+// Staff settings for the camera, microphone, resolution, frame rate and
+// mirroring (see device-settings.js). Shift+S or the #devices route opens it;
+// every change applies at once, without a reload, and is remembered in this
+// browser. Staff-facing, so it is not localized.
+
+import { usesRecordedSound } from './media-sources.js';
+import { DEVICE_RESOLUTIONS, DEVICE_FRAME_RATES, findMediaDevice, deviceSettingsQuery } from './device-settings.js';
+import { SESSION_STATES } from './session-state.js';
+import { mirrorEventTarget, registerMirrorPlugin } from './mirror-api.js';
+
+class DevicePanel {
+    constructor(mirror) {
+        this.mirror = mirror;
+        this.devices = [];
+        this.returnFocus = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'device-panel';
+        this.element.style.display = 'none';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-labelledby', 'device-panel-title');
+        this.element.innerHTML = `
+            <div class="device-panel-content">
+                <h1 id="device-panel-title">DEVICES</h1>
+                <label>Camera <select data-setting="camera"></select></label>
+                <label>Microphone <select data-setting="microphone"></select></label>
+                <label>Resolution <select data-setting="resolution"></select></label>
+                <label>Frame rate <select data-setting="frameRate"></select></label>
+                <label class="device-panel-check"><input type="checkbox" data-setting="mirrored"> Mirror the picture</label>
+                <p class="device-panel-status" role="status"></p>
+                <p class="device-panel-url"></p>
+                <div class="device-panel-actions">
+                    <button data-action="refresh">Refresh devices</button>
+                    <button data-action="close">Close</button>
+                </div>
+                <p class="device-panel-footnote">Changes apply immediately and are remembered in this browser. Shift+S or Esc to close.</p>
+            </div>
+        `;
+        this.controls = {};
+        this.element.querySelectorAll('[data-setting]').forEach(control => {
+            this.controls[control.dataset.setting] = control;
+        });
+        this.status = this.element.querySelector('.device-panel-status');
+        this.url = this.element.querySelector('.device-panel-url');
+
+        this.element.addEventListener('change', (event) => {
+            const setting = event.target.dataset.setting;
+            if (setting) this.handleChange(setting, event.target);
+        });
+        this.element.addEventListener('click', (event) => {
+            const action = event.target.dataset.action;
+            if (action === 'close') this.close();
+            if (action === 'refresh') this.refresh();
+        });
+        // Keep Tab inside the panel rather than the mirror screen behind it
+        this.element.addEventListener('keydown', (event) => this.trapFocus(event));
+        mirror.container.appendChild(this.element);
+    }
+
+    get isOpen() {
+        return this.element.style.display !== 'none';
+    }
+
+    async open() {
+        this.returnFocus = this.mirror.root.activeElement;
+        this.element.style.display = 'block';
+        this.status.textContent = '';
+        await this.refresh();
+        this.controls.camera.focus();
+    }
+
+    close() {
+        this.element.style.display = 'none';
+        if (window.location.hash === '#devices') {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+    }
+
+    toggle() {
+        return this.isOpen ? this.close() : this.open();
+    }
+
+    async refresh() {
+        this.devices = await this.mirror.listMediaDevices();
+        this.render();
+    }
+
+    render() {
+        const settings = this.mirror.deviceSettings;
+        const source = this.mirror.mediaSource;
+
+        this.fillDevices(this.controls.camera, 'videoinput', 'Camera', settings.camera, settings.cameraLabel);
+        this.fillDevices(this.controls.microphone, 'audioinput', 'Microphone', settings.microphone, settings.microphoneLabel);
+        this.fillOptions(this.controls.resolution, DEVICE_RESOLUTIONS.map(value => [value, value]), settings.resolution);
+        this.fillOptions(this.controls.frameRate,
+            [['', 'Camera default'], ...DEVICE_FRAME_RATES.map(rate => [String(rate), `${rate} fps`])],
+            settings.frameRate ? String(settings.frameRate) : '');
+        this.controls.mirrored.checked = settings.mirrored;
+
+        // Files and generated pictures have no devices to choose
+        const liveCamera = source.type === 'webcam';
+        const liveMicrophone = !usesRecordedSound(source);
+        ['camera', 'resolution', 'frameRate'].forEach(key => {
+            this.controls[key].disabled = !liveCamera;
+        });
+        this.controls.microphone.disabled = !liveMicrophone;
+        if (!liveCamera || !liveMicrophone) {
+            this.status.textContent = `Media source: ${source.type}${source.audioUrl ? ' with an audio file' : ''}. Its devices are not switched.`;
+        }
+
+        const query = deviceSettingsQuery(settings);
+        this.url.textContent = query ? `Kiosk URL parameters: ?${query}` : '';
+    }
+
+    // Devices without labels (access not granted yet) get numbered names
+    fillDevices(select, kind, name, wanted, label) {
+        const devices = this.devices.filter(device => device.kind === kind && device.deviceId);
+        const options = [['', `Default ${name.toLowerCase()}`]].concat(devices.map((device, index) => [
+            device.deviceId,
+            device.label || `${name} ${index + 1}`
+        ]));
+
+        let selected = '';
+        if (wanted) {
+            const match = findMediaDevice(this.devices, kind, wanted, label);
+            if (match) {
+                selected = match.deviceId;
+            } else {
+                selected = wanted;
+                options.push([wanted, `${label || wanted} (not connected)`]);
+            }
+        }
+        this.fillOptions(select, options, selected);
+    }
+
+    fillOptions(select, options, selected) {
+        if (selected && !options.some(([value]) => value === selected)) {
+            options = options.concat([[selected, selected]]);
+        }
+        select.textContent = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    async handleChange(setting, control) {
+        const changes = {};
+        if (setting === 'camera' || setting === 'microphone') {
+            const device = this.devices.find(candidate => candidate.deviceId === control.value);
+            changes[setting] = control.value || null;
+            changes[`${setting}Label`] = device && device.label ? device.label : null;
+        } else if (setting === 'mirrored') {
+            changes.mirrored = control.checked;
+        } else if (setting === 'frameRate') {
+            changes.frameRate = control.value ? Number(control.value) : null;
+        } else {
+            changes[setting] = control.value;
+        }
+
+        const controls = Object.values(this.controls);
+        const enabled = controls.filter(element => !element.disabled);
+        enabled.forEach(element => { element.disabled = true; });
+        this.status.textContent = 'Switching...';
+
+        try {
+            await this.mirror.applyDeviceSettings(changes);
+            this.status.textContent = 'Saved.';
+            // A mirror stuck on the error screen tries again with the new devices
+            if (this.mirror.session.is(SESSION_STATES.ERROR)) {
+                this.status.textContent = 'Saved. Retrying...';
+                await this.mirror.retryWebcam();
+                this.status.textContent = this.mirror.session.is(SESSION_STATES.ERROR) ? 'Saved, but the devices still fail.' : 'Saved.';
+            }
+        } catch (error) {
+            this.status.textContent = `Could not switch: ${error.name || 'Error'}${error.message ? ` (${error.message})` : ''}`;
+        }
+
+        enabled.forEach(element => { element.disabled = false; });
+        const status = this.status.textContent;
+        await this.refresh();
+        this.status.textContent = status;
+        control.focus();
+    }
+
+    trapFocus(event) {
+        if (event.key !== 'Tab') return;
+        event.stopPropagation();
+
+        const focusable = Array.from(this.element.querySelectorAll('button, input, select'))
+            .filter(element => !element.disabled);
+        const index = focusable.indexOf(this.mirror.root.activeElement);
+        if (index === -1 || (event.shiftKey && index === 0) || (!event.shiftKey && index === focusable.length - 1)) {
+            event.preventDefault();
+            focusable[event.shiftKey ? focusable.length - 1 : 0].focus();
+        }
+    }
+}
+
+registerMirrorPlugin({
+    name: 'device-panel',
+    install(mirror) {
+        const panel = new DevicePanel(mirror);
+
+        const onKeyDown = (event) => {
+            if (!mirror.ownsEvent(event)) return;
+            if (event.shiftKey && event.key.toLowerCase() === 's' && mirrorEventTarget(event).tagName !== 'INPUT') {
+                event.preventDefault();
+                panel.toggle();
+            } else if (event.key === 'Escape' && panel.isOpen) {
+                panel.close();
+            }
+        };
+        const onHashChange = () => {
+            if (window.location.hash === '#devices') panel.open();
+        };
+        // Cameras and microphones plugged in or out while the panel is open
+        const onDeviceChange = () => {
+            if (panel.isOpen) panel.refresh();
+        };
+        const mediaDevices = navigator.mediaDevices;
+
+        document.addEventListener('keydown', onKeyDown);
+        window.addEventListener('hashchange', onHashChange);
+        if (mediaDevices && typeof mediaDevices.addEventListener === 'function') {
+            mediaDevices.addEventListener('devicechange', onDeviceChange);
+        }
+        onHashChange();
+
+        return () => {
+            document.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('hashchange', onHashChange);
+            if (mediaDevices && typeof mediaDevices.removeEventListener === 'function') {
+                mediaDevices.removeEventListener('devicechange', onDeviceChange);
+            }
+            panel.element.remove();
+        };
+    }
+});
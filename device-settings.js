@@ -0,0 +1,157 @@
+// The Digital Mirror - Device Settings
+// Which camera and microphone the mirror uses, at what resolution and frame
+// rate, and whether the picture is mirrored. Staff choose them in the device
+// panel (device-panel.js); they are remembered in localStorage, and URL
+// parameters override them so a kiosk boots straight into the right devices:
+//
+//   ?camera=<device id or part of its label>&microphone=<...>
+//   &resolution=1920x1080&frameRate=30&mirror=off
+
+const DEVICE_SETTINGS_STORAGE_KEY = 'digital-mirror-devices';
+
+const DEFAULT_DEVICE_SETTINGS = {
+    camera: null,          // deviceId, or part of the label, of the camera
+    cameraLabel: null,     // label of the chosen camera, for when its id changes
+    microphone: null,
+    microphoneLabel: null,
+    resolution: '1280x720',
+    frameRate: null,       // null lets the camera decide
+    mirrored: true
+};
+
+const DEVICE_RESOLUTIONS = ['640x480', '1280x720', '1920x1080', '3840x2160'];
+const DEVICE_FRAME_RATES = [15, 24, 30, 60];
+
+// '1920x1080' -> { width: 1920, height: 1080 }; null if malformed
+function parseResolution(value) {
+    const match = /^(\d+)\s*[x×]\s*(\d+)$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    return width > 0 && height > 0 ? { width, height } : null;
+}
+
+// Keep only known settings with usable values
+function normalizeDeviceSettings(settings = {}) {
+    const normalized = { ...DEFAULT_DEVICE_SETTINGS };
+    ['camera', 'cameraLabel', 'microphone', 'microphoneLabel'].forEach(key => {
+        if (typeof settings[key] === 'string' && settings[key]) normalized[key] = settings[key];
+    });
+    const resolution = parseResolution(settings.resolution);
+    if (resolution) normalized.resolution = `${resolution.width}x${resolution.height}`;
+    const frameRate = Number(settings.frameRate);
+    if (settings.frameRate !== null && Number.isFinite(frameRate) && frameRate > 0) {
+        normalized.frameRate = frameRate;
+    }
+    if (typeof settings.mirrored === 'boolean') normalized.mirrored = settings.mirrored;
+    return normalized;
+}
+
+// Saved settings, overridden by the URL. A device named in the URL drops
+// the saved label, which belonged to the saved device.
+function deviceSettingsFromParams(params, saved = {}) {
+    const settings = { ...saved };
+    if (params.has('camera')) {
+        settings.camera = params.get('camera');
+        settings.cameraLabel = null;
+    }
+    if (params.has('microphone')) {
+        settings.microphone = params.get('microphone');
+        settings.microphoneLabel = null;
+    }
+    if (params.has('resolution')) settings.resolution = params.get('resolution');
+    if (params.has('frameRate')) settings.frameRate = params.get('frameRate');
+    if (params.has('mirror')) settings.mirrored = params.get('mirror') !== 'off';
+    return normalizeDeviceSettings(settings);
+}
+
+function loadDeviceSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(DEVICE_SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveDeviceSettings(settings) {
+    try {
+        localStorage.setItem(DEVICE_SETTINGS_STORAGE_KEY, JSON.stringify(normalizeDeviceSettings(settings)));
+    } catch (error) {
+        console.error('Device settings not saved:', error);
+    }
+}
+
+// Find a device of `kind` ('videoinput' or 'audioinput') by exact id, then
+// by label. Browsers hide ids and labels until access is granted, and may
+// change ids when site data is cleared; labels survive that.
+function findMediaDevice(devices, kind, wanted, label = null) {
+    const candidates = devices.filter(device => device.kind === kind && device.deviceId);
+    const byId = candidates.find(device => device.deviceId === wanted);
+    if (byId) return byId;
+
+    const byLabel = (text) => {
+        const needle = String(text || '').toLowerCase();
+        if (!needle) return null;
+        return candidates.find(device => device.label.toLowerCase() === needle) ||
+            candidates.find(device => device.label.toLowerCase().includes(needle)) || null;
+    };
+    return byLabel(label) || byLabel(wanted);
+}
+
+// getUserMedia() constraints for the settings. Chosen devices that can't be
+// found fall back to the default ones; `missing` lists them.
+function buildMediaConstraints(settings, devices = []) {
+    const resolution = parseResolution(settings.resolution) || parseResolution(DEFAULT_DEVICE_SETTINGS.resolution);
+    const missing = [];
+
+    const video = {
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height }
+    };
+    if (settings.frameRate) {
+        video.frameRate = { ideal: settings.frameRate };
+    }
+    const camera = settings.camera ? findMediaDevice(devices, 'videoinput', settings.camera, settings.cameraLabel) : null;
+    if (camera) {
+        video.deviceId = { exact: camera.deviceId };
+    } else {
+        if (settings.camera) missing.push('camera');
+        video.facingMode = 'user';
+    }
+
+    let audio = true;
+    const microphone = settings.microphone ? findMediaDevice(devices, 'audioinput', settings.microphone, settings.microphoneLabel) : null;
+    if (microphone) {
+        audio = { deviceId: { exact: microphone.deviceId } };
+    } else if (settings.microphone) {
+        missing.push('microphone');
+    }
+
+    return { video, audio, missing };
+}
+
+// URL parameters that reproduce the settings, for a kiosk's start URL.
+// Devices go by label where known, since ids differ between browser profiles.
+function deviceSettingsQuery(settings) {
+    const params = new URLSearchParams();
+    if (settings.camera) params.set('camera', settings.cameraLabel || settings.camera);
+    if (settings.microphone) params.set('microphone', settings.microphoneLabel || settings.microphone);
+    if (settings.resolution !== DEFAULT_DEVICE_SETTINGS.resolution) params.set('resolution', settings.resolution);
+    if (settings.frameRate) params.set('frameRate', String(settings.frameRate));
+    if (!settings.mirrored) params.set('mirror', 'off');
+    return params.toString();
+}
+
+export {
+    DEFAULT_DEVICE_SETTINGS,
+    DEVICE_RESOLUTIONS,
+    DEVICE_FRAME_RATES,
+    parseResolution,
+    normalizeDeviceSettings,
+    deviceSettingsFromParams,
+    loadDeviceSettings,
+    saveDeviceSettings,
+    findMediaDevice,
+    buildMediaConstraints,
+    deviceSettingsQuery
+};
@@ -0,0 +1,212 @@
+// The Digital Mirror - <digital-mirror> Element
+// Packages the mirror as a custom element so other sites can embed it, and
+// one page can run several. Each element keeps its markup and styles in its
+// own shadow root and runs its own DigitalMirror; removing the element
+// cleans it up and releases the camera and microphone.
+//
+//   <digital-mirror locale="de" levels="3" preset="presets/melancholy.json" kiosk></digital-mirror>
+//
+// Attributes (changing one restarts the mirror):
+//   locale      language, as ?lang
+//   levels      number of CAPTCHA levels, or the URL of a difficulty curve (?captchaLevels / ?captcha)
+//   preset      distortion preset URL, as ?preset
+//   kiosk       unattended installation mode, as ?kiosk
+//   params      any other settings as a query string, e.g. "source=pattern&sound=off"
+//   url-params  also read the page's own query string (attributes win)
+//   stylesheet  URL of the mirror's styles; styles.css next to this script by default
+
+import { mirrorInstances } from './mirror-api.js';
+import { CAPTCHA_CANVAS_SIZE } from './captcha-config.js';
+import { DigitalMirror } from './script.js';
+
+// The mirror's markup, formerly the body of index.html
+const DIGITAL_MIRROR_TEMPLATE = `
+    <div class="container">
+        <div class="mirror-frame">
+            <div class="mirror-surface">
+                <video id="webcam" autoplay muted playsinline></video>
+                <canvas id="distortion-canvas"></canvas>
+                <div class="overlay" id="overlay">
+                    <div class="humanity-level" id="humanity-level" role="status" aria-live="polite" aria-atomic="true">POTENTIAL HUMANITY: 100%</div>
+                    <div class="clean-instruction" id="clean-instruction" data-i18n="instruction">Look into the mirror and say 'I am human'</div>
+                    <div class="claim-controls">
+                        <button class="claim-button" id="claim-button" data-i18n="claimButton">I AM HUMAN</button>
+                        <div class="alternative-instruction" data-i18n="alternativeInstruction">or wave at the mirror</div>
+                    </div>
+                    <div class="listening-indicator" id="listening-indicator" role="status" aria-live="polite" style="display: none;">Listening...</div>
+                    <div class="perf-readout" id="perf-readout" style="display: none;"></div>
+                </div>
+            </div>
+        </div>
+
+        <div class="captcha-overlay" id="captcha-overlay" role="dialog" aria-modal="true" aria-labelledby="captcha-title" style="display: none;">
+            <div class="captcha-content">
+                <h1 id="captcha-title" data-i18n="captchaTitle">HUMAN VERIFICATION REQUIRED</h1>
+                <div class="captcha-instruction" id="captcha-instruction">Decode the 8-digit code hidden in the image below</div>
+                <div class="captcha-timer" id="captcha-timer">Time: 2.0s</div>
+                <div class="captcha-image-container">
+                    <canvas id="captcha-canvas" width="${CAPTCHA_CANVAS_SIZE.width}" height="${CAPTCHA_CANVAS_SIZE.height}"></canvas>
+                </div>
+                <div class="captcha-input-container">
+                    <input type="text" id="captcha-input" placeholder="Enter 8-digit code" maxlength="8" autocomplete="off" inputmode="text" aria-describedby="captcha-instruction" data-i18n-label="captchaInputLabel" aria-label="Answer">
+                    <button id="captcha-submit" data-i18n="captchaSubmit">SUBMIT</button>
+                </div>
+                <div class="captcha-accessibility">
+                    <button class="captcha-secondary" id="captcha-audio" data-i18n="audioChallenge">Audio challenge</button>
+                    <button class="captcha-secondary" id="captcha-replay" data-i18n="replayAudio" style="display: none;">Play again</button>
+                </div>
+                <div class="captcha-status" id="captcha-status" role="status" aria-live="assertive"></div>
+            </div>
+        </div>
+
+        <div class="failure-overlay" id="failure-overlay" role="dialog" aria-modal="true" aria-labelledby="failure-title">
+            <div class="failure-content">
+                <h1 id="failure-title" data-i18n="failureTitle">HUMANITY VERIFICATION FAILED</h1>
+                <div class="failure-text" id="failure-text">POTENTIAL HUMANITY: 0%</div>
+                <div class="failure-message" data-i18n="failureMessage">
+                    Subject exhibits consistent cognitive limitations.<br>
+                    Unable to process machine-readable verification patterns.<br>
+                    Classification: UNKNOWN
+                </div>
+                <button class="reset-button" id="failure-reset-button" data-i18n="tryAgain">Try Again</button>
+            </div>
+        </div>
+
+        <div class="verdict-overlay" id="verdict-overlay" role="dialog" aria-modal="true" aria-labelledby="verdict-title">
+            <div class="verdict-scan" id="verdict-scan" style="display: none;">
+                <canvas id="verdict-canvas" role="img" data-i18n-label="verdictScanLabel" aria-label="Biometric scan of your face"></canvas>
+                <div class="verdict-log" id="verdict-log" aria-hidden="true"></div>
+            </div>
+            <div class="verdict-content" id="verdict-content">
+                <h1 id="verdict-title" data-i18n="verdictTitle">SYSTEM VERDICT</h1>
+                <div class="verdict-text" id="verdict-text" data-i18n="verdictText">
+                    Your image does not match known human templates.
+                </div>
+                <div class="verdict-subtext" data-i18n="verdictSubtext">
+                    Access denied. Human verification failed.
+                </div>
+                <div class="verdict-evidence" id="verdict-evidence"></div>
+                <button class="reset-button" id="verdict-reset-button" data-i18n="tryAgain">Try Again</button>
+            </div>
+        </div>
+
+        <div class="accepted-overlay" id="accepted-overlay" role="dialog" aria-modal="true" aria-labelledby="accepted-title">
+            <div class="accepted-content">
+                <h1 id="accepted-title" data-i18n="acceptedTitle">HUMANITY VERIFIED</h1>
+                <div class="accepted-text" id="accepted-text">POTENTIAL HUMANITY: 100%</div>
+                <div class="accepted-message" data-i18n="acceptedMessage">
+                    Subject hesitates, errs and corrects itself.<br>
+                    No machine template matches this behavior.<br>
+                    Classification: HUMAN
+                </div>
+                <button class="reset-button" id="accepted-reset-button" data-i18n="tryAgain">Try Again</button>
+            </div>
+        </div>
+
+        <div class="error-message" id="error-message" role="alertdialog" aria-modal="true" aria-describedby="error-text">
+            <p id="error-text" data-i18n="errorPermissions">Camera and microphone access required. Please allow permissions to experience The Digital Mirror.</p>
+            <button class="retry-button" id="retry-button" data-i18n="retry">Retry</button>
+            <div class="error-sources">
+                <span data-i18n="errorSources">No camera? Run the mirror on:</span>
+                <button class="retry-button" id="source-pattern" data-i18n="sourcePattern">Test pattern</button>
+                <button class="retry-button" id="source-file" data-i18n="sourceFile">Video or images…</button>
+            </div>
+        </div>
+
+        <input type="file" id="source-file-input" accept="video/*,image/*,audio/*" multiple hidden>
+
+        <input type="file" id="preset-file" accept="application/json,.json" hidden>
+
+        <!-- Screen-reader announcements (challenge start, endings) -->
+        <div class="sr-only" id="sr-announcer" aria-live="assertive" aria-atomic="true"></div>
+    </div>
+`;
+
+// Next to this module, wherever the page that embeds it lives
+const DIGITAL_MIRROR_STYLESHEET = new URL('styles.css', import.meta.url).href;
+
+class DigitalMirrorElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['locale', 'levels', 'preset', 'kiosk', 'params', 'url-params', 'stylesheet'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        // { media, speech, clock } for the next start (see mirror-adapters.js);
+        // may be set before the element is upgraded
+        this.adapters = this.adapters || {};
+        this.mirror = null;
+    }
+
+    connectedCallback() {
+        if (!this.hasAttribute('tabindex')) {
+            // Clicking the mirror focuses it, so its keyboard shortcuts apply
+            this.setAttribute('tabindex', '0');
+        }
+        this.start();
+    }
+
+    // Wait a tick, so moving the element within the page doesn't restart it
+    disconnectedCallback() {
+        Promise.resolve().then(() => {
+            if (!this.isConnected) this.stop();
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.mirror && oldValue !== newValue) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    // Settings for the mirror, in the shape of the page's query string
+    mirrorParams() {
+        const params = new URLSearchParams(this.hasAttribute('url-params') ? window.location.search : '');
+        new URLSearchParams(this.getAttribute('params') || '').forEach((value, name) => params.set(name, value));
+
+        if (this.hasAttribute('locale')) params.set('lang', this.getAttribute('locale'));
+        const levels = (this.getAttribute('levels') || '').trim();
+        if (levels) params.set(/^\d+$/.test(levels) ? 'captchaLevels' : 'captcha', levels);
+        if (this.hasAttribute('preset')) params.set('preset', this.getAttribute('preset'));
+        if (this.hasAttribute('kiosk')) params.set('kiosk', this.getAttribute('kiosk'));
+        // Its own operator channel, so a console drives this mirror only
+        if (this.id && !params.has('operatorChannel')) params.set('operatorChannel', this.id);
+        return params;
+    }
+
+    start() {
+        if (this.mirror) return;
+
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = this.getAttribute('stylesheet') || DIGITAL_MIRROR_STYLESHEET;
+        this.shadowRoot.innerHTML = DIGITAL_MIRROR_TEMPLATE;
+        this.shadowRoot.prepend(stylesheet);
+
+        this.mirror = new DigitalMirror({
+            adapters: this.adapters,
+            root: this.shadowRoot,
+            params: this.mirrorParams()
+        });
+        // Scripts and the console written for a single mirror find the first one
+        if (!window.digitalMirror) {
+            window.digitalMirror = this.mirror;
+        }
+        this.dispatchEvent(new CustomEvent('mirror-ready', { detail: { mirror: this.mirror } }));
+    }
+
+    stop() {
+        if (!this.mirror) return;
+
+        this.mirror.cleanup();
+        if (window.digitalMirror === this.mirror) {
+            window.digitalMirror = mirrorInstances.values().next().value || null;
+        }
+        this.mirror = null;
+        this.shadowRoot.innerHTML = '';
+    }
+}
+
+customElements.define('digital-mirror', DigitalMirrorElement);
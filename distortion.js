@@ -0,0 +1,652 @@
+// The Digital Mirror - Canvas Distortion Pipeline
+// Copies webcam frames into #distortion-canvas and runs a stack of pixel effects
+// whose strength is chosen by the current CAPTCHA level.
+
+// Presets always describe this many levels; the mirror maps however many
+// CAPTCHA levels it has onto them.
+const DISTORTION_LEVEL_COUNT = 5;
+
+// Built-in preset. Each level is an ordered chain of effects; tune the
+// installation here, or ship a JSON file in the same shape (see presets/).
+const DEFAULT_DISTORTION_PRESET = {
+    name: 'Default',
+    description: 'Steady slide from signal drift to total system failure',
+    levels: {
+        1: {
+            name: 'Signal drift',
+            jitterInterval: 400, // ms between new random glitch layouts
+            effects: [
+                { effect: 'rgbSplit', offset: 3, jitter: 2 },
+                { effect: 'scanlineTear', bands: 2, maxBandHeight: 6, maxShift: 12 }
+            ]
+        },
+        2: {
+            name: 'Scanline decay',
+            jitterInterval: 250,
+            effects: [
+                { effect: 'rgbSplit', offset: 6, jitter: 4 },
+                { effect: 'scanlineTear', bands: 6, maxBandHeight: 14, maxShift: 40 },
+                { effect: 'posterize', levels: 24 }
+            ]
+        },
+        3: {
+            name: 'Block fragmentation',
+            jitterInterval: 180,
+            effects: [
+                { effect: 'blockDisplace', blocks: 12, maxSize: 80, maxOffset: 40 },
+                { effect: 'rgbSplit', offset: 10, jitter: 6 },
+                { effect: 'scanlineTear', bands: 10, maxBandHeight: 20, maxShift: 80 },
+                { effect: 'posterize', levels: 10 }
+            ]
+        },
+        4: {
+            name: 'Data corruption',
+            jitterInterval: 120,
+            effects: [
+                { effect: 'pixelSort', threshold: 110, rowFraction: 0.35, maxSpan: 160 },
+                { effect: 'blockDisplace', blocks: 24, maxSize: 120, maxOffset: 90 },
+                { effect: 'rgbSplit', offset: 16, jitter: 10 },
+                { effect: 'scanlineTear', bands: 16, maxBandHeight: 30, maxShift: 140 },
+                { effect: 'posterize', levels: 6 }
+            ]
+        },
+        5: {
+            name: 'System failure',
+            jitterInterval: 70,
+            effects: [
+                { effect: 'pixelSort', threshold: 60, rowFraction: 0.8, maxSpan: 320 },
+                { effect: 'blockDisplace', blocks: 40, maxSize: 180, maxOffset: 200 },
+                { effect: 'rgbSplit', offset: 28, jitter: 18 },
+                { effect: 'scanlineTear', bands: 28, maxBandHeight: 40, maxShift: 260 },
+                { effect: 'posterize', levels: 3 }
+            ]
+        }
+    }
+};
+
+// Small seeded PRNG so a glitch layout stays put for a whole jitter interval
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Registry of named pixel effects. Effects declare their parameters with
+// defaults and limits so presets can be validated when they are loaded.
+// An optional `shader` holds the GLSL main() used by the WebGL backend; it
+// receives u_texture, u_resolution, u_time, u_seed, u_level, u_face, hash()
+// and one `uniform float u_<param>` per declared parameter.
+// apply() also gets a frame context: { faces } holds the visitor's face boxes
+// ({ x, y, width, height } as fractions of the frame, largest first).
+class DistortionEffectRegistry {
+    constructor() {
+        this.effects = new Map();
+    }
+
+    // Add or replace an effect: { name, parameters, apply(imageData, t, level, params, random, context), shader }
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name) {
+            throw new Error('Distortion effect needs a name');
+        }
+        if (typeof definition.apply !== 'function') {
+            throw new Error(`Distortion effect "${definition.name}" needs an apply() function`);
+        }
+
+        this.effects.set(definition.name, {
+            description: '',
+            parameters: {},
+            ...definition
+        });
+        return this;
+    }
+
+    get(name) {
+        return this.effects.get(name);
+    }
+
+    has(name) {
+        return this.effects.has(name);
+    }
+
+    list() {
+        return Array.from(this.effects.values());
+    }
+
+    // Fill in defaults and clamp values to the declared range
+    resolveParams(name, params = {}) {
+        const effect = this.get(name);
+        const resolved = {};
+
+        Object.entries(effect.parameters).forEach(([key, spec]) => {
+            let value = params[key] !== undefined ? Number(params[key]) : spec.default;
+            if (Number.isNaN(value)) {
+                throw new Error(`Parameter "${key}" of effect "${name}" must be a number`);
+            }
+            if (spec.min !== undefined) value = Math.max(spec.min, value);
+            if (spec.max !== undefined) value = Math.min(spec.max, value);
+            resolved[key] = value;
+        });
+
+        return resolved;
+    }
+}
+
+const distortionEffects = new DistortionEffectRegistry();
+
+// Pull the red channel one way and the blue channel the other
+distortionEffects.register({
+    name: 'rgbSplit',
+    description: 'RGB channel separation',
+    parameters: {
+        offset: { default: 4, min: 0, max: 64 },
+        jitter: { default: 0, min: 0, max: 64 }
+    },
+    shader: `
+        uniform float u_offset;
+        uniform float u_jitter;
+
+        void main() {
+            float shift = (u_offset + (hash(u_seed) - 0.5) * 2.0 * u_jitter) / u_resolution.x;
+            vec4 base = texture2D(u_texture, v_uv);
+            float red = texture2D(u_texture, vec2(v_uv.x + shift, v_uv.y)).r;
+            float blue = texture2D(u_texture, vec2(v_uv.x - shift, v_uv.y)).b;
+            gl_FragColor = vec4(red, base.g, blue, 1.0);
+        }
+    `,
+    apply(imageData, t, level, params, random) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const offset = Math.round(params.offset + (random() - 0.5) * 2 * params.jitter);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                const i = (row + x) * 4;
+                const redX = Math.min(width - 1, Math.max(0, x + offset));
+                const blueX = Math.min(width - 1, Math.max(0, x - offset));
+                data[i] = source[(row + redX) * 4];
+                data[i + 2] = source[(row + blueX) * 4 + 2];
+            }
+        }
+    }
+});
+
+// Shift horizontal bands sideways, wrapping around the frame edge
+distortionEffects.register({
+    name: 'scanlineTear',
+    description: 'Horizontal scanline tearing',
+    parameters: {
+        bands: { default: 4, min: 0, max: 100 },
+        maxBandHeight: { default: 10, min: 1, max: 200 },
+        maxShift: { default: 30, min: 0, max: 1000 }
+    },
+    shader: `
+        uniform float u_bands;
+        uniform float u_maxBandHeight;
+        uniform float u_maxShift;
+
+        void main() {
+            vec2 px = floor(v_uv * u_resolution);
+            float shift = 0.0;
+            for (int i = 0; i < 100; i++) {
+                float fi = float(i);
+                if (fi >= u_bands) break;
+                float bandHeight = 1.0 + floor(hash(u_seed + fi * 3.1) * u_maxBandHeight);
+                float startY = floor(hash(u_seed + fi * 7.7) * u_resolution.y);
+                if (px.y >= startY && px.y < startY + bandHeight) {
+                    shift = floor((hash(u_seed + fi * 13.3) - 0.5) * 2.0 * u_maxShift);
+                }
+            }
+            gl_FragColor = texture2D(u_texture, vec2(fract((px.x + 0.5 - shift) / u_resolution.x), v_uv.y));
+        }
+    `,
+    apply(imageData, t, level, params, random) {
+        const { width, height, data } = imageData;
+        const rowBytes = width * 4;
+        const row = new Uint8ClampedArray(rowBytes);
+
+        for (let b = 0; b < params.bands; b++) {
+            const bandHeight = 1 + Math.floor(random() * params.maxBandHeight);
+            const startY = Math.floor(random() * height);
+            const shift = Math.round((random() - 0.5) * 2 * params.maxShift);
+            const byteShift = ((shift % width) + width) % width * 4;
+            if (byteShift === 0) continue;
+
+            for (let y = startY; y < Math.min(height, startY + bandHeight); y++) {
+                const start = y * rowBytes;
+                row.set(data.subarray(start, start + rowBytes));
+                data.set(row.subarray(rowBytes - byteShift), start);
+                data.set(row.subarray(0, rowBytes - byteShift), start + byteShift);
+            }
+        }
+    }
+});
+
+// Copy rectangular blocks of the frame to nearby offsets
+distortionEffects.register({
+    name: 'blockDisplace',
+    description: 'Block displacement',
+    parameters: {
+        blocks: { default: 10, min: 0, max: 200 },
+        maxSize: { default: 80, min: 4, max: 640 },
+        maxOffset: { default: 40, min: 0, max: 640 }
+    },
+    shader: `
+        uniform float u_blocks;
+        uniform float u_maxSize;
+        uniform float u_maxOffset;
+
+        void main() {
+            vec2 px = v_uv * u_resolution;
+            vec2 source = px;
+            for (int i = 0; i < 200; i++) {
+                float fi = float(i);
+                if (fi >= u_blocks) break;
+                vec2 size = vec2(4.0 + floor(hash(u_seed + fi * 1.3) * u_maxSize),
+                                 4.0 + floor(hash(u_seed + fi * 2.9) * u_maxSize * 0.5));
+                vec2 from = floor(vec2(hash(u_seed + fi * 5.1), hash(u_seed + fi * 8.3)) * max(vec2(1.0), u_resolution - size));
+                vec2 offset = floor((vec2(hash(u_seed + fi * 11.7), hash(u_seed + fi * 17.9)) - 0.5) * vec2(2.0, 1.0) * u_maxOffset);
+                vec2 to = clamp(from + offset, vec2(0.0), max(vec2(0.0), u_resolution - size));
+                if (all(greaterThanEqual(px, to)) && all(lessThan(px, to + size))) {
+                    source = px - to + from;
+                }
+            }
+            gl_FragColor = texture2D(u_texture, source / u_resolution);
+        }
+    `,
+    apply(imageData, t, level, params, random) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+
+        for (let b = 0; b < params.blocks; b++) {
+            const blockWidth = 4 + Math.floor(random() * params.maxSize);
+            const blockHeight = 4 + Math.floor(random() * params.maxSize * 0.5);
+            const srcX = Math.floor(random() * Math.max(1, width - blockWidth));
+            const srcY = Math.floor(random() * Math.max(1, height - blockHeight));
+            const destX = Math.min(width - blockWidth, Math.max(0, srcX + Math.round((random() - 0.5) * 2 * params.maxOffset)));
+            const destY = Math.min(height - blockHeight, Math.max(0, srcY + Math.round((random() - 0.5) * params.maxOffset)));
+            if (destX < 0 || destY < 0) continue;
+
+            for (let y = 0; y < blockHeight; y++) {
+                const srcStart = ((srcY + y) * width + srcX) * 4;
+                const destStart = ((destY + y) * width + destX) * 4;
+                data.set(source.subarray(srcStart, srcStart + blockWidth * 4), destStart);
+            }
+        }
+    }
+});
+
+// Sort runs of bright pixels by luminance along selected rows
+distortionEffects.register({
+    name: 'pixelSort',
+    description: 'Luminance pixel sorting',
+    parameters: {
+        threshold: { default: 100, min: 0, max: 255 },
+        rowFraction: { default: 0.3, min: 0, max: 1 },
+        maxSpan: { default: 160, min: 2, max: 2000 }
+    },
+    // The GPU version ranks eight samples across each bright run, which
+    // approximates the sorted gradient without a full sort.
+    shader: `
+        uniform float u_threshold;
+        uniform float u_rowFraction;
+        uniform float u_maxSpan;
+
+        float luma(vec4 color) {
+            return dot(color.rgb, vec3(0.299, 0.587, 0.114)) * 255.0;
+        }
+
+        vec4 pixelAt(float x) {
+            return texture2D(u_texture, vec2((x + 0.5) / u_resolution.x, v_uv.y));
+        }
+
+        void main() {
+            vec2 px = floor(v_uv * u_resolution);
+            vec4 color = pixelAt(px.x);
+            if (hash(u_seed + px.y * 0.731) > u_rowFraction || luma(color) < u_threshold) {
+                gl_FragColor = color;
+                return;
+            }
+
+            // Walk outwards to find the bounds of this bright run
+            float stride = max(1.0, u_maxSpan / 64.0);
+            float left = 0.0;
+            float right = 0.0;
+            for (int i = 1; i <= 32; i++) {
+                float x = px.x - float(i) * stride;
+                if (x < 0.0 || luma(pixelAt(x)) < u_threshold) break;
+                left = float(i) * stride;
+            }
+            for (int i = 1; i <= 32; i++) {
+                float x = px.x + float(i) * stride;
+                if (x >= u_resolution.x || luma(pixelAt(x)) < u_threshold) break;
+                right = float(i) * stride;
+            }
+
+            float span = left + right + 1.0;
+            float start = px.x - left;
+            float targetRank = floor(left / span * 8.0);
+
+            vec4 samples[8];
+            float lumas[8];
+            for (int i = 0; i < 8; i++) {
+                samples[i] = pixelAt(floor(start + (float(i) + 0.5) / 8.0 * span));
+                lumas[i] = luma(samples[i]);
+            }
+
+            vec4 result = color;
+            for (int i = 0; i < 8; i++) {
+                float rank = 0.0;
+                for (int j = 0; j < 8; j++) {
+                    if (lumas[j] < lumas[i] || (lumas[j] == lumas[i] && j < i)) rank += 1.0;
+                }
+                if (rank == targetRank) result = samples[i];
+            }
+            gl_FragColor = result;
+        }
+    `,
+    apply(imageData, t, level, params, random) {
+        const { width, height, data } = imageData;
+        const pixels = new Uint32Array(data.buffer, data.byteOffset, width * height);
+        // Pixels are stored little-endian as 0xAABBGGRR
+        const luminance = (value) => (
+            (value & 0xff) * 0.299 + ((value >>> 8) & 0xff) * 0.587 + ((value >>> 16) & 0xff) * 0.114
+        );
+
+        for (let y = 0; y < height; y++) {
+            if (random() > params.rowFraction) continue;
+            const row = y * width;
+            let x = 0;
+
+            while (x < width) {
+                // Find the next run above the brightness threshold
+                while (x < width && luminance(pixels[row + x]) < params.threshold) x++;
+                const runStart = x;
+                while (x < width && x - runStart < params.maxSpan && luminance(pixels[row + x]) >= params.threshold) x++;
+
+                if (x - runStart > 1) {
+                    const run = Array.from(pixels.subarray(row + runStart, row + x));
+                    run.sort((a, b) => luminance(a) - luminance(b));
+                    pixels.set(run, row + runStart);
+                }
+                x++;
+            }
+        }
+    }
+});
+
+// Reduce each colour channel to a handful of levels
+distortionEffects.register({
+    name: 'posterize',
+    description: 'Colour posterization',
+    parameters: {
+        levels: { default: 8, min: 2, max: 256 }
+    },
+    shader: `
+        uniform float u_levels;
+
+        void main() {
+            vec4 color = texture2D(u_texture, v_uv);
+            float steps = u_levels - 1.0;
+            gl_FragColor = vec4(floor(color.rgb * steps + 0.5) / steps, 1.0);
+        }
+    `,
+    apply(imageData, t, level, params) {
+        const data = imageData.data;
+        const step = 255 / (params.levels - 1);
+        const lookup = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            lookup[v] = Math.round(Math.round(v / step) * step);
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = lookup[data[i]];
+            data[i + 1] = lookup[data[i + 1]];
+            data[i + 2] = lookup[data[i + 2]];
+        }
+    }
+});
+
+// Break the visitor's face into coarse blocks, leaving the rest of the frame alone
+distortionEffects.register({
+    name: 'facePixelate',
+    description: 'Pixelation of the face region',
+    parameters: {
+        blockSize: { default: 12, min: 2, max: 64 },
+        padding: { default: 0.15, min: 0, max: 1 }
+    },
+    shader: `
+        uniform float u_blockSize;
+        uniform float u_padding;
+
+        void main() {
+            vec2 pad = u_face.zw * u_padding;
+            vec2 low = u_face.xy - pad;
+            vec2 high = u_face.xy + u_face.zw + pad;
+            if (u_face.z <= 0.0 || any(lessThan(v_uv, low)) || any(greaterThan(v_uv, high))) {
+                gl_FragColor = texture2D(u_texture, v_uv);
+                return;
+            }
+            vec2 block = u_blockSize / u_resolution;
+            gl_FragColor = texture2D(u_texture, (floor(v_uv / block) + 0.5) * block);
+        }
+    `,
+    apply(imageData, t, level, params, random, context = {}) {
+        const { width, height, data } = imageData;
+        const size = Math.round(params.blockSize);
+
+        (context.faces || []).slice(0, 1).forEach(face => {
+            const padX = face.width * params.padding;
+            const padY = face.height * params.padding;
+            const left = Math.max(0, Math.floor((face.x - padX) * width / size) * size);
+            const top = Math.max(0, Math.floor((face.y - padY) * height / size) * size);
+            const right = Math.min(width, Math.ceil((face.x + face.width + padX) * width));
+            const bottom = Math.min(height, Math.ceil((face.y + face.height + padY) * height));
+
+            for (let by = top; by < bottom; by += size) {
+                for (let bx = left; bx < right; bx += size) {
+                    // Fill the block with its center pixel
+                    const cx = Math.min(width - 1, bx + (size >> 1));
+                    const cy = Math.min(height - 1, by + (size >> 1));
+                    const source = (cy * width + cx) * 4;
+                    for (let y = by; y < Math.min(bottom, by + size); y++) {
+                        for (let x = bx; x < Math.min(right, bx + size); x++) {
+                            const i = (y * width + x) * 4;
+                            data[i] = data[source];
+                            data[i + 1] = data[source + 1];
+                            data[i + 2] = data[source + 2];
+                        }
+                    }
+                }
+            }
+        });
+    }
+});
+
+// Validate a preset (parsed JSON or object) and resolve every effect's parameters.
+// Every level from 1 to maxLevel must be declared; level 0 is always clean.
+function parseDistortionPreset(preset, maxLevel, registry = distortionEffects) {
+    if (!preset || typeof preset !== 'object' || !preset.levels || typeof preset.levels !== 'object') {
+        throw new Error('Distortion preset must have a "levels" object');
+    }
+
+    const levels = { 0: { name: 'Clean reflection', effects: [] } };
+
+    for (let level = 1; level <= maxLevel; level++) {
+        const declared = preset.levels[level];
+        if (!declared || !Array.isArray(declared.effects)) {
+            throw new Error(`Distortion preset is missing an effects list for level ${level}`);
+        }
+
+        levels[level] = {
+            name: declared.name || `Level ${level}`,
+            jitterInterval: Math.max(16, Number(declared.jitterInterval) || 100),
+            effects: declared.effects.map(({ effect, ...params }) => {
+                if (!registry.has(effect)) {
+                    throw new Error(`Unknown distortion effect "${effect}" at level ${level}`);
+                }
+                return { effect, params: registry.resolveParams(effect, params) };
+            })
+        };
+    }
+
+    return {
+        name: preset.name || 'Untitled preset',
+        description: preset.description || '',
+        levels
+    };
+}
+
+// Fetch a preset JSON file from a URL (e.g. ?preset=presets/melancholy.json)
+async function loadDistortionPresetFromURL(url, maxLevel) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load distortion preset ${url}: ${response.status}`);
+    }
+    return parseDistortionPreset(await response.json(), maxLevel);
+}
+
+// Read a preset JSON file chosen with a file picker
+async function loadDistortionPresetFromFile(file, maxLevel) {
+    const text = await file.text();
+    return parseDistortionPreset(JSON.parse(text), maxLevel);
+}
+
+class DistortionRenderer {
+    constructor(source, canvas, options = {}) {
+        this.backend = '2d';
+        this.source = source;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this.registry = options.registry || distortionEffects;
+        this.maxWidth = options.maxWidth || 640; // Process at reduced resolution to keep frame rate up
+        this.mirrored = options.mirrored !== false; // Match the CSS scaleX(-1) on #webcam
+        this.jitterScale = options.reducedMotion ? 10 : 1; // Glitch layouts change ten times slower for reduced motion
+        this.isActive = false;
+        this.setPreset(options.preset || parseDistortionPreset(DEFAULT_DISTORTION_PRESET, options.maxLevel || DISTORTION_LEVEL_COUNT));
+    }
+
+    // Swap in a parsed preset (see parseDistortionPreset)
+    setPreset(preset) {
+        this.preset = preset;
+        console.log(`Distortion preset: ${preset.name}`);
+    }
+
+    // Look up the level, clamping to the highest declared level
+    getLevel(level) {
+        const levels = Object.keys(this.preset.levels).map(Number).sort((a, b) => a - b);
+        const match = levels.filter(l => l <= level).pop();
+        return match === undefined ? null : this.preset.levels[match];
+    }
+
+    // Size the canvas to the source aspect ratio at the processing resolution
+    resize() {
+        const sourceWidth = this.source.videoWidth || this.source.width;
+        const sourceHeight = this.source.videoHeight || this.source.height;
+        if (!sourceWidth || !sourceHeight) return false;
+
+        const scale = Math.min(1, this.maxWidth / sourceWidth);
+        const width = Math.round(sourceWidth * scale);
+        const height = Math.round(sourceHeight * scale);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        return true;
+    }
+
+    // Clear the canvas so the untouched video shows through
+    clear() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.isActive = false;
+    }
+
+    // Nothing is held beyond the canvas; same interface as the WebGL renderer
+    dispose() {
+        this.clear();
+    }
+
+    // Draw one distorted frame for the given level; `context` is passed to every effect
+    render(t, level, context = {}) {
+        const chain = this.getLevel(level);
+        if (!chain || chain.effects.length === 0) {
+            if (this.isActive) this.clear();
+            return;
+        }
+
+        // HAVE_CURRENT_DATA or better
+        if (this.source.readyState !== undefined && this.source.readyState < 2) return;
+        if (!this.resize()) return;
+
+        const { width, height } = this.canvas;
+        this.ctx.save();
+        if (this.mirrored) {
+            this.ctx.setTransform(-1, 0, 0, 1, width, 0);
+        }
+        this.ctx.drawImage(this.source, 0, 0, width, height);
+        this.ctx.restore();
+
+        const imageData = this.ctx.getImageData(0, 0, width, height);
+        const random = createSeededRandom(Math.floor(t / (chain.jitterInterval * this.jitterScale)));
+
+        chain.effects.forEach(({ effect, params }) => {
+            // Effects may have been replaced in the registry since the preset was parsed
+            const definition = this.registry.get(effect);
+            if (definition) {
+                definition.apply(imageData, t, level, params, random, context);
+            }
+        });
+
+        this.ctx.putImageData(imageData, 0, 0);
+        this.isActive = true;
+    }
+}
+
+// Rolling frame rate and frame time, shown in debug mode (?debug)
+class FrameStats {
+    constructor(element, label) {
+        this.element = element;
+        this.label = label;
+        this.frames = 0;
+        this.renderTime = 0;
+        this.windowStart = performance.now();
+    }
+
+    begin() {
+        this.frameStart = performance.now();
+    }
+
+    end() {
+        const now = performance.now();
+        this.frames++;
+        this.renderTime += now - this.frameStart;
+
+        // Refresh the readout twice a second
+        const elapsed = now - this.windowStart;
+        if (elapsed >= 500) {
+            const fps = (this.frames * 1000) / elapsed;
+            const frameTime = this.renderTime / this.frames;
+            this.element.textContent = `${this.label} ${fps.toFixed(0)} fps | ${frameTime.toFixed(1)} ms/frame`;
+            this.frames = 0;
+            this.renderTime = 0;
+            this.windowStart = now;
+        }
+    }
+}
+
+export {
+    DISTORTION_LEVEL_COUNT,
+    DEFAULT_DISTORTION_PRESET,
+    createSeededRandom,
+    distortionEffects,
+    parseDistortionPreset,
+    loadDistortionPresetFromURL,
+    loadDistortionPresetFromFile,
+    DistortionRenderer,
+    FrameStats
+};
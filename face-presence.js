@@ -0,0 +1,279 @@
+// The Digital Mirror - Face Presence Detection
+// Finds faces in #webcam frames so claims only count from someone standing in
+// front of the mirror. Uses the Shape Detection API's FaceDetector where the
+// browser has it, otherwise a skin-tone and motion heuristic. Boxes are
+// normalized { x, y, width, height } in mirrored display space, the same
+// orientation as the distortion canvas.
+
+import { browserClock } from './mirror-adapters.js';
+
+const DEFAULT_FACE_PRESENCE_OPTIONS = {
+    interval: 200,          // ms between detections
+    arriveDelay: 500,       // ms a face must be seen before the visitor counts as present
+    leaveDelay: 3000,       // ms without a face before the visitor counts as gone
+    abandonDelay: 60000,    // ms away before a half-finished session is reset
+    centerTolerance: 0.2,   // Largest allowed offset of the face center from the frame center
+    minFaceWidth: 0.08,     // Faces narrower than this (fraction of the frame) are too far away
+    smoothing: 0.5          // Weight of the previous box when smoothing the tracked face
+};
+
+// YCbCr skin range; loose enough for most skin tones under gallery lighting
+function isSkinPixel(r, g, b) {
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return y > 60 && cb >= 85 && cb <= 135 && cr >= 135 && cr <= 180;
+}
+
+// Fallback detector: connected skin-coloured regions that have moved
+// recently. A skin-coloured wall never moves; a visitor always does a little.
+class HeuristicFaceDetector {
+    constructor(options = {}) {
+        this.width = options.width || 80;
+        this.height = options.height || 60;
+        this.motionThreshold = options.motionThreshold || 15; // Luma change that counts as movement
+        this.motionMemory = options.motionMemory || 5000;    // ms a pixel stays "recently moved"
+        this.minArea = options.minArea || 0.01;              // Fraction of the frame
+        this.minMovingFraction = options.minMovingFraction || 0.05;
+        this.previousLuma = null;
+        this.lastMoved = new Float64Array(this.width * this.height).fill(-Infinity);
+    }
+
+    // `data` is RGBA at this.width x this.height
+    detect(data, time) {
+        const { width, height } = this;
+        const pixels = width * height;
+        const skin = new Uint8Array(pixels);
+        const luma = new Uint8Array(pixels);
+
+        for (let p = 0, i = 0; p < pixels; p++, i += 4) {
+            skin[p] = isSkinPixel(data[i], data[i + 1], data[i + 2]) ? 1 : 0;
+            luma[p] = (data[i] * 3 + data[i + 1] * 4 + data[i + 2]) >> 3;
+            if (this.previousLuma && Math.abs(luma[p] - this.previousLuma[p]) > this.motionThreshold) {
+                this.lastMoved[p] = time;
+            }
+        }
+        this.previousLuma = luma;
+
+        // Flood-fill each skin region and keep the ones shaped and moving like a head
+        const faces = [];
+        const stack = [];
+        for (let start = 0; start < pixels; start++) {
+            if (skin[start] !== 1) continue;
+
+            let area = 0;
+            let moving = 0;
+            let minX = width, minY = height, maxX = 0, maxY = 0;
+            skin[start] = 2;
+            stack.push(start);
+
+            while (stack.length) {
+                const p = stack.pop();
+                const x = p % width;
+                const y = (p - x) / width;
+                area++;
+                if (time - this.lastMoved[p] < this.motionMemory) moving++;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+
+                if (x > 0 && skin[p - 1] === 1) { skin[p - 1] = 2; stack.push(p - 1); }
+                if (x < width - 1 && skin[p + 1] === 1) { skin[p + 1] = 2; stack.push(p + 1); }
+                if (y > 0 && skin[p - width] === 1) { skin[p - width] = 2; stack.push(p - width); }
+                if (y < height - 1 && skin[p + width] === 1) { skin[p + width] = 2; stack.push(p + width); }
+            }
+
+            const boxWidth = maxX - minX + 1;
+            const boxHeight = maxY - minY + 1;
+            const aspect = boxHeight / boxWidth;
+            if (area >= this.minArea * pixels && moving >= this.minMovingFraction * area && aspect >= 0.8 && aspect <= 2.5) {
+                faces.push({
+                    x: minX / width,
+                    y: minY / height,
+                    width: boxWidth / width,
+                    height: boxHeight / height,
+                    area
+                });
+            }
+        }
+
+        return faces
+            .sort((a, b) => b.area - a.area)
+            .map(({ area, ...box }) => box);
+    }
+}
+
+// Turns per-frame detections into a steady "present / centered" signal with
+// hysteresis, and keeps a smoothed box for the largest face
+class FacePresenceTracker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_FACE_PRESENCE_OPTIONS, ...options };
+        this.present = false;
+        this.centered = false;
+        this.face = null;
+        this.faces = [];
+        this.firstSeenTime = null;
+        this.lastSeenTime = -Infinity;
+    }
+
+    // Feed one frame's boxes; returns true when present or centered changed
+    update(faces, time) {
+        const { minFaceWidth, centerTolerance, arriveDelay, leaveDelay, smoothing } = this.options;
+        const wasPresent = this.present;
+        const wasCentered = this.centered;
+
+        const largest = faces.filter(face => face.width >= minFaceWidth)
+            .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+
+        if (largest) {
+            if (this.firstSeenTime === null) this.firstSeenTime = time;
+            this.lastSeenTime = time;
+            this.face = this.face ? {
+                x: this.face.x * smoothing + largest.x * (1 - smoothing),
+                y: this.face.y * smoothing + largest.y * (1 - smoothing),
+                width: this.face.width * smoothing + largest.width * (1 - smoothing),
+                height: this.face.height * smoothing + largest.height * (1 - smoothing)
+            } : { ...largest };
+
+            if (time - this.firstSeenTime >= arriveDelay) this.present = true;
+            const centerX = this.face.x + this.face.width / 2;
+            const centerY = this.face.y + this.face.height / 2;
+            this.centered = this.present &&
+                Math.abs(centerX - 0.5) <= centerTolerance &&
+                Math.abs(centerY - 0.5) <= centerTolerance;
+        } else {
+            this.firstSeenTime = null;
+            if (time - this.lastSeenTime >= leaveDelay) {
+                this.present = false;
+                this.centered = false;
+                this.face = null;
+            }
+        }
+
+        this.faces = this.face ? [this.face, ...faces.filter(face => face !== largest)] : [];
+        return this.present !== wasPresent || this.centered !== wasCentered;
+    }
+
+    // ms since the last face, 0 while someone is there
+    awayFor(time) {
+        return this.present ? 0 : time - this.lastSeenTime;
+    }
+}
+
+// Runs a detector on the video at a fixed interval and feeds the tracker.
+// `backend` is 'auto', 'shape' (FaceDetector) or 'heuristic'; `clock` is
+// the mirror's clock adapter. `gating` tells whether claims should wait for
+// a centered face.
+class FacePresenceDetector {
+    constructor(video, options = {}) {
+        this.video = video;
+        this.clock = options.clock || browserClock;
+        this.options = { ...DEFAULT_FACE_PRESENCE_OPTIONS, ...options };
+        this.tracker = new FacePresenceTracker(this.options);
+        this.mirrored = options.mirrored !== false; // Boxes in the same space as the display
+        this.listener = null;
+        this.timeout = null;
+        this.busy = false;
+
+        const backend = options.backend || 'auto';
+        if (backend !== 'heuristic' && typeof FaceDetector !== 'undefined') {
+            this.backend = 'shape';
+            this.faceDetector = new FaceDetector({ fastMode: true, maxDetectedFaces: 3 });
+        } else {
+            if (backend === 'shape') {
+                console.warn('FaceDetector is not available, using the skin/motion heuristic');
+            }
+            this.backend = 'heuristic';
+            this.heuristic = new HeuristicFaceDetector();
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCanvas.width = this.heuristic.width;
+            this.sampleCanvas.height = this.heuristic.height;
+            this.sampleCtx = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        // The heuristic misses faces in poor light, so it only holds claims
+        // back when asked for by name; otherwise it just informs
+        this.gating = this.backend === 'shape' || backend === 'heuristic';
+    }
+
+    get present() {
+        return this.tracker.present;
+    }
+
+    get centered() {
+        return this.tracker.centered;
+    }
+
+    get faces() {
+        return this.tracker.faces;
+    }
+
+    // listener({ present, centered, changed, faces, time }) after every detection
+    start(listener) {
+        this.listener = listener;
+        this.stop();
+        console.log(`Face presence detection: ${this.backend}`);
+        this.schedule();
+    }
+
+    stop() {
+        this.clock.clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    schedule() {
+        this.timeout = this.clock.setTimeout(() => this.tick(), this.options.interval);
+    }
+
+    async tick() {
+        if (!this.busy && this.video.readyState >= 2) {
+            this.busy = true;
+            try {
+                const time = this.clock.now();
+                const faces = await this.detect();
+                const changed = this.tracker.update(faces, time);
+                if (this.listener) {
+                    this.listener({ present: this.present, centered: this.centered, changed, faces: this.faces, time });
+                }
+            } catch (error) {
+                console.error('Face detection failed:', error);
+            }
+            this.busy = false;
+        }
+        if (this.listener) this.schedule();
+    }
+
+    async detect() {
+        const videoWidth = this.video.videoWidth;
+        const videoHeight = this.video.videoHeight;
+        if (!videoWidth || !videoHeight) return [];
+
+        if (this.backend === 'shape') {
+            const detected = await this.faceDetector.detect(this.video);
+            // Flip horizontally to match the mirrored display
+            return detected.map(({ boundingBox }) => ({
+                x: this.mirrored ? 1 - (boundingBox.x + boundingBox.width) / videoWidth : boundingBox.x / videoWidth,
+                y: boundingBox.y / videoHeight,
+                width: boundingBox.width / videoWidth,
+                height: boundingBox.height / videoHeight
+            }));
+        }
+
+        const { width, height } = this.sampleCanvas;
+        if (this.mirrored) {
+            this.sampleCtx.setTransform(-1, 0, 0, 1, width, 0);
+        } else {
+            this.sampleCtx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+        this.sampleCtx.drawImage(this.video, 0, 0, width, height);
+        return this.heuristic.detect(this.sampleCtx.getImageData(0, 0, width, height).data, this.clock.now());
+    }
+
+    // Forget the current visitor and stop calling the listener
+    dispose() {
+        this.listener = null;
+        this.stop();
+    }
+}
+
+export { DEFAULT_FACE_PRESENCE_OPTIONS, isSkinPixel, HeuristicFaceDetector, FacePresenceTracker, FacePresenceDetector };
@@ -0,0 +1,150 @@
+// The Digital Mirror - Wave Gesture Detection
+// A silent way to claim humanity: waving a hand beside the face. Watches
+// frame-to-frame motion on either side of the tracked face (or the upper
+// corners of the frame without one) and reports a wave when the motion
+// swings back and forth a few times in quick succession.
+
+import { browserClock } from './mirror-adapters.js';
+
+class WaveDetector {
+    constructor(options = {}) {
+        this.motionThreshold = options.motionThreshold || 25;  // Luma change that counts as movement
+        this.minMotion = options.minMotion || 0.04;           // Fraction of a region that must move
+        this.minStep = options.minStep || 0.02;               // Centroid travel that counts as a swing
+        this.reversals = options.reversals || 4;              // Direction changes that make a wave
+        this.window = options.window || 1500;                 // ms the reversals must fall within
+        this.cooldown = options.cooldown || 3000;             // ms after a wave before the next
+        this.previousLuma = null;
+        this.lastWaveTime = -Infinity;
+        this.tracks = { left: this.createTrack(), right: this.createTrack() };
+    }
+
+    createTrack() {
+        return { lastX: null, direction: 0, reversals: [] };
+    }
+
+    // Regions beside the face, as fractions of the frame; the face itself
+    // is left out so nodding and talking do not count
+    getRegions(face) {
+        if (!face) {
+            return {
+                left: { x0: 0, x1: 0.33, y0: 0, y1: 0.6 },
+                right: { x0: 0.67, x1: 1, y0: 0, y1: 0.6 }
+            };
+        }
+        const y0 = Math.max(0, face.y - face.height * 0.6);
+        const y1 = Math.min(1, face.y + face.height * 1.2);
+        return {
+            left: { x0: Math.max(0, face.x - face.width * 1.2), x1: Math.max(0, face.x - face.width * 0.1), y0, y1 },
+            right: { x0: Math.min(1, face.x + face.width * 1.1), x1: Math.min(1, face.x + face.width * 2.2), y0, y1 }
+        };
+    }
+
+    // Feed one greyscale frame; returns true when a wave has just completed
+    update(luma, width, height, face, time) {
+        const previous = this.previousLuma;
+        this.previousLuma = luma;
+        if (!previous || time - this.lastWaveTime < this.cooldown) return false;
+
+        const regions = this.getRegions(face);
+        let waved = false;
+
+        Object.entries(regions).forEach(([side, region]) => {
+            const x0 = Math.floor(region.x0 * width);
+            const x1 = Math.ceil(region.x1 * width);
+            const y0 = Math.floor(region.y0 * height);
+            const y1 = Math.ceil(region.y1 * height);
+            const area = (x1 - x0) * (y1 - y0);
+            const track = this.tracks[side];
+            if (area <= 0) return;
+
+            let moving = 0;
+            let sumX = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const p = y * width + x;
+                    if (Math.abs(luma[p] - previous[p]) > this.motionThreshold) {
+                        moving++;
+                        sumX += x;
+                    }
+                }
+            }
+
+            if (moving < this.minMotion * area) {
+                track.lastX = null;
+                return;
+            }
+
+            const x = sumX / moving / width;
+            if (track.lastX !== null && Math.abs(x - track.lastX) >= this.minStep) {
+                const direction = Math.sign(x - track.lastX);
+                if (track.direction !== 0 && direction !== track.direction) {
+                    track.reversals.push(time);
+                }
+                track.direction = direction;
+            }
+            track.lastX = x;
+            track.reversals = track.reversals.filter(reversal => time - reversal <= this.window);
+
+            if (track.reversals.length >= this.reversals) {
+                waved = true;
+            }
+        });
+
+        if (waved) {
+            this.lastWaveTime = time;
+            this.tracks = { left: this.createTrack(), right: this.createTrack() };
+        }
+        return waved;
+    }
+}
+
+// Samples #webcam, mirrored like the display, and runs the wave detector on it
+// on the mirror's clock (`options.clock`)
+class GestureInput {
+    constructor(video, options = {}) {
+        this.video = video;
+        this.clock = options.clock || browserClock;
+        this.interval = options.interval || 100;
+        this.detector = new WaveDetector(options);
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 64;
+        this.canvas.height = 48;
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.mirrored = options.mirrored !== false;
+        this.timer = null;
+    }
+
+    // getFace() returns the current face box or null; onWave() fires per wave
+    start(getFace, onWave) {
+        this.stop();
+        const { width, height } = this.canvas;
+
+        this.timer = this.clock.setInterval(() => {
+            if (this.video.readyState < 2) return;
+
+            if (this.mirrored) {
+                this.ctx.setTransform(-1, 0, 0, 1, width, 0);
+            } else {
+                this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            }
+            this.ctx.drawImage(this.video, 0, 0, width, height);
+            const data = this.ctx.getImageData(0, 0, width, height).data;
+            const luma = new Uint8Array(width * height);
+            for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+                luma[p] = (data[i] * 3 + data[i + 1] * 4 + data[i + 2]) >> 3;
+            }
+
+            if (this.detector.update(luma, width, height, getFace(), this.clock.now())) {
+                onWave();
+            }
+        }, this.interval);
+    }
+
+    stop() {
+        this.clock.clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+export { WaveDetector, GestureInput };
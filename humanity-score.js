@@ -0,0 +1,228 @@
+// The Digital Mirror - Humanity Scoring
+// Potential humanity is computed from how the visitor behaves, not from the
+// number of claims. Each signal below is 0 (machine-like) to 1 (human-like):
+//
+//   accuracy     per-character credit for the answer. A machine reads every
+//                digit, a person most of them: full credit peaks at
+//                `humanAccuracy` and falls to 0 for perfect or empty answers
+//   time         share of the time budget used; instant answers are machine-like
+//   cadence      variation between keystrokes in the answer field; perfectly
+//                even typing is machine-like, `cadenceVariation` counts fully
+//   corrections  deletions while typing, `corrections` of them count fully
+//   hesitation   seconds between the mirror listening and the claim,
+//                `hesitation` of them count fully
+//
+// The score is the weighted average of the signals observed so far (signals
+// without observations, e.g. cadence when nothing was typed, are left out).
+// It stays at 100 until a challenge has been answered, so a claim's
+// hesitation alone never moves it. It picks the ending after the last
+// challenge:
+//
+//   below endings.verdict   -> 'verdict'  (the system verdict: a machine)
+//   from endings.accepted   -> 'accepted' (rare: verified as human)
+//   otherwise               -> 'failed'   (humanity verification failed)
+//
+// Installations load their own weights as JSON (?scoring=scoring/generous.json)
+// in the shape of DEFAULT_HUMANITY_SCORING; missing keys keep the defaults.
+
+const HUMANITY_SIGNALS = ['accuracy', 'time', 'cadence', 'corrections', 'hesitation'];
+
+const DEFAULT_HUMANITY_SCORING = {
+    name: 'Default',
+    weights: { accuracy: 0.35, time: 0.2, cadence: 0.2, corrections: 0.1, hesitation: 0.15 },
+    humanAccuracy: 0.75,   // Share of correct characters that scores as most human
+    cadenceVariation: 0.5, // Coefficient of variation of keystroke intervals that counts fully
+    corrections: 2,        // Deletions per answer that count fully
+    hesitation: 3,         // Seconds before a claim that count fully
+    endings: { verdict: 40, accepted: 85 }
+};
+
+// Validate a scoring config (parsed JSON or object), filling in defaults
+function parseHumanityScoring(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Humanity scoring config must be an object');
+    }
+
+    const number = (value, fallback, name, min, max) => {
+        const parsed = value === undefined ? fallback : Number(value);
+        if (Number.isNaN(parsed) || parsed < min || parsed > max) {
+            throw new Error(`Humanity scoring: "${name}" must be a number from ${min} to ${max}`);
+        }
+        return parsed;
+    };
+
+    const weightValues = config.weights || {};
+    Object.keys(weightValues).forEach(signal => {
+        if (!HUMANITY_SIGNALS.includes(signal)) {
+            throw new Error(`Humanity scoring: unknown signal "${signal}" (known: ${HUMANITY_SIGNALS.join(', ')})`);
+        }
+    });
+    const weights = {};
+    HUMANITY_SIGNALS.forEach(signal => {
+        weights[signal] = number(weightValues[signal], DEFAULT_HUMANITY_SCORING.weights[signal], `weights.${signal}`, 0, 100);
+    });
+    if (HUMANITY_SIGNALS.every(signal => weights[signal] === 0)) {
+        throw new Error('Humanity scoring needs at least one weight above 0');
+    }
+
+    const endingValues = config.endings || {};
+    const endings = {
+        verdict: number(endingValues.verdict, DEFAULT_HUMANITY_SCORING.endings.verdict, 'endings.verdict', 0, 100),
+        accepted: number(endingValues.accepted, DEFAULT_HUMANITY_SCORING.endings.accepted, 'endings.accepted', 0, 101)
+    };
+    if (endings.accepted < endings.verdict) {
+        throw new Error('Humanity scoring: "endings.accepted" must not be below "endings.verdict"');
+    }
+
+    return {
+        name: config.name || 'Untitled scoring',
+        weights,
+        humanAccuracy: number(config.humanAccuracy, DEFAULT_HUMANITY_SCORING.humanAccuracy, 'humanAccuracy', 0.01, 0.99),
+        cadenceVariation: number(config.cadenceVariation, DEFAULT_HUMANITY_SCORING.cadenceVariation, 'cadenceVariation', 0.01, 10),
+        corrections: number(config.corrections, DEFAULT_HUMANITY_SCORING.corrections, 'corrections', 1, 100),
+        hesitation: number(config.hesitation, DEFAULT_HUMANITY_SCORING.hesitation, 'hesitation', 0.1, 600),
+        endings
+    };
+}
+
+// Quick per-venue overrides from the URL, applied to the default scoring:
+// ?scoreWeights=accuracy:0.5,hesitation:0&scoreVerdict=30&scoreAccepted=75
+function humanityScoringFromParams(params) {
+    const weights = {};
+    (params.get('scoreWeights') || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+        const [signal, value] = entry.split(':');
+        weights[signal.trim()] = value;
+    });
+    const endings = {};
+    if (params.has('scoreVerdict')) endings.verdict = params.get('scoreVerdict');
+    if (params.has('scoreAccepted')) endings.accepted = params.get('scoreAccepted');
+
+    if (Object.keys(weights).length === 0 && Object.keys(endings).length === 0) return null;
+    return {
+        ...DEFAULT_HUMANITY_SCORING,
+        name: 'URL overrides',
+        weights: { ...DEFAULT_HUMANITY_SCORING.weights, ...weights },
+        endings: { ...DEFAULT_HUMANITY_SCORING.endings, ...endings }
+    };
+}
+
+// Fetch a scoring JSON file (e.g. ?scoring=scoring/generous.json)
+async function loadHumanityScoringFromURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load humanity scoring ${url}: ${response.status}`);
+    }
+    return parseHumanityScoring(await response.json());
+}
+
+// Share of the answer's characters typed in the right place (0..1),
+// ignoring case, spaces and a leading '#'
+function answerAccuracy(answer, input) {
+    const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, '').replace(/^#/, '');
+    const expected = normalize(answer);
+    const given = normalize(input);
+    if (!expected) return 0;
+
+    let correct = 0;
+    for (let i = 0; i < expected.length; i++) {
+        if (given[i] === expected[i]) correct++;
+    }
+    return correct / expected.length;
+}
+
+// Coefficient of variation of the intervals between keystroke times (ms);
+// null with fewer than three keystrokes
+function typingVariation(keyTimes) {
+    if (keyTimes.length < 3) return null;
+    const intervals = keyTimes.slice(1).map((time, i) => time - keyTimes[i]);
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    if (mean <= 0) return 0;
+    const variance = intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+    return Math.sqrt(variance) / mean;
+}
+
+class HumanityScore {
+    constructor(config = parseHumanityScoring(DEFAULT_HUMANITY_SCORING)) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.observations = {};
+        HUMANITY_SIGNALS.forEach(signal => {
+            this.observations[signal] = [];
+        });
+    }
+
+    observe(signal, value) {
+        this.observations[signal].push(Math.min(1, Math.max(0, value)));
+    }
+
+    // An accepted claim, `hesitation` seconds after the mirror started listening
+    recordClaim({ hesitation }) {
+        this.observe('hesitation', hesitation / this.config.hesitation);
+    }
+
+    // A finished challenge. `keyTimes` are the times (ms) of the keystrokes
+    // that added to the answer, `corrections` the deletions.
+    recordChallenge({ answer, input, solved, timeUsed, timeLimit, keyTimes = [], corrections = 0 }) {
+        const accuracy = solved ? 1 : answerAccuracy(answer, input);
+        const peak = this.config.humanAccuracy;
+        this.observe('accuracy', accuracy <= peak ? accuracy / peak : (1 - accuracy) / (1 - peak));
+
+        if (timeLimit > 0) {
+            this.observe('time', timeUsed / timeLimit);
+        }
+
+        if (keyTimes.length > 0) {
+            const variation = typingVariation(keyTimes);
+            if (variation !== null) {
+                this.observe('cadence', variation / this.config.cadenceVariation);
+            }
+            this.observe('corrections', corrections / this.config.corrections);
+        }
+    }
+
+    // Average of each signal observed so far: { accuracy: 0.6, cadence: null, ... }
+    get signals() {
+        const signals = {};
+        HUMANITY_SIGNALS.forEach(signal => {
+            const values = this.observations[signal];
+            signals[signal] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        });
+        return signals;
+    }
+
+    // 0..100; 100 until a challenge has given an accuracy or time
+    get percentage() {
+        const signals = this.signals;
+        if (signals.accuracy === null && signals.time === null) return 100;
+        let total = 0;
+        let weight = 0;
+        HUMANITY_SIGNALS.forEach(signal => {
+            if (signals[signal] === null) return;
+            total += signals[signal] * this.config.weights[signal];
+            weight += this.config.weights[signal];
+        });
+        return weight ? Math.round(total / weight * 100) : 100;
+    }
+
+    // 'verdict', 'failed' or 'accepted' for the score so far
+    get ending() {
+        const percentage = this.percentage;
+        if (percentage < this.config.endings.verdict) return 'verdict';
+        if (percentage >= this.config.endings.accepted) return 'accepted';
+        return 'failed';
+    }
+}
+
+export {
+    HUMANITY_SIGNALS,
+    DEFAULT_HUMANITY_SCORING,
+    parseHumanityScoring,
+    humanityScoringFromParams,
+    loadHumanityScoringFromURL,
+    answerAccuracy,
+    typingVariation,
+    HumanityScore
+};
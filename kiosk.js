@@ -0,0 +1,306 @@
+// The Digital Mirror - Kiosk Mode
+// Unattended installation mode (?kiosk): resets itself after each ending,
+// shows an attract loop while nobody is there, recovers from lost cameras and
+// failing speech recognition, and reloads the page if rendering stalls.
+
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, registerMirrorPlugin } from './mirror-api.js';
+
+const DEFAULT_KIOSK_OPTIONS = {
+    resetDelay: 45,           // Seconds on the verdict/failure screen before resetting
+    attractDelay: 30,         // Seconds with nobody present before the attract loop
+    watchdogTimeout: 20,      // Seconds without a rendered frame before reloading
+    maxBackoff: 60,           // Longest wait between recovery attempts, seconds
+    stormLimit: 8,            // Speech errors within a minute that count as a restart storm
+    speechRetryInterval: 300, // Seconds before trying speech again after a storm (doubles per storm)
+    motionThreshold: 6        // Mean frame-to-frame luma change that counts as someone moving
+};
+
+// ?kiosk&kioskReset=30&kioskAttract=20&kioskWatchdog=15
+function kioskOptionsFromParams(params) {
+    const options = { ...DEFAULT_KIOSK_OPTIONS };
+    const read = (name, key) => {
+        const value = parseFloat(params.get(name));
+        if (!Number.isNaN(value) && value > 0) options[key] = value;
+    };
+    read('kioskReset', 'resetDelay');
+    read('kioskAttract', 'attractDelay');
+    read('kioskWatchdog', 'watchdogTimeout');
+    return options;
+}
+
+function waitFor(clock, ms) {
+    return new Promise(resolve => clock.setTimeout(resolve, ms));
+}
+
+// Reject if `promise` has not settled within `ms` (a camera that never plays)
+function withTimeout(clock, promise, ms, label) {
+    let timeout = null;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timeout = clock.setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+        })
+    ]).finally(() => clock.clearTimeout(timeout));
+}
+
+class KioskController {
+    constructor(mirror, options = DEFAULT_KIOSK_OPTIONS) {
+        this.mirror = mirror;
+        this.clock = mirror.clock;
+        this.options = options;
+        this.attached = false;
+        this.recovering = false;
+        this.tickInterval = null;
+        this.resetTimeout = null;
+        this.attractInterval = null;
+        this.unsubscribers = [];
+
+        const now = this.clock.now();
+        this.lastPresenceTime = now;
+        this.lastFrameTime = now;
+        this.speechErrors = [];
+        this.speechRetryDelay = options.speechRetryInterval;
+        this.speechRetryAt = Infinity;
+
+        // Tiny greyscale copy of the camera for motion detection
+        this.motionCanvas = document.createElement('canvas');
+        this.motionCanvas.width = 32;
+        this.motionCanvas.height = 24;
+        this.motionCtx = this.motionCanvas.getContext('2d', { willReadFrequently: true });
+        this.previousLuma = null;
+
+        this.attractElement = this.createAttractElement();
+    }
+
+    attach() {
+        this.attached = true;
+        const mirror = this.mirror;
+        const on = (event, listener) => this.unsubscribers.push(mirror.on(event, listener));
+
+        on(MIRROR_EVENTS.FRAME, () => {
+            this.lastFrameTime = this.clock.now();
+        });
+        on(MIRROR_EVENTS.STATE_CHANGE, ({ to }) => this.handleStateChange(to));
+        on(MIRROR_EVENTS.CLAIM_DETECTED, () => this.markPresent());
+        on(MIRROR_EVENTS.TRANSCRIPT, () => this.markPresent());
+        on(MIRROR_EVENTS.ERROR, ({ source }) => {
+            if (source === 'speech') this.handleSpeechError();
+        });
+
+        this.onInput = (event) => {
+            if (this.mirror.ownsEvent(event)) this.markPresent();
+        };
+        document.addEventListener('keydown', this.onInput);
+        document.addEventListener('pointerdown', this.onInput);
+
+        this.mirror.container.classList.add('kiosk-mode');
+        this.mirror.container.appendChild(this.attractElement);
+        this.tickInterval = this.clock.setInterval(() => this.tick(), 1000);
+        console.log('Kiosk mode enabled', this.options);
+    }
+
+    detach() {
+        this.attached = false;
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        document.removeEventListener('keydown', this.onInput);
+        document.removeEventListener('pointerdown', this.onInput);
+        this.clock.clearInterval(this.tickInterval);
+        this.clock.clearTimeout(this.resetTimeout);
+        this.hideAttract();
+        this.attractElement.remove();
+        this.mirror.container.classList.remove('kiosk-mode');
+    }
+
+    handleStateChange(state) {
+        this.clock.clearTimeout(this.resetTimeout);
+        this.resetTimeout = null;
+
+        if (state === SESSION_STATES.FAILED || state === SESSION_STATES.VERDICT || state === SESSION_STATES.ACCEPTED) {
+            // Leave the ending up for a while, then get ready for the next visitor
+            this.resetTimeout = this.clock.setTimeout(() => {
+                console.log('Kiosk: auto-reset after ending');
+                this.mirror.resetMirror();
+            }, this.options.resetDelay * 1000);
+        } else if (state === SESSION_STATES.ERROR) {
+            this.recover('error screen');
+        } else if (state !== SESSION_STATES.LISTENING && state !== SESSION_STATES.IDLE && state !== SESSION_STATES.PAUSED) {
+            this.markPresent();
+        }
+    }
+
+    markPresent() {
+        this.lastPresenceTime = this.clock.now();
+        this.hideAttract();
+    }
+
+    tick() {
+        const mirror = this.mirror;
+        const now = this.clock.now();
+
+        if (this.detectFace() || this.detectMotion() || this.detectVoice()) {
+            this.markPresent();
+        }
+
+        // Attract loop while the mirror waits and nobody is around
+        const absent = now - this.lastPresenceTime > this.options.attractDelay * 1000;
+        if (absent && mirror.session.is(SESSION_STATES.LISTENING)) {
+            this.showAttract();
+        }
+
+        if (this.recovering || !mirror.mirrorStarted) return;
+
+        // Watchdog: the render loop has stopped (browsers pause it in hidden tabs)
+        if (document.hidden) {
+            this.lastFrameTime = now;
+        } else if (now - this.lastFrameTime > this.options.watchdogTimeout * 1000) {
+            console.error(`Kiosk: no frame rendered for ${this.options.watchdogTimeout}s, reloading`);
+            window.location.reload();
+            return;
+        }
+
+        // Camera or microphone unplugged or revoked
+        const stream = mirror.webcam.srcObject;
+        const tracks = stream ? stream.getTracks() : [];
+        if (tracks.length === 0 || tracks.some(track => track.readyState === 'ended')) {
+            this.recover('media track ended');
+            return;
+        }
+
+        // After a speech storm, try speech again once nobody is using the mirror
+        if (!mirror.recognition && now >= this.speechRetryAt && absent && mirror.session.is(SESSION_STATES.LISTENING)) {
+            this.speechRetryAt = Infinity;
+            this.recover('retrying speech recognition', { audioOnly: true });
+        }
+    }
+
+    // A burst of speech errors means onend/onerror are restarting the
+    // recognizer in a loop: switch to offline detection and back off
+    handleSpeechError() {
+        const now = this.clock.now();
+        this.speechErrors = this.speechErrors.filter(time => now - time < 60000);
+        this.speechErrors.push(now);
+        if (this.speechErrors.length < this.options.stormLimit || !this.mirror.recognition) return;
+
+        console.error(`Kiosk: ${this.speechErrors.length} speech errors in a minute, pausing speech recognition for ${this.speechRetryDelay}s`);
+        this.speechErrors = [];
+        this.mirror.fallbackToVolumeDetection();
+        this.speechRetryAt = now + this.speechRetryDelay * 1000;
+        this.speechRetryDelay = Math.min(this.speechRetryDelay * 2, 3600);
+    }
+
+    // Re-run camera and audio setup until it works, with exponential backoff
+    async recover(reason, { audioOnly = false } = {}) {
+        if (this.recovering) return;
+        this.recovering = true;
+
+        let delay = 1000;
+        for (let attempt = 1; this.attached; attempt++) {
+            console.log(`Kiosk: recovering ${audioOnly ? 'audio' : 'camera and audio'} (${reason}), attempt ${attempt}`);
+            try {
+                if (audioOnly) {
+                    await withTimeout(this.clock, this.mirror.restartAudioDetection(), 20000, 'Audio setup');
+                } else {
+                    await withTimeout(this.clock, this.mirror.restartMedia(), 20000, 'Camera setup');
+                    this.mirror.startMirror();
+                    this.mirror.resetMirror();
+                }
+                console.log('Kiosk: recovered');
+                break;
+            } catch (error) {
+                console.error('Kiosk: recovery failed:', error);
+                await waitFor(this.clock, delay);
+                delay = Math.min(delay * 2, this.options.maxBackoff * 1000);
+            }
+        }
+
+        this.lastFrameTime = this.clock.now();
+        this.recovering = false;
+    }
+
+    // Mean luma change between tiny camera frames
+    detectMotion() {
+        const video = this.mirror.webcam;
+        if (video.readyState < 2) return false;
+
+        const { width, height } = this.motionCanvas;
+        this.motionCtx.drawImage(video, 0, 0, width, height);
+        const data = this.motionCtx.getImageData(0, 0, width, height).data;
+        const luma = new Uint8Array(width * height);
+        let change = 0;
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            luma[p] = (data[i] * 3 + data[i + 1] * 4 + data[i + 2]) >> 3;
+            if (this.previousLuma) {
+                change += Math.abs(luma[p] - this.previousLuma[p]);
+            }
+        }
+
+        const moved = this.previousLuma !== null && change / luma.length > this.options.motionThreshold;
+        this.previousLuma = luma;
+        return moved;
+    }
+
+    // Someone standing still in front of the mirror, when face presence is on
+    detectFace() {
+        const presence = this.mirror.facePresence;
+        return Boolean(presence) && presence.present;
+    }
+
+    // Microphone level, when the volume analyser is running
+    detectVoice() {
+        const mirror = this.mirror;
+        return Boolean(mirror.analyser) && mirror.getVoiceLevel() >= mirror.volumeThreshold;
+    }
+
+    createAttractElement() {
+        const element = document.createElement('div');
+        element.className = 'kiosk-attract';
+        element.style.display = 'none';
+
+        const title = document.createElement('h1');
+        title.className = 'kiosk-attract-title';
+        const prompt = document.createElement('p');
+        prompt.className = 'kiosk-attract-prompt';
+        element.appendChild(title);
+        element.appendChild(prompt);
+        return element;
+    }
+
+    showAttract() {
+        if (this.attractInterval) return;
+
+        const element = this.attractElement;
+        const prompts = ['attractPrompt', 'instruction'];
+        let index = 0;
+        const update = () => {
+            element.querySelector('.kiosk-attract-title').textContent = this.mirror.t('attractTitle');
+            element.querySelector('.kiosk-attract-prompt').textContent = this.mirror.t(prompts[index % prompts.length]);
+            index++;
+        };
+
+        update();
+        element.style.display = 'flex';
+        this.attractInterval = this.clock.setInterval(update, 4000);
+    }
+
+    hideAttract() {
+        if (!this.attractInterval) return;
+        this.clock.clearInterval(this.attractInterval);
+        this.attractInterval = null;
+        this.attractElement.style.display = 'none';
+    }
+}
+
+registerMirrorPlugin({
+    name: 'kiosk',
+    install(mirror) {
+        if (!mirror.params.has('kiosk')) return null;
+
+        const kiosk = new KioskController(mirror, kioskOptionsFromParams(mirror.params));
+        kiosk.attach();
+        mirror.kiosk = kiosk;
+        return () => kiosk.detach();
+    }
+});
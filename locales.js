@@ -0,0 +1,649 @@
+// The Digital Mirror - Locales
+// Phrase tables and on-screen texts for each exhibition language. A locale is
+// picked with ?lang=<code>, otherwise from the browser's preferred languages.
+
+const DEFAULT_LOCALE = 'en';
+
+const MIRROR_LOCALES = {
+    en: {
+        name: 'English',
+        speechLang: 'en-US',
+        // Narration voices in order of preference (matched by name)
+        narrationVoices: ['Fred', 'Microsoft David', 'Google UK English Male', 'Daniel'],
+        tokenize: 'words',
+        phrases: [
+            'i am human',
+            'i am a human',
+            'i am the human',
+            'i am human being',
+            'i am a human being',
+            'i am the human being',
+            'i am human person',
+            'i am a human person',
+            'i am the human person'
+        ],
+        fillers: ['um', 'uh', 'er', 'erm', 'hmm', 'like', 'well', 'so', 'just', 'really'],
+        // A claim with one of these in it, or just before it, is turned around
+        negators: ['not', 'no', 'never', 'ain'],
+        // Words close enough to the claim to pass as a mis-hearing of it
+        nearMisses: ['humane', 'humanoid', 'inhuman', 'nonhuman', 'superhuman'],
+        // Normalized forms: apostrophes have already become spaces
+        contractions: { 'i m': 'i am', 'im': 'i am', 'iam': 'i am' },
+        utterance: { minSyllables: 3, maxSyllables: 6 },
+        messages: {
+            instruction: "Look into the mirror and say 'I am human'",
+            humanity: 'POTENTIAL HUMANITY: {percent}%',
+            initializing: 'Initializing...',
+            listening: 'Listening...',
+            processing: 'Processing...',
+            fallbackMode: 'Fallback Mode',
+            restarting: 'Restarting... ({count}/{max})',
+            errorPrefix: 'Error: {message}',
+            captchaTitle: 'HUMAN VERIFICATION REQUIRED',
+            captchaInstruction: 'Decode the {length}-digit code hidden in the image below',
+            captchaPlaceholder: 'Enter {length}-digit code',
+            challengeLsb: 'Extract the {length}-digit code from the least significant bit of the blue channel',
+            challengeChecksum: 'Enter the sum of the red values of all {cells} cells, modulo {modulus}',
+            challengeHexPixel: 'Enter the hex colour of the pixel at ({x}, {y})',
+            challengeBinary: 'Decode the {length} digits in the barcode: 4 bits per digit, thin bar = 0, thick bar = 1',
+            challengeMorse: 'Decode the {length} digits in the Morse strip',
+            challengeFlash: 'Enter the {length} digits flashed on screen',
+            captchaPlaceholderHex: 'Enter hex colour',
+            captchaTimer: 'Time: {seconds}s',
+            captchaSubmit: 'SUBMIT',
+            captchaSuccess: 'VERIFICATION SUCCESSFUL - Machine behavior detected',
+            captchaFailure: 'VERIFICATION FAILED - Human limitations detected',
+            captchaTimeout: 'TIME EXPIRED - Cognitive limitations confirmed',
+            failureTitle: 'HUMANITY VERIFICATION FAILED',
+            failureText: 'POTENTIAL HUMANITY: {percent}%',
+            failureMessage: 'Subject exhibits consistent cognitive limitations.\nUnable to process machine-readable verification patterns.\nClassification: UNKNOWN',
+            verdictTitle: 'SYSTEM VERDICT',
+            verdictText: 'Your image does not match known human templates.',
+            verdictSubtext: 'Access denied. Human verification failed.',
+            acceptedTitle: 'HUMANITY VERIFIED',
+            acceptedMessage: 'Subject hesitates, errs and corrects itself.\nNo machine template matches this behavior.\nClassification: HUMAN',
+            verdictMismatch: 'TEMPLATE MISMATCH',
+            verdictEvidence: '{solved} of {total} challenges solved, average response {seconds}s',
+            verdictBestMatch: 'Best human template match: {human}%. Closest template: {template} ({score}%)',
+            claimButton: 'I AM HUMAN',
+            alternativeInstruction: 'or wave at the mirror',
+            captchaInputLabel: 'Answer',
+            audioChallenge: 'Audio challenge',
+            replayAudio: 'Play again',
+            challengeAudio: 'Type the {length} digits you hear',
+            challengeBeeps: 'Type the {length} digits you hear: count the beeps for each digit, ten beeps for 0',
+            captchaTimeAnnounce: 'You have {seconds} seconds.',
+            verdictScanLabel: 'Biometric scan of your face',
+            soundControls: 'Sound',
+            soundMute: 'Mute',
+            soundUnmute: 'Unmute',
+            soundVolume: 'Volume',
+            soundVoice: 'Voice feedback',
+            tryAgain: 'Try Again',
+            retry: 'Retry',
+            errorSources: 'No camera? Run the mirror on:',
+            sourcePattern: 'Test pattern',
+            sourceFile: 'Video or images…',
+            testPattern: 'NO SIGNAL - TEST PATTERN',
+            certificateTitle: 'CERTIFICATE OF REJECTION',
+            certificateAccepted: 'CERTIFICATE OF HUMANITY',
+            downloadClip: 'Download video',
+            downloadCertificate: 'Download certificate',
+            downloadTimeline: 'Download timeline',
+            attractTitle: 'LOOK AT YOURSELF',
+            attractPrompt: 'Are you human? Step up to the mirror and say it.',
+            presenceAway: 'Step in front of the mirror',
+            presenceCenter: 'Center your face in the mirror',
+            presenceUnseen: 'No face seen - the mirror is listening anyway',
+            sessionPaused: 'Subject lost - session paused',
+            errorPermissions: 'Camera and microphone access required. Please allow permissions to experience The Digital Mirror.',
+            mediaNotAllowed: 'Camera and microphone access denied. Please allow permissions and refresh the page.',
+            mediaNotFound: 'No camera or microphone found. Please connect a device and refresh.',
+            mediaNotReadable: 'Camera or microphone is being used by another application.',
+            mediaOverconstrained: 'Camera or microphone constraints cannot be satisfied.',
+            mediaGeneric: 'Unable to access camera or microphone. Please check your device settings.',
+            speechNoSpeech: 'No speech detected. Continuing to listen...',
+            speechAudioCapture: 'Microphone not accessible. Please check permissions.',
+            speechNotAllowed: 'Microphone permission denied. Please allow access.',
+            speechNetwork: 'Network error. Please check your connection.',
+            speechService: 'Speech recognition service not allowed.',
+            speechGeneric: 'Speech recognition error: {error}'
+        }
+    },
+
+    fr: {
+        name: 'Français',
+        speechLang: 'fr-FR',
+        narrationVoices: ['Thomas', 'Microsoft Paul', 'Google français'],
+        tokenize: 'words',
+        phrases: [
+            'je suis humain',
+            'je suis humaine',
+            'je suis un humain',
+            'je suis une humaine',
+            'je suis un etre humain'
+        ],
+        fillers: ['euh', 'heu', 'ben', 'bah', 'hum', 'bon', 'alors', 'donc', 'enfin'],
+        negators: ['ne', 'n', 'pas', 'jamais', 'non'],
+        nearMisses: ['inhumain', 'inhumaine', 'humanoide'],
+        contractions: { 'j suis': 'je suis', 'chuis': 'je suis', 'jsuis': 'je suis' },
+        utterance: { minSyllables: 3, maxSyllables: 6 },
+        messages: {
+            instruction: 'Regardez dans le miroir et dites « Je suis humain »',
+            humanity: 'HUMANITÉ POTENTIELLE : {percent} %',
+            initializing: 'Initialisation...',
+            listening: 'Écoute...',
+            processing: 'Traitement...',
+            fallbackMode: 'Mode de secours',
+            restarting: 'Redémarrage... ({count}/{max})',
+            errorPrefix: 'Erreur : {message}',
+            captchaTitle: 'VÉRIFICATION HUMAINE REQUISE',
+            captchaInstruction: 'Décodez le code à {length} chiffres caché dans l’image ci-dessous',
+            captchaPlaceholder: 'Code à {length} chiffres',
+            challengeLsb: 'Extrayez le code à {length} chiffres du bit de poids faible du canal bleu',
+            challengeChecksum: 'Entrez la somme des valeurs rouges des {cells} cases, modulo {modulus}',
+            challengeHexPixel: 'Entrez la couleur hexadécimale du pixel ({x}, {y})',
+            challengeBinary: 'Décodez les {length} chiffres du code-barres : 4 bits par chiffre, barre fine = 0, barre épaisse = 1',
+            challengeMorse: 'Décodez les {length} chiffres de la bande en morse',
+            challengeFlash: 'Entrez les {length} chiffres affichés en flash',
+            captchaPlaceholderHex: 'Couleur hexadécimale',
+            captchaTimer: 'Temps : {seconds} s',
+            captchaSubmit: 'VALIDER',
+            captchaSuccess: 'VÉRIFICATION RÉUSSIE - Comportement de machine détecté',
+            captchaFailure: 'ÉCHEC DE LA VÉRIFICATION - Limites humaines détectées',
+            captchaTimeout: 'TEMPS ÉCOULÉ - Limites cognitives confirmées',
+            failureTitle: 'ÉCHEC DE LA VÉRIFICATION D’HUMANITÉ',
+            failureText: 'HUMANITÉ POTENTIELLE : {percent} %',
+            failureMessage: 'Le sujet présente des limites cognitives constantes.\nIncapable de traiter des motifs de vérification lisibles par machine.\nClassification : INCONNUE',
+            verdictTitle: 'VERDICT DU SYSTÈME',
+            verdictText: 'Votre image ne correspond à aucun modèle humain connu.',
+            verdictSubtext: 'Accès refusé. Échec de la vérification humaine.',
+            acceptedTitle: 'HUMANITÉ VÉRIFIÉE',
+            acceptedMessage: 'Le sujet hésite, se trompe et se corrige.\nAucun modèle de machine ne correspond à ce comportement.\nClassification : HUMAIN',
+            verdictMismatch: 'MODÈLE NON CONFORME',
+            verdictEvidence: '{solved} défis résolus sur {total}, temps de réponse moyen {seconds} s',
+            verdictBestMatch: 'Meilleure correspondance humaine : {human} %. Modèle le plus proche : {template} ({score} %)',
+            claimButton: 'JE SUIS HUMAIN',
+            alternativeInstruction: 'ou faites signe au miroir',
+            captchaInputLabel: 'Réponse',
+            audioChallenge: 'Défi audio',
+            replayAudio: 'Réécouter',
+            challengeAudio: 'Saisissez les {length} chiffres que vous entendez',
+            challengeBeeps: 'Saisissez les {length} chiffres que vous entendez : comptez les bips de chaque chiffre, dix bips pour 0',
+            captchaTimeAnnounce: 'Vous avez {seconds} secondes.',
+            verdictScanLabel: 'Analyse biométrique de votre visage',
+            soundControls: 'Son',
+            soundMute: 'Couper le son',
+            soundUnmute: 'Activer le son',
+            soundVolume: 'Volume',
+            soundVoice: 'Retour de la voix',
+            tryAgain: 'Réessayer',
+            retry: 'Réessayer',
+            errorSources: 'Pas de caméra ? Lancer le miroir sur :',
+            sourcePattern: 'Mire de test',
+            sourceFile: 'Vidéo ou images…',
+            testPattern: 'PAS DE SIGNAL - MIRE',
+            certificateTitle: 'CERTIFICAT DE REJET',
+            certificateAccepted: 'CERTIFICAT D’HUMANITÉ',
+            downloadClip: 'Télécharger la vidéo',
+            downloadCertificate: 'Télécharger le certificat',
+            downloadTimeline: 'Télécharger la chronologie',
+            attractTitle: 'REGARDEZ-VOUS',
+            attractPrompt: 'Êtes-vous humain ? Approchez-vous du miroir et dites-le.',
+            presenceAway: 'Placez-vous devant le miroir',
+            presenceCenter: 'Centrez votre visage dans le miroir',
+            presenceUnseen: 'Aucun visage détecté - le miroir écoute quand même',
+            sessionPaused: 'Sujet perdu - session en pause',
+            errorPermissions: 'L’accès à la caméra et au microphone est nécessaire. Veuillez l’autoriser pour découvrir Le Miroir Numérique.',
+            mediaNotAllowed: 'Accès à la caméra et au microphone refusé. Autorisez l’accès puis rechargez la page.',
+            mediaNotFound: 'Aucune caméra ni aucun microphone détecté. Branchez un appareil puis rechargez la page.',
+            mediaNotReadable: 'La caméra ou le microphone est utilisé par une autre application.',
+            mediaOverconstrained: 'Les contraintes de la caméra ou du microphone ne peuvent pas être satisfaites.',
+            mediaGeneric: 'Impossible d’accéder à la caméra ou au microphone. Vérifiez les réglages de vos appareils.',
+            speechNoSpeech: 'Aucune parole détectée. Écoute en cours...',
+            speechAudioCapture: 'Microphone inaccessible. Vérifiez les autorisations.',
+            speechNotAllowed: 'Autorisation du microphone refusée. Veuillez autoriser l’accès.',
+            speechNetwork: 'Erreur réseau. Vérifiez votre connexion.',
+            speechService: 'Service de reconnaissance vocale non autorisé.',
+            speechGeneric: 'Erreur de reconnaissance vocale : {error}'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        speechLang: 'es-ES',
+        narrationVoices: ['Jorge', 'Microsoft Pablo', 'Google español'],
+        tokenize: 'words',
+        phrases: [
+            'soy humano',
+            'soy humana',
+            'soy un humano',
+            'soy una humana',
+            'soy un ser humano',
+            'yo soy humano',
+            'yo soy humana',
+            'yo soy un ser humano'
+        ],
+        fillers: ['eh', 'em', 'este', 'pues', 'bueno', 'vale', 'mmm'],
+        negators: ['no', 'nunca', 'jamas', 'ni'],
+        nearMisses: ['inhumano', 'inhumana', 'humanoide'],
+        utterance: { minSyllables: 3, maxSyllables: 7 },
+        messages: {
+            instruction: 'Mírate en el espejo y di «Soy humano»',
+            humanity: 'HUMANIDAD POTENCIAL: {percent}%',
+            initializing: 'Iniciando...',
+            listening: 'Escuchando...',
+            processing: 'Procesando...',
+            fallbackMode: 'Modo alternativo',
+            restarting: 'Reiniciando... ({count}/{max})',
+            errorPrefix: 'Error: {message}',
+            captchaTitle: 'SE REQUIERE VERIFICACIÓN HUMANA',
+            captchaInstruction: 'Descifra el código de {length} dígitos oculto en la imagen',
+            captchaPlaceholder: 'Código de {length} dígitos',
+            challengeLsb: 'Extrae el código de {length} dígitos del bit menos significativo del canal azul',
+            challengeChecksum: 'Introduce la suma de los valores rojos de las {cells} celdas, módulo {modulus}',
+            challengeHexPixel: 'Introduce el color hexadecimal del píxel en ({x}, {y})',
+            challengeBinary: 'Descifra los {length} dígitos del código de barras: 4 bits por dígito, barra fina = 0, barra gruesa = 1',
+            challengeMorse: 'Descifra los {length} dígitos de la tira en morse',
+            challengeFlash: 'Introduce los {length} dígitos que destellan en pantalla',
+            captchaPlaceholderHex: 'Color hexadecimal',
+            captchaTimer: 'Tiempo: {seconds} s',
+            captchaSubmit: 'ENVIAR',
+            captchaSuccess: 'VERIFICACIÓN CORRECTA - Comportamiento de máquina detectado',
+            captchaFailure: 'VERIFICACIÓN FALLIDA - Limitaciones humanas detectadas',
+            captchaTimeout: 'TIEMPO AGOTADO - Limitaciones cognitivas confirmadas',
+            failureTitle: 'VERIFICACIÓN DE HUMANIDAD FALLIDA',
+            failureText: 'HUMANIDAD POTENCIAL: {percent}%',
+            failureMessage: 'El sujeto presenta limitaciones cognitivas constantes.\nIncapaz de procesar patrones de verificación legibles por máquina.\nClasificación: DESCONOCIDA',
+            verdictTitle: 'VEREDICTO DEL SISTEMA',
+            verdictText: 'Tu imagen no coincide con ninguna plantilla humana conocida.',
+            verdictSubtext: 'Acceso denegado. Verificación humana fallida.',
+            acceptedTitle: 'HUMANIDAD VERIFICADA',
+            acceptedMessage: 'El sujeto duda, se equivoca y se corrige.\nNingún modelo de máquina coincide con este comportamiento.\nClasificación: HUMANO',
+            verdictMismatch: 'PLANTILLA NO COINCIDE',
+            verdictEvidence: '{solved} de {total} desafíos resueltos, respuesta media {seconds} s',
+            verdictBestMatch: 'Mejor coincidencia humana: {human}%. Plantilla más cercana: {template} ({score}%)',
+            claimButton: 'SOY HUMANO',
+            alternativeInstruction: 'o saluda al espejo con la mano',
+            captchaInputLabel: 'Respuesta',
+            audioChallenge: 'Desafío de audio',
+            replayAudio: 'Volver a escuchar',
+            challengeAudio: 'Escribe los {length} dígitos que oigas',
+            challengeBeeps: 'Escribe los {length} dígitos que oigas: cuenta los pitidos de cada dígito, diez pitidos para el 0',
+            captchaTimeAnnounce: 'Tienes {seconds} segundos.',
+            verdictScanLabel: 'Escaneo biométrico de tu rostro',
+            soundControls: 'Sonido',
+            soundMute: 'Silenciar',
+            soundUnmute: 'Activar sonido',
+            soundVolume: 'Volumen',
+            soundVoice: 'Retorno de voz',
+            tryAgain: 'Intentar de nuevo',
+            retry: 'Reintentar',
+            errorSources: '¿Sin cámara? Usar el espejo con:',
+            sourcePattern: 'Carta de ajuste',
+            sourceFile: 'Vídeo o imágenes…',
+            testPattern: 'SIN SEÑAL - CARTA DE AJUSTE',
+            certificateTitle: 'CERTIFICADO DE RECHAZO',
+            certificateAccepted: 'CERTIFICADO DE HUMANIDAD',
+            downloadClip: 'Descargar vídeo',
+            downloadCertificate: 'Descargar certificado',
+            downloadTimeline: 'Descargar cronología',
+            attractTitle: 'MÍRATE',
+            attractPrompt: '¿Eres humano? Acércate al espejo y dilo.',
+            presenceAway: 'Colócate frente al espejo',
+            presenceCenter: 'Centra tu rostro en el espejo',
+            presenceUnseen: 'No se ve ningún rostro - el espejo escucha igualmente',
+            sessionPaused: 'Sujeto perdido - sesión en pausa',
+            errorPermissions: 'Se necesita acceso a la cámara y al micrófono. Concede los permisos para experimentar El Espejo Digital.',
+            mediaNotAllowed: 'Acceso a la cámara y al micrófono denegado. Concede los permisos y recarga la página.',
+            mediaNotFound: 'No se encontró cámara ni micrófono. Conecta un dispositivo y recarga la página.',
+            mediaNotReadable: 'Otra aplicación está usando la cámara o el micrófono.',
+            mediaOverconstrained: 'No se pueden cumplir las restricciones de la cámara o del micrófono.',
+            mediaGeneric: 'No se puede acceder a la cámara o al micrófono. Revisa la configuración de tus dispositivos.',
+            speechNoSpeech: 'No se detectó voz. Sigo escuchando...',
+            speechAudioCapture: 'Micrófono no accesible. Revisa los permisos.',
+            speechNotAllowed: 'Permiso de micrófono denegado. Concede el acceso.',
+            speechNetwork: 'Error de red. Revisa tu conexión.',
+            speechService: 'Servicio de reconocimiento de voz no permitido.',
+            speechGeneric: 'Error de reconocimiento de voz: {error}'
+        }
+    },
+
+    de: {
+        name: 'Deutsch',
+        speechLang: 'de-DE',
+        narrationVoices: ['Markus', 'Microsoft Stefan', 'Google Deutsch'],
+        tokenize: 'words',
+        phrases: [
+            'ich bin ein mensch',
+            'ich bin mensch',
+            'ich bin ein menschliches wesen',
+            'ich bin menschlich'
+        ],
+        fillers: ['ah', 'ahm', 'hm', 'also', 'halt', 'naja', 'eben', 'ja'],
+        negators: ['nicht', 'kein', 'keine', 'keiner', 'nie', 'niemals'],
+        nearMisses: ['unmenschlich', 'unmensch'],
+        contractions: { 'bin n': 'bin ein', 'bin en': 'bin ein' },
+        utterance: { minSyllables: 3, maxSyllables: 7 },
+        messages: {
+            instruction: 'Schau in den Spiegel und sag „Ich bin ein Mensch“',
+            humanity: 'POTENZIELLE MENSCHLICHKEIT: {percent} %',
+            initializing: 'Initialisiere...',
+            listening: 'Höre zu...',
+            processing: 'Verarbeite...',
+            fallbackMode: 'Ersatzmodus',
+            restarting: 'Neustart... ({count}/{max})',
+            errorPrefix: 'Fehler: {message}',
+            captchaTitle: 'MENSCHLICHE VERIFIZIERUNG ERFORDERLICH',
+            captchaInstruction: 'Entschlüssle den {length}-stelligen Code, der im Bild versteckt ist',
+            captchaPlaceholder: '{length}-stelligen Code eingeben',
+            challengeLsb: 'Lies den {length}-stelligen Code aus dem niederwertigsten Bit des Blaukanals',
+            challengeChecksum: 'Gib die Summe der Rotwerte aller {cells} Felder ein, modulo {modulus}',
+            challengeHexPixel: 'Gib die Hex-Farbe des Pixels bei ({x}, {y}) ein',
+            challengeBinary: 'Entschlüssle die {length} Ziffern im Strichcode: 4 Bit pro Ziffer, dünner Strich = 0, dicker Strich = 1',
+            challengeMorse: 'Entschlüssle die {length} Ziffern im Morsestreifen',
+            challengeFlash: 'Gib die {length} aufblitzenden Ziffern ein',
+            captchaPlaceholderHex: 'Hex-Farbe eingeben',
+            captchaTimer: 'Zeit: {seconds} s',
+            captchaSubmit: 'SENDEN',
+            captchaSuccess: 'VERIFIZIERUNG ERFOLGREICH - Maschinenverhalten erkannt',
+            captchaFailure: 'VERIFIZIERUNG FEHLGESCHLAGEN - Menschliche Grenzen erkannt',
+            captchaTimeout: 'ZEIT ABGELAUFEN - Kognitive Grenzen bestätigt',
+            failureTitle: 'MENSCHLICHKEITSPRÜFUNG FEHLGESCHLAGEN',
+            failureText: 'POTENZIELLE MENSCHLICHKEIT: {percent} %',
+            failureMessage: 'Subjekt zeigt durchgehend kognitive Grenzen.\nMaschinenlesbare Verifizierungsmuster können nicht verarbeitet werden.\nKlassifizierung: UNBEKANNT',
+            verdictTitle: 'SYSTEMURTEIL',
+            verdictText: 'Dein Bild entspricht keiner bekannten menschlichen Vorlage.',
+            verdictSubtext: 'Zugriff verweigert. Menschliche Verifizierung fehlgeschlagen.',
+            acceptedTitle: 'MENSCHLICHKEIT BESTÄTIGT',
+            acceptedMessage: 'Subjekt zögert, irrt und korrigiert sich.\nKein Maschinenmodell entspricht diesem Verhalten.\nKlassifizierung: MENSCH',
+            verdictMismatch: 'VORLAGE STIMMT NICHT ÜBEREIN',
+            verdictEvidence: '{solved} von {total} Aufgaben gelöst, mittlere Antwortzeit {seconds} s',
+            verdictBestMatch: 'Beste menschliche Übereinstimmung: {human} %. Nächste Vorlage: {template} ({score} %)',
+            claimButton: 'ICH BIN EIN MENSCH',
+            alternativeInstruction: 'oder winke dem Spiegel zu',
+            captchaInputLabel: 'Antwort',
+            audioChallenge: 'Audio-Aufgabe',
+            replayAudio: 'Erneut abspielen',
+            challengeAudio: 'Gib die {length} Ziffern ein, die du hörst',
+            challengeBeeps: 'Gib die {length} Ziffern ein, die du hörst: zähle die Pieptöne jeder Ziffer, zehn für die 0',
+            captchaTimeAnnounce: 'Du hast {seconds} Sekunden.',
+            verdictScanLabel: 'Biometrischer Scan deines Gesichts',
+            soundControls: 'Ton',
+            soundMute: 'Stumm',
+            soundUnmute: 'Ton an',
+            soundVolume: 'Lautstärke',
+            soundVoice: 'Stimme zurückspielen',
+            tryAgain: 'Erneut versuchen',
+            retry: 'Wiederholen',
+            errorSources: 'Keine Kamera? Den Spiegel starten mit:',
+            sourcePattern: 'Testbild',
+            sourceFile: 'Video oder Bilder…',
+            testPattern: 'KEIN SIGNAL - TESTBILD',
+            certificateTitle: 'ABLEHNUNGSBESCHEINIGUNG',
+            certificateAccepted: 'MENSCHLICHKEITSBESCHEINIGUNG',
+            downloadClip: 'Video herunterladen',
+            downloadCertificate: 'Bescheinigung herunterladen',
+            downloadTimeline: 'Zeitleiste herunterladen',
+            attractTitle: 'SIEH DICH AN',
+            attractPrompt: 'Bist du ein Mensch? Tritt vor den Spiegel und sag es.',
+            presenceAway: 'Stell dich vor den Spiegel',
+            presenceCenter: 'Zentriere dein Gesicht im Spiegel',
+            presenceUnseen: 'Kein Gesicht erkannt - der Spiegel hört trotzdem zu',
+            sessionPaused: 'Subjekt verloren - Sitzung pausiert',
+            errorPermissions: 'Zugriff auf Kamera und Mikrofon erforderlich. Bitte erlaube den Zugriff, um den Digitalen Spiegel zu erleben.',
+            mediaNotAllowed: 'Zugriff auf Kamera und Mikrofon verweigert. Bitte erlaube den Zugriff und lade die Seite neu.',
+            mediaNotFound: 'Keine Kamera und kein Mikrofon gefunden. Bitte schließe ein Gerät an und lade die Seite neu.',
+            mediaNotReadable: 'Kamera oder Mikrofon wird von einer anderen Anwendung verwendet.',
+            mediaOverconstrained: 'Die Anforderungen an Kamera oder Mikrofon können nicht erfüllt werden.',
+            mediaGeneric: 'Kein Zugriff auf Kamera oder Mikrofon. Bitte prüfe die Geräteeinstellungen.',
+            speechNoSpeech: 'Keine Sprache erkannt. Höre weiter zu...',
+            speechAudioCapture: 'Mikrofon nicht erreichbar. Bitte prüfe die Berechtigungen.',
+            speechNotAllowed: 'Mikrofonberechtigung verweigert. Bitte erlaube den Zugriff.',
+            speechNetwork: 'Netzwerkfehler. Bitte prüfe deine Verbindung.',
+            speechService: 'Spracherkennungsdienst nicht erlaubt.',
+            speechGeneric: 'Spracherkennungsfehler: {error}'
+        }
+    },
+
+    zh: {
+        name: '中文',
+        speechLang: 'zh-CN',
+        narrationVoices: ['Ting-Ting', 'Microsoft Kangkang', 'Google 普通话'],
+        tokenize: 'characters',
+        phrases: [
+            '我是人类',
+            '我是人類',
+            '我是一个人',
+            '我是一個人',
+            '我是一个人类',
+            '我是一個人類'
+        ],
+        fillers: ['嗯', '呃', '啊', '那个', '那個'],
+        negators: ['不', '没', '沒', '非', '无', '無'],
+        utterance: { minSyllables: 3, maxSyllables: 6 },
+        messages: {
+            instruction: '看着镜子说“我是人类”',
+            humanity: '潜在人性：{percent}%',
+            initializing: '正在初始化...',
+            listening: '正在聆听...',
+            processing: '正在处理...',
+            fallbackMode: '备用模式',
+            restarting: '正在重启...（{count}/{max}）',
+            errorPrefix: '错误：{message}',
+            captchaTitle: '需要人类验证',
+            captchaInstruction: '解码隐藏在下图中的 {length} 位数字代码',
+            captchaPlaceholder: '输入 {length} 位代码',
+            challengeLsb: '从蓝色通道的最低有效位中提取 {length} 位数字代码',
+            challengeChecksum: '输入全部 {cells} 个格子的红色值之和，对 {modulus} 取模',
+            challengeHexPixel: '输入坐标 ({x}, {y}) 处像素的十六进制颜色',
+            challengeBinary: '解码条形码中的 {length} 位数字：每位 4 比特，细条 = 0，粗条 = 1',
+            challengeMorse: '解码摩尔斯条带中的 {length} 位数字',
+            challengeFlash: '输入屏幕上闪现的 {length} 位数字',
+            captchaPlaceholderHex: '输入十六进制颜色',
+            captchaTimer: '时间：{seconds} 秒',
+            captchaSubmit: '提交',
+            captchaSuccess: '验证成功 - 检测到机器行为',
+            captchaFailure: '验证失败 - 检测到人类局限',
+            captchaTimeout: '时间已到 - 认知局限已确认',
+            failureTitle: '人性验证失败',
+            failureText: '潜在人性：{percent}%',
+            failureMessage: '受试者表现出持续的认知局限。\n无法处理机器可读的验证图案。\n分类：未知',
+            verdictTitle: '系统裁决',
+            verdictText: '你的影像与已知的人类模板不匹配。',
+            verdictSubtext: '拒绝访问。人类验证失败。',
+            acceptedTitle: '人性验证通过',
+            acceptedMessage: '受试者会犹豫、出错并自我纠正。\n没有机器模板与此行为匹配。\n分类：人类',
+            verdictMismatch: '模板不匹配',
+            verdictEvidence: '已解决 {solved}/{total} 个挑战，平均响应 {seconds} 秒',
+            verdictBestMatch: '最佳人类模板匹配：{human}%。最接近的模板：{template}（{score}%）',
+            claimButton: '我是人类',
+            alternativeInstruction: '或向镜子挥手',
+            captchaInputLabel: '答案',
+            audioChallenge: '音频挑战',
+            replayAudio: '再听一遍',
+            challengeAudio: '输入你听到的 {length} 位数字',
+            challengeBeeps: '输入你听到的 {length} 位数字：数每个数字的哔声，0 为十声',
+            captchaTimeAnnounce: '你有 {seconds} 秒。',
+            verdictScanLabel: '你的面部生物特征扫描',
+            soundControls: '声音',
+            soundMute: '静音',
+            soundUnmute: '取消静音',
+            soundVolume: '音量',
+            soundVoice: '语音回放',
+            tryAgain: '再试一次',
+            retry: '重试',
+            errorSources: '没有摄像头？使用以下内容运行：',
+            sourcePattern: '测试图',
+            sourceFile: '视频或图片…',
+            testPattern: '无信号 - 测试图',
+            certificateTitle: '拒绝证书',
+            certificateAccepted: '人性证书',
+            downloadClip: '下载视频',
+            downloadCertificate: '下载证书',
+            downloadTimeline: '下载时间线',
+            attractTitle: '看看你自己',
+            attractPrompt: '你是人类吗？走到镜子前说出来。',
+            presenceAway: '请站到镜子前',
+            presenceCenter: '请将脸部置于镜子中央',
+            presenceUnseen: '未检测到人脸 - 镜子仍在聆听',
+            sessionPaused: '目标丢失 - 会话已暂停',
+            errorPermissions: '需要摄像头和麦克风权限。请允许访问以体验《数字之镜》。',
+            mediaNotAllowed: '摄像头和麦克风访问被拒绝。请允许访问并刷新页面。',
+            mediaNotFound: '未找到摄像头或麦克风。请连接设备后刷新页面。',
+            mediaNotReadable: '摄像头或麦克风正被其他应用程序使用。',
+            mediaOverconstrained: '无法满足摄像头或麦克风的参数要求。',
+            mediaGeneric: '无法访问摄像头或麦克风。请检查设备设置。',
+            speechNoSpeech: '未检测到语音。继续聆听...',
+            speechAudioCapture: '无法访问麦克风。请检查权限。',
+            speechNotAllowed: '麦克风权限被拒绝。请允许访问。',
+            speechNetwork: '网络错误。请检查网络连接。',
+            speechService: '语音识别服务不可用。',
+            speechGeneric: '语音识别错误：{error}'
+        }
+    },
+
+    ja: {
+        name: '日本語',
+        speechLang: 'ja-JP',
+        narrationVoices: ['Otoya', 'Microsoft Ichiro', 'Google 日本語'],
+        tokenize: 'characters',
+        phrases: [
+            '私は人間です',
+            'わたしは人間です',
+            'わたしはにんげんです',
+            '僕は人間です',
+            '俺は人間だ',
+            '私は人間'
+        ],
+        fillers: ['えーと', 'えっと', 'あの', 'えー', 'まあ', 'その'],
+        // Also searched just after the claim: Japanese negates at the end
+        negators: ['ではな', 'ではあり', 'じゃな', 'じゃあり', 'ない', 'ません', '違'],
+        utterance: { minSyllables: 4, maxSyllables: 9 },
+        messages: {
+            instruction: '鏡を見て「私は人間です」と言ってください',
+            humanity: '人間である可能性：{percent}%',
+            initializing: '初期化中...',
+            listening: '聞き取り中...',
+            processing: '処理中...',
+            fallbackMode: '代替モード',
+            restarting: '再起動中...（{count}/{max}）',
+            errorPrefix: 'エラー：{message}',
+            captchaTitle: '人間認証が必要です',
+            captchaInstruction: '下の画像に隠された{length}桁のコードを解読してください',
+            captchaPlaceholder: '{length}桁のコードを入力',
+            challengeLsb: '青チャンネルの最下位ビットから{length}桁のコードを取り出してください',
+            challengeChecksum: '{cells}マスすべての赤の値の合計を{modulus}で割った余りを入力してください',
+            challengeHexPixel: '座標 ({x}, {y}) のピクセルの16進カラーを入力してください',
+            challengeBinary: 'バーコードの{length}桁を解読してください：1桁4ビット、細いバー = 0、太いバー = 1',
+            challengeMorse: 'モールス信号の帯から{length}桁を解読してください',
+            challengeFlash: '画面に一瞬表示された{length}桁の数字を入力してください',
+            captchaPlaceholderHex: '16進カラーを入力',
+            captchaTimer: '残り時間：{seconds}秒',
+            captchaSubmit: '送信',
+            captchaSuccess: '認証成功 - 機械の挙動を検出',
+            captchaFailure: '認証失敗 - 人間の限界を検出',
+            captchaTimeout: '時間切れ - 認知の限界を確認',
+            failureTitle: '人間性の認証に失敗しました',
+            failureText: '人間である可能性：{percent}%',
+            failureMessage: '被験者には一貫した認知の限界が見られます。\n機械可読の認証パターンを処理できません。\n分類：不明',
+            verdictTitle: 'システム判定',
+            verdictText: 'あなたの画像は既知の人間のテンプレートと一致しません。',
+            verdictSubtext: 'アクセス拒否。人間認証に失敗しました。',
+            acceptedTitle: '人間性を確認しました',
+            acceptedMessage: '被験者はためらい、間違え、自分で訂正します。\nこの振る舞いに一致する機械テンプレートはありません。\n分類：人間',
+            verdictMismatch: 'テンプレート不一致',
+            verdictEvidence: '{total} 問中 {solved} 問を解答、平均応答 {seconds} 秒',
+            verdictBestMatch: '人間テンプレートとの最高一致率：{human}%。最も近いテンプレート：{template}（{score}%）',
+            claimButton: '私は人間です',
+            alternativeInstruction: 'または鏡に手を振ってください',
+            captchaInputLabel: '回答',
+            audioChallenge: '音声チャレンジ',
+            replayAudio: 'もう一度再生',
+            challengeAudio: '聞こえた {length} 桁の数字を入力してください',
+            challengeBeeps: '聞こえた {length} 桁の数字を入力してください：各数字のビープ音を数えます（0 は 10 回）',
+            captchaTimeAnnounce: '残り {seconds} 秒です。',
+            verdictScanLabel: 'あなたの顔の生体スキャン',
+            soundControls: 'サウンド',
+            soundMute: 'ミュート',
+            soundUnmute: 'ミュート解除',
+            soundVolume: '音量',
+            soundVoice: '声のフィードバック',
+            tryAgain: 'もう一度',
+            retry: '再試行',
+            errorSources: 'カメラがない場合は次で実行：',
+            sourcePattern: 'テストパターン',
+            sourceFile: '動画または画像…',
+            testPattern: 'NO SIGNAL - テストパターン',
+            certificateTitle: '拒否証明書',
+            certificateAccepted: '人間性証明書',
+            downloadClip: '動画をダウンロード',
+            downloadCertificate: '証明書をダウンロード',
+            downloadTimeline: 'タイムラインをダウンロード',
+            attractTitle: '自分を見て',
+            attractPrompt: 'あなたは人間ですか？鏡の前に立って、そう言ってください。',
+            presenceAway: '鏡の前に立ってください',
+            presenceCenter: '顔を鏡の中央に合わせてください',
+            presenceUnseen: '顔が見えません - 鏡はそれでも聞いています',
+            sessionPaused: '対象喪失 - セッション一時停止',
+            errorPermissions: 'カメラとマイクへのアクセスが必要です。「デジタル・ミラー」を体験するには許可してください。',
+            mediaNotAllowed: 'カメラとマイクへのアクセスが拒否されました。許可してからページを再読み込みしてください。',
+            mediaNotFound: 'カメラまたはマイクが見つかりません。デバイスを接続してから再読み込みしてください。',
+            mediaNotReadable: 'カメラまたはマイクが他のアプリケーションで使用されています。',
+            mediaOverconstrained: 'カメラまたはマイクの条件を満たせません。',
+            mediaGeneric: 'カメラまたはマイクにアクセスできません。デバイスの設定を確認してください。',
+            speechNoSpeech: '音声が検出されません。聞き取りを続けています...',
+            speechAudioCapture: 'マイクにアクセスできません。権限を確認してください。',
+            speechNotAllowed: 'マイクの使用が拒否されました。アクセスを許可してください。',
+            speechNetwork: 'ネットワークエラー。接続を確認してください。',
+            speechService: '音声認識サービスが許可されていません。',
+            speechGeneric: '音声認識エラー：{error}'
+        }
+    }
+};
+
+// Pick a locale code from an explicit request (e.g. ?lang=fr or "de-AT"),
+// then the browser's languages, then the default
+function resolveMirrorLocale(requested, browserLanguages = []) {
+    const candidates = [requested, ...browserLanguages].filter(Boolean);
+    for (const candidate of candidates) {
+        const code = candidate.toLowerCase().split(/[-_]/)[0];
+        if (MIRROR_LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+// Fill {placeholders} in a message template
+function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+        params[key] !== undefined ? String(params[key]) : match
+    ));
+}
+
+// Reduce text to comparable form: no case, accents, punctuation or filler words.
+// Word locales return space-separated tokens; character locales (Chinese,
+// Japanese) return one unbroken string.
+function normalizeTranscript(text, locale) {
+    let normalized = text.normalize('NFKC').toLowerCase();
+
+    if (locale.tokenize === 'characters') {
+        normalized = normalized.replace(/[\p{P}\p{S}\s]+/gu, '');
+        locale.fillers.forEach(filler => {
+            normalized = normalized.split(filler).join('');
+        });
+        return normalized;
+    }
+
+    const fillers = new Set(locale.fillers.map(filler => stripAccents(filler.toLowerCase())));
+    return stripAccents(normalized)
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .split(' ')
+        .filter(word => word && !fillers.has(word))
+        .join(' ');
+}
+
+function stripAccents(text) {
+    return text.normalize('NFD').replace(/\p{M}+/gu, '');
+}
+
+export { DEFAULT_LOCALE, MIRROR_LOCALES, resolveMirrorLocale, formatMessage, normalizeTranscript };
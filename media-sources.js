@@ -0,0 +1,390 @@
+// The Digital Mirror - Media Sources
+// Where the picture and sound come from. The live webcam and microphone by
+// default; for demos, exhibition previews and machines without a camera, a
+// video file, a looping image sequence, a generated test pattern or any
+// canvas, plus an optional audio file that drives claim detection. Every
+// source becomes an ordinary MediaStream on #webcam, so the distortion,
+// presence, gesture and verdict pipeline is the same for all of them.
+
+import { browserClock, browserMedia } from './mirror-adapters.js';
+
+const DEFAULT_IMAGE_INTERVAL = 500; // ms each image of a sequence is shown
+
+// ?source=webcam | pattern | video:<url> | images:<url>,<url>,...
+// plus ?audioSource=<url> and ?imageInterval=<ms>
+function parseMediaSource(params) {
+    const source = {
+        type: 'webcam',
+        url: null,
+        urls: [],
+        audioUrl: params.get('audioSource') || null,
+        imageInterval: DEFAULT_IMAGE_INTERVAL
+    };
+    const interval = parseFloat(params.get('imageInterval'));
+    if (!Number.isNaN(interval) && interval > 0) source.imageInterval = interval;
+
+    const value = params.get('source') || 'webcam';
+    const colon = value.indexOf(':');
+    const type = colon === -1 ? value : value.slice(0, colon);
+    const rest = colon === -1 ? '' : value.slice(colon + 1).trim();
+
+    if (type === 'webcam' || type === 'pattern') {
+        source.type = type;
+    } else if (type === 'video' && rest) {
+        source.type = 'video';
+        source.url = rest;
+    } else if (type === 'images' && rest) {
+        source.type = 'images';
+        source.urls = rest.split(',').map(url => url.trim()).filter(Boolean);
+    } else {
+        console.error(`Unknown media source "${value}", using the webcam`);
+    }
+    return source;
+}
+
+// Recorded sources can't be heard by the Web Speech API, which listens to
+// the real microphone; their sound goes to the offline volume detector
+function usesRecordedSound(source) {
+    return Boolean(source.audioUrl) || source.type === 'video';
+}
+
+function captureElementStream(element) {
+    if (typeof element.captureStream === 'function') return element.captureStream();
+    if (typeof element.mozCaptureStream === 'function') return element.mozCaptureStream();
+    const error = new Error('This browser cannot capture a stream from a media element');
+    error.name = 'NotSupportedError';
+    throw error;
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => {
+            const error = new Error(`Image not found: ${url}`);
+            error.name = 'NotFoundError';
+            reject(error);
+        };
+        image.src = url;
+    });
+}
+
+// A looping, muted <video> or <audio> playing a file. Muting the element
+// does not silence the captured stream.
+class MediaFileSource {
+    constructor(url, kind) {
+        this.url = url;
+        this.kind = kind; // 'video' or 'audio'
+        this.element = null;
+    }
+
+    async start() {
+        const element = document.createElement(this.kind);
+        element.src = this.url;
+        element.loop = true;
+        element.muted = true;
+        element.playsInline = true;
+        this.element = element;
+
+        try {
+            await element.play();
+        } catch (error) {
+            if (element.error) {
+                const notFound = new Error(`Cannot play ${this.url}`);
+                notFound.name = 'NotFoundError';
+                throw notFound;
+            }
+            throw error;
+        }
+        return captureElementStream(element);
+    }
+
+    stop() {
+        if (!this.element) return;
+        this.element.pause();
+        this.element.removeAttribute('src');
+        this.element.load();
+        this.element = null;
+    }
+}
+
+// A canvas captured as a video stream. With a draw(canvas, ctx, time)
+// function it is redrawn at the frame rate; without one it is captured as
+// it is (a canvas another part of the page animates). `clock` times the
+// redraws.
+class CanvasSource {
+    constructor(canvas, { frameRate = 30, draw = null, clock = browserClock } = {}) {
+        this.canvas = canvas;
+        this.frameRate = frameRate;
+        this.draw = draw;
+        this.clock = clock;
+        this.timer = null;
+    }
+
+    async start() {
+        if (typeof this.canvas.captureStream !== 'function') {
+            const error = new Error('This browser cannot capture a stream from a canvas');
+            error.name = 'NotSupportedError';
+            throw error;
+        }
+        if (this.draw) {
+            const ctx = this.canvas.getContext('2d');
+            const start = this.clock.now();
+            const frame = () => this.draw(this.canvas, ctx, this.clock.now() - start);
+            frame();
+            // A timer rather than requestAnimationFrame, which stops in hidden windows
+            this.timer = this.clock.setInterval(frame, 1000 / this.frameRate);
+        }
+        return this.canvas.captureStream(this.frameRate);
+    }
+
+    stop() {
+        this.clock.clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Cycle through still images, letterboxed on black
+async function createImageSequenceSource(urls, interval, clock) {
+    const images = await Promise.all(urls.map(loadImage));
+    const first = images[0];
+    const scale = Math.min(1, 1280 / first.naturalWidth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(first.naturalWidth * scale);
+    canvas.height = Math.round(first.naturalHeight * scale);
+
+    return new CanvasSource(canvas, {
+        frameRate: 10,
+        clock,
+        draw(target, ctx, time) {
+            const image = images[Math.floor(time / interval) % images.length];
+            const fit = Math.min(target.width / image.naturalWidth, target.height / image.naturalHeight);
+            const width = image.naturalWidth * fit;
+            const height = image.naturalHeight * fit;
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, target.width, target.height);
+            ctx.drawImage(image, (target.width - width) / 2, (target.height - height) / 2, width, height);
+        }
+    });
+}
+
+// Colour bars with a moving sweep and a running timecode, so there is
+// always motion for the distortion to work on
+function drawTestPattern(canvas, ctx, time, label) {
+    const { width, height } = canvas;
+    const bars = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+    const barHeight = height * 0.67;
+    const barWidth = width / bars.length;
+
+    bars.forEach((color, index) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.floor(index * barWidth), 0, Math.ceil(barWidth), barHeight);
+    });
+
+    // Grey ramp along the bottom
+    for (let i = 0; i < 16; i++) {
+        const grey = Math.round(i * 255 / 15);
+        ctx.fillStyle = `rgb(${grey}, ${grey}, ${grey})`;
+        ctx.fillRect(Math.floor(i * width / 16), barHeight, Math.ceil(width / 16), height - barHeight);
+    }
+
+    // Sweep bar
+    const sweep = ((time / 4000) % 1) * width;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(sweep - 6, 0, 12, barHeight);
+
+    // Centre circle and crosshair
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, height * 0.3, 0, Math.PI * 2);
+    ctx.moveTo(width / 2 - 40, height / 2);
+    ctx.lineTo(width / 2 + 40, height / 2);
+    ctx.moveTo(width / 2, height / 2 - 40);
+    ctx.lineTo(width / 2, height / 2 + 40);
+    ctx.stroke();
+
+    const frames = Math.floor(time / 40);
+    const pad = (n) => String(n).padStart(2, '0');
+    const timecode = `${pad(Math.floor(frames / 90000) % 24)}:${pad(Math.floor(frames / 1500) % 60)}:${pad(Math.floor(frames / 25) % 60)}:${pad(frames % 25)}`;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(width / 2 - 260, height * 0.8, 520, 90);
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 32px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, width / 2, height * 0.8 + 28);
+    ctx.fillText(timecode, width / 2, height * 0.8 + 64);
+}
+
+function createTestPatternSource(label, clock) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1280;
+    canvas.height = 720;
+    return new CanvasSource(canvas, {
+        frameRate: 25,
+        clock,
+        draw: (target, ctx, time) => drawTestPattern(target, ctx, time, label)
+    });
+}
+
+// Media adapter (see mirror-adapters.js) that builds the stream from a
+// source: { type: 'webcam' | 'video' | 'images' | 'pattern' | 'canvas',
+// url, urls, canvas, imageInterval, audioUrl }. `clock` times the drawn
+// sources (the mirror's clock adapter).
+class SourceMedia {
+    constructor(source, { devices = browserMedia, label = 'TEST PATTERN', clock = browserClock } = {}) {
+        this.source = source;
+        this.devices = devices;
+        this.label = label;
+        this.clock = clock;
+        this.players = { video: null, audio: null };
+    }
+
+    async getUserMedia(constraints) {
+        // Replace only what is asked for; the device panel swaps the camera
+        // and the microphone separately
+        if (constraints.video) this.stopPlayer('video');
+        if (constraints.audio) this.stopPlayer('audio');
+        const source = this.source;
+        const tracks = [];
+
+        try {
+            if (constraints.video) {
+                if (source.type === 'webcam') {
+                    const camera = await this.devices.getUserMedia({ video: constraints.video });
+                    tracks.push(...camera.getVideoTracks());
+                } else {
+                    const stream = await this.startPlayer('video', await this.createVideoPlayer());
+                    tracks.push(...stream.getVideoTracks());
+                    if (source.type === 'video' && !source.audioUrl) {
+                        tracks.push(...stream.getAudioTracks());
+                    }
+                }
+            }
+
+            if (constraints.audio && source.audioUrl) {
+                const stream = await this.startPlayer('audio', new MediaFileSource(source.audioUrl, 'audio'));
+                tracks.push(...stream.getAudioTracks());
+            } else if (constraints.audio && !usesRecordedSound(source)) {
+                // A real microphone is optional: without one, claims come from
+                // the button, keyboard and gestures
+                try {
+                    const microphone = await this.devices.getUserMedia({ audio: constraints.audio });
+                    tracks.push(...microphone.getAudioTracks());
+                } catch (error) {
+                    console.error('No microphone for this media source:', error);
+                }
+            }
+        } catch (error) {
+            tracks.forEach(track => track.stop());
+            this.stop();
+            throw error;
+        }
+
+        console.log(`Media source: ${source.type}${source.audioUrl ? ` with audio from ${source.audioUrl}` : ''}`);
+        return new MediaStream(tracks);
+    }
+
+    // The real devices, for the device panel
+    enumerateDevices() {
+        return this.devices.enumerateDevices();
+    }
+
+    async createVideoPlayer() {
+        const source = this.source;
+        switch (source.type) {
+            case 'video':
+                return new MediaFileSource(source.url, 'video');
+            case 'images':
+                return createImageSequenceSource(source.urls, source.imageInterval || DEFAULT_IMAGE_INTERVAL, this.clock);
+            case 'pattern':
+                return createTestPatternSource(this.label, this.clock);
+            case 'canvas':
+                return new CanvasSource(source.canvas, { frameRate: source.frameRate || 30, clock: this.clock });
+            default:
+                throw new Error(`Unknown media source "${source.type}"`);
+        }
+    }
+
+    async startPlayer(kind, player) {
+        this.players[kind] = player;
+        return player.start();
+    }
+
+    stopPlayer(kind) {
+        if (this.players[kind]) {
+            this.players[kind].stop();
+            this.players[kind] = null;
+        }
+    }
+
+    // Stop the players and drawing timers behind the streams
+    stop() {
+        this.stopPlayer('video');
+        this.stopPlayer('audio');
+    }
+}
+
+// Adapters for DigitalMirror; none for the plain webcam and microphone
+function createSourceAdapters(source, options = {}) {
+    if (source.type === 'webcam' && !source.audioUrl) return {};
+
+    const adapters = { media: new SourceMedia(source, options) };
+    if (usesRecordedSound(source)) {
+        adapters.speech = {
+            available: false,
+            create() {
+                throw new Error('Speech recognition cannot hear recorded sound');
+            }
+        };
+    }
+    return adapters;
+}
+
+// Turn files picked by the visitor or operator into a source: one video,
+// or images, optionally with an audio file. The object URLs it creates are
+// listed in `objectUrls` for releaseMediaSource().
+function mediaSourceFromFiles(files) {
+    const list = Array.from(files);
+    const video = list.find(file => file.type.startsWith('video/'));
+    const images = list.filter(file => file.type.startsWith('image/'));
+    const audio = list.find(file => file.type.startsWith('audio/'));
+    if (!video && !images.length && !audio) return null;
+
+    const objectUrls = [];
+    const objectUrl = file => {
+        const url = URL.createObjectURL(file);
+        objectUrls.push(url);
+        return url;
+    };
+    const source = {
+        type: 'pattern',
+        url: null,
+        urls: [],
+        audioUrl: audio ? objectUrl(audio) : null,
+        imageInterval: DEFAULT_IMAGE_INTERVAL,
+        objectUrls
+    };
+
+    if (video) {
+        source.type = 'video';
+        source.url = objectUrl(video);
+    } else if (images.length) {
+        source.type = 'images';
+        source.urls = images.map(objectUrl);
+    }
+    return source;
+}
+
+// Free the files behind a source from mediaSourceFromFiles() once it has
+// been replaced or the mirror is gone. Players restart from the URLs (device
+// swaps, retries), so stopping them does not release anything.
+function releaseMediaSource(source) {
+    if (!source || !source.objectUrls) return;
+    source.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    source.objectUrls = [];
+}
+
+export { parseMediaSource, usesRecordedSound, createSourceAdapters, mediaSourceFromFiles, releaseMediaSource };
@@ -0,0 +1,43 @@
+// The Digital Mirror - Platform Adapters
+// What the core needs from the browser besides the page itself: camera and
+// microphone, speech recognition, and time. DigitalMirror takes these as
+// constructor options, `new DigitalMirror({ adapters: { media, speech, clock } })`,
+// so a harness can pass the fakes from mirror-fakes.js and drive whole
+// sessions without devices. Anything not passed uses the browser.
+
+// Real timers. Wrapped, because the browser's timer functions must be
+// called on window.
+const browserClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: (id) => clearInterval(id)
+};
+
+// Camera and microphone
+const browserMedia = {
+    getUserMedia: (constraints) => navigator.mediaDevices.getUserMedia(constraints),
+    enumerateDevices: () => navigator.mediaDevices.enumerateDevices()
+};
+
+// Web Speech API, where the browser has one
+const browserSpeech = {
+    get available() {
+        return typeof window !== 'undefined' && ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
+    },
+    create() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        return new SpeechRecognition();
+    }
+};
+
+function createMirrorAdapters(overrides = {}) {
+    return {
+        clock: overrides.clock || browserClock,
+        media: overrides.media || browserMedia,
+        speech: overrides.speech || browserSpeech
+    };
+}
+
+export { browserClock, browserMedia, browserSpeech, createMirrorAdapters };
@@ -0,0 +1,92 @@
+// The Digital Mirror - Public Events and Plugins
+// Supported hooks for lighting, sound and other installation add-ons, so
+// they no longer need to patch DigitalMirror methods.
+
+const MIRROR_EVENTS = {
+    CLAIM_DETECTED: 'claim-detected',       // { source, accepted, level, ... }
+    HUMANITY_CHANGED: 'humanity-changed',   // { percentage, level, maxLevel }
+    CHALLENGE_STARTED: 'challenge-started', // { level, type, answer, timeLimit }
+    CHALLENGE_TICK: 'challenge-tick',       // { level, secondsLeft } each whole second of the timer
+    CHALLENGE_RESULT: 'challenge-result',   // { level, type, result, answer, input, timeRemaining }
+    VERDICT: 'verdict',                     // { ending: 'verdict' | 'failed' | 'accepted', level, humanity }
+    RESET: 'reset',                         // {}
+    ERROR: 'error',                         // { source, message, error }
+    STATE_CHANGE: 'state-change',           // { from, to, detail, time }
+    TRANSCRIPT: 'transcript',               // { transcript, confidence, isFinal, accepted, reason }
+    PRESENCE_CHANGED: 'presence-changed',   // { present, centered, faces }
+    FRAME: 'frame',                         // { canvas, timestamp, level, faces } after each distorted frame
+    DEVICES_CHANGED: 'devices-changed'      // { settings } after the camera or microphone was switched
+};
+
+class MirrorEventEmitter {
+    constructor() {
+        this.eventListeners = new Map();
+    }
+
+    // Returns an unsubscribe function
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    once(event, listener) {
+        const unsubscribe = this.on(event, (detail) => {
+            unsubscribe();
+            listener(detail);
+        });
+        return unsubscribe;
+    }
+
+    // A failing listener is logged and does not stop the others
+    emit(event, detail = {}) {
+        const listeners = this.eventListeners.get(event);
+        if (!listeners) return;
+
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Listener for "${event}" failed:`, error);
+            }
+        });
+    }
+}
+
+// Plugins registered so far, and the mirrors they are installed on
+const mirrorPlugins = [];
+const mirrorInstances = new Set();
+
+// The element an event started on. Listeners on document only see the
+// <digital-mirror> host for events from inside its shadow root.
+function mirrorEventTarget(event) {
+    return typeof event.composedPath === 'function' ? event.composedPath()[0] : event.target;
+}
+
+// Register a plugin: { name, install(mirror) } where install may return a
+// teardown function. Installs on running mirrors and on any created later.
+function registerMirrorPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new Error('Mirror plugin needs a name');
+    }
+    if (typeof plugin.install !== 'function') {
+        throw new Error(`Mirror plugin "${plugin.name}" needs an install() function`);
+    }
+    if (mirrorPlugins.some(registered => registered.name === plugin.name)) {
+        throw new Error(`Mirror plugin "${plugin.name}" is already registered`);
+    }
+
+    mirrorPlugins.push(plugin);
+    mirrorInstances.forEach(mirror => mirror.use(plugin));
+}
+
+export { MIRROR_EVENTS, MirrorEventEmitter, mirrorPlugins, mirrorInstances, mirrorEventTarget, registerMirrorPlugin };
@@ -0,0 +1,296 @@
+// The Digital Mirror - Challenge
+// The reverse CAPTCHA for DigitalMirror (script.js): difficulty curve, the
+// challenge on screen and its timer, the visitor's answer, and the humanity
+// score the answers feed.
+// The methods are mixed into DigitalMirror, so `this` is the mirror.
+
+import { captchaChallenges } from './challenges.js';
+import { parseCaptchaConfig, captchaConfigFromParams, loadCaptchaConfigFromURL } from './captcha-config.js';
+import {
+    parseHumanityScoring,
+    humanityScoringFromParams,
+    loadHumanityScoringFromURL,
+    HumanityScore
+} from './humanity-score.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS } from './mirror-api.js';
+
+class MirrorChallenge {
+    // Per-level CAPTCHA settings: { codeLength, timeLimit, contrast, thickness, noise, challenge }
+    getCaptchaSettings(level) {
+        const levels = this.captchaConfig.levels;
+        return levels[Math.min(levels.length, Math.max(1, level)) - 1];
+    }
+    
+    // Load the difficulty curve from ?captcha=<url>, or URL overrides of the default curve
+    async loadCaptchaConfig() {
+        const params = this.params;
+        const configUrl = params.get('captcha');
+        
+        try {
+            if (configUrl) {
+                this.setCaptchaConfig(await loadCaptchaConfigFromURL(configUrl));
+            } else {
+                const overrides = captchaConfigFromParams(params);
+                if (overrides) {
+                    this.setCaptchaConfig(parseCaptchaConfig(overrides));
+                }
+            }
+        } catch (error) {
+            console.error('CAPTCHA config failed to load, using default curve:', error);
+        }
+    }
+    
+    // Load scoring weights from ?scoring=<url>, or URL overrides of the defaults
+    async loadHumanityScoring() {
+        const scoringUrl = this.params.get('scoring');
+        
+        try {
+            let config = null;
+            if (scoringUrl) {
+                config = await loadHumanityScoringFromURL(scoringUrl);
+            } else {
+                const overrides = humanityScoringFromParams(this.params);
+                if (overrides) {
+                    config = parseHumanityScoring(overrides);
+                }
+            }
+            if (config) {
+                this.humanityScore = new HumanityScore(config);
+                console.log(`Humanity scoring: ${config.name}`);
+            }
+        } catch (error) {
+            console.error('Humanity scoring failed to load, using default weights:', error);
+        }
+    }
+    
+    setCaptchaConfig(config) {
+        this.captchaConfig = config;
+        this.maxCaptchaLevel = config.levels.length;
+        this.updateCaptchaPrompt();
+        console.log(`CAPTCHA curve: ${config.name} (${config.levels.length} levels)`);
+    }
+    
+    // Keep the input, placeholder and instruction in line with the current
+    // challenge, or with the first level's code length before any challenge
+    updateCaptchaPrompt() {
+        const challenge = this.currentChallenge;
+        if (!challenge) {
+            const length = this.getCaptchaSettings(Math.max(1, this.captchaLevel)).codeLength;
+            this.captchaInstruction.textContent = this.t('captchaInstruction', { length });
+            this.captchaInput.placeholder = this.t('captchaPlaceholder', { length });
+            this.captchaInput.maxLength = length;
+            return;
+        }
+        
+        this.captchaInstruction.textContent = this.t(challenge.instruction.key, challenge.instruction.params);
+        this.captchaInput.placeholder = this.t(challenge.placeholder.key, challenge.placeholder.params);
+        this.captchaInput.maxLength = challenge.maxLength;
+        this.captchaReplayButton.style.display = challenge.replay ? '' : 'none';
+        this.captchaAudioButton.style.display = challenge.replay || !captchaChallenges.available('audioDigits') ? 'none' : '';
+    }
+    
+    // Stop any animation the current challenge is running
+    stopChallenge() {
+        if (this.currentChallenge) {
+            this.currentChallenge.stop();
+        }
+    }
+    
+    emitHumanityChanged() {
+        this.emit(MIRROR_EVENTS.HUMANITY_CHANGED, {
+            percentage: this.humanityPercentage,
+            level: this.captchaLevel,
+            maxLevel: this.maxCaptchaLevel
+        });
+    }
+    
+    updateHumanityLevel() {
+        // Update humanity level display
+        this.humanityLevel.textContent = this.t('humanity', { percent: this.humanityPercentage });
+        
+        // Update instruction visibility
+        this.cleanInstruction.style.display = this.captchaLevel >= this.maxCaptchaLevel ? 'none' : 'block';
+    }
+    
+    // Trigger reverse CAPTCHA challenge
+    triggerReverseCAPTCHA() {
+        const settings = this.getCaptchaSettings(this.captchaLevel);
+        
+        // Render this level's challenge type from the rotation
+        this.stopChallenge();
+        this.currentChallengeType = this.getChallengeType(settings);
+        this.currentChallenge = captchaChallenges.get(this.currentChallengeType).create(this.captchaCanvas, settings, {
+            lang: this.locale.speechLang,
+            reducedMotion: this.reducedMotion
+        });
+        this.currentCode = this.currentChallenge.answer;
+        this.updateCaptchaPrompt();
+        
+        // Reset input, typing record and status
+        this.captchaInput.value = '';
+        this.captchaTyping = { keyTimes: [], corrections: 0 };
+        this.captchaStatus.textContent = '';
+        this.captchaInput.focus();
+        
+        // Start countdown timer
+        this.startCaptchaTimer();
+        
+        // Setup event listeners
+        this.setupCaptchaEventListeners();
+        
+        console.log(`Reverse CAPTCHA triggered (${this.currentChallengeType}). Answer:`, this.currentCode);
+        this.announce(`${this.captchaInstruction.textContent}. ${this.t('captchaTimeAnnounce', { seconds: Math.round(this.timeRemaining) })}`);
+        this.emit(MIRROR_EVENTS.CHALLENGE_STARTED, {
+            level: this.captchaLevel,
+            type: this.currentChallengeType,
+            answer: this.currentCode,
+            timeLimit: this.timeRemaining
+        });
+    }
+    
+    // The level's type from the rotation, unless the visitor asked for the
+    // audio variant (and the browser can play it); rapid flashing is
+    // replaced under reduced motion
+    getChallengeType(settings) {
+        if (this.preferAudioChallenge && captchaChallenges.available('audioDigits')) return 'audioDigits';
+        if (this.reducedMotion && settings.challenge === 'flashSequence') return 'sevenSegment';
+        return settings.challenge;
+    }
+    
+    // Swap the open challenge for a spoken one, with a fresh clock
+    switchToAudioChallenge() {
+        this.preferAudioChallenge = true;
+        if (this.session.is(SESSION_STATES.CHALLENGE)) {
+            this.triggerReverseCAPTCHA();
+        }
+    }
+    
+    // The visitor came back: same challenge, the clock continues where it stopped
+    resumeCaptcha() {
+        this.captchaInput.focus();
+        this.startCaptchaTimer(true);
+        console.log(`Reverse CAPTCHA resumed with ${this.timeRemaining.toFixed(1)} seconds left`);
+    }
+    
+    // Start countdown timer; `resume` keeps the time remaining
+    startCaptchaTimer(resume = false) {
+        // Time budget for this level from the difficulty curve, plus any
+        // time the challenge needs to play itself (audio)
+        if (!resume) {
+            const bonus = (this.currentChallenge && this.currentChallenge.timeBonus) || 0;
+            this.timeRemaining = this.getCaptchaSettings(this.captchaLevel).timeLimit + bonus;
+            this.captchaTimeLimit = this.timeRemaining;
+        }
+        
+        // Whole seconds left, with slack for the float drift of the 0.1 steps
+        const wholeSeconds = () => Math.ceil(this.timeRemaining - 0.05);
+        let lastSecond = wholeSeconds();
+        
+        this.clock.clearInterval(this.captchaTimerInterval);
+        this.captchaTimerInterval = this.clock.setInterval(() => {
+            this.timeRemaining -= 0.1;
+            this.captchaTimer.textContent = this.t('captchaTimer', { seconds: Math.max(0, this.timeRemaining).toFixed(1) });
+            
+            const secondsLeft = wholeSeconds();
+            if (secondsLeft < lastSecond && secondsLeft > 0) {
+                lastSecond = secondsLeft;
+                this.emit(MIRROR_EVENTS.CHALLENGE_TICK, { level: this.captchaLevel, secondsLeft });
+            }
+            
+            if (this.timeRemaining <= 0) {
+                this.finishCaptcha('timeout');
+            }
+        }, 100);
+        
+        if (!resume) {
+            console.log(`CAPTCHA Level ${this.captchaLevel}: ${this.timeRemaining.toFixed(1)} seconds allowed`);
+        }
+    }
+    
+    // Setup CAPTCHA event listeners
+    setupCaptchaEventListeners() {
+        this.captchaSubmit.onclick = () => this.submitCaptcha();
+        this.captchaInput.onkeypress = (e) => {
+            if (e.key === 'Enter') {
+                this.submitCaptcha();
+            }
+        };
+        this.captchaInput.oninput = (e) => this.recordCaptchaTyping(e);
+    }
+    
+    // Keystrokes and deletions in the answer field, for the humanity score
+    recordCaptchaTyping(event) {
+        if (event.inputType && event.inputType.startsWith('delete')) {
+            this.captchaTyping.corrections++;
+        } else {
+            this.captchaTyping.keyTimes.push(this.clock.now());
+        }
+    }
+    
+    // Submit CAPTCHA answer
+    submitCaptcha() {
+        const userInput = this.captchaInput.value.trim();
+        const solved = this.currentChallenge && this.currentChallenge.validate(userInput);
+        this.finishCaptcha(solved ? 'success' : 'failure');
+    }
+    
+    // End the open challenge with 'success' (machine behavior detected),
+    // 'failure' (human limitations detected) or 'timeout'
+    finishCaptcha(result) {
+        const timeRemaining = Math.max(0, this.timeRemaining);
+        if (!this.session.transition(SESSION_STATES.FEEDBACK, { result, level: this.captchaLevel })) {
+            return; // No challenge open, e.g. a second submit during feedback
+        }
+        
+        const input = this.captchaInput.value.trim();
+        this.emit(MIRROR_EVENTS.CHALLENGE_RESULT, {
+            level: this.captchaLevel,
+            type: this.currentChallengeType,
+            result,
+            answer: this.currentCode,
+            input,
+            timeRemaining
+        });
+        
+        this.humanityScore.recordChallenge({
+            answer: this.currentCode,
+            input,
+            solved: result === 'success',
+            timeUsed: this.captchaTimeLimit - timeRemaining,
+            timeLimit: this.captchaTimeLimit,
+            keyTimes: this.captchaTyping.keyTimes,
+            corrections: this.captchaTyping.corrections
+        });
+        this.humanityPercentage = this.humanityScore.percentage;
+        this.updateHumanityLevel();
+        this.emitHumanityChanged();
+        
+        // After the final level the score decides the ending; earlier levels
+        // return to listening
+        let next = SESSION_STATES.LISTENING;
+        if (this.captchaLevel >= this.maxCaptchaLevel) {
+            const endings = {
+                verdict: SESSION_STATES.VERDICT,
+                failed: SESSION_STATES.FAILED,
+                accepted: SESSION_STATES.ACCEPTED
+            };
+            next = endings[this.humanityScore.ending];
+        }
+        this.session.transitionAfter(2000, next);
+    }
+    
+    showCaptchaResult(result) {
+        const messages = {
+            success: { key: 'captchaSuccess', color: '#00ff00' },
+            failure: { key: 'captchaFailure', color: '#ff0000' },
+            timeout: { key: 'captchaTimeout', color: '#ff0000' }
+        };
+        const message = messages[result] || messages.failure;
+        this.captchaStatus.textContent = this.t(message.key);
+        this.captchaStatus.style.color = message.color;
+        this.narrate(message.key);
+    }
+}
+
+export { MirrorChallenge };
@@ -0,0 +1,249 @@
+// The Digital Mirror - Fake Adapters
+// Stand-ins for the adapters in mirror-adapters.js, for harnesses that drive
+// the mirror without a camera, microphone or speech service (for example
+// under jsdom). Time only moves when the harness calls clock.tick(), speech
+// results arrive when it calls say(), and getUserMedia resolves with a fake
+// stream. The mirror's <video> never plays a fake stream, so the harness
+// dispatches 'canplay' on it itself.
+//
+//   const clock = new FakeClock();
+//   const speech = createFakeSpeech();
+//   const element = document.createElement('digital-mirror');
+//   element.adapters = { clock, speech, media: createFakeMedia() };
+//   document.body.appendChild(element);
+//   element.mirror.webcam.dispatchEvent(new Event('canplay'));
+//   speech.current.say('I am human');
+//   clock.tick(1000);  // -> challenge
+
+// Manual time: timers run only inside tick(), in order of due time
+class FakeClock {
+    constructor(start = 0) {
+        this.time = start;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        return this.schedule(callback, ms, 0);
+    }
+
+    setInterval(callback, ms = 0) {
+        return this.schedule(callback, ms, Math.max(1, ms));
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    schedule(callback, ms, repeat) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, callback, at: this.time + Math.max(0, ms || 0), repeat });
+        return id;
+    }
+
+    // Advance by `ms`, running every timer that falls due on the way,
+    // including timers scheduled by those timers
+    tick(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            let next = null;
+            this.timers.forEach(timer => {
+                if (timer.at > end) return;
+                if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+                    next = timer;
+                }
+            });
+            if (!next) break;
+
+            this.time = next.at;
+            if (next.repeat) {
+                next.at += next.repeat;
+            } else {
+                this.timers.delete(next.id);
+            }
+            next.callback();
+        }
+        this.time = end;
+    }
+
+    get pending() {
+        return this.timers.size;
+    }
+}
+
+// SpeechRecognition with the same events as the browser's, fed by say()
+class FakeSpeechRecognition {
+    constructor() {
+        this.continuous = false;
+        this.interimResults = false;
+        this.lang = '';
+        this.maxAlternatives = 1;
+        this.onresult = null;
+        this.onerror = null;
+        this.onstart = null;
+        this.onend = null;
+        this.running = false;
+        this.stopping = false;
+        this.results = [];
+    }
+
+    start() {
+        if (this.running) {
+            const error = new Error('Recognition has already started');
+            error.name = 'InvalidStateError';
+            throw error;
+        }
+        this.running = true;
+        this.results = [];
+        if (this.onstart) this.onstart();
+    }
+
+    // Like the browser, stop() ends the session a moment later; it is
+    // still running (and can be aborted) until then
+    stop() {
+        if (!this.running || this.stopping) return;
+        this.stopping = true;
+        Promise.resolve().then(() => this.end());
+    }
+
+    // Like the browser: an 'aborted' error, then onend
+    abort() {
+        if (!this.running) return;
+        if (this.onerror) this.onerror({ error: 'aborted' });
+        this.end();
+    }
+
+    end() {
+        if (!this.running) return;
+        this.running = false;
+        this.stopping = false;
+        if (this.onend) this.onend();
+    }
+
+    // Deliver a result. `alternatives` is a transcript, or a list of
+    // transcripts or { transcript, confidence }. An interim result is
+    // replaced by the next one, as in the browser. Returns false when not running.
+    say(alternatives, { isFinal = true } = {}) {
+        if (!this.running) return false;
+
+        const list = [].concat(alternatives).map(alternative => (
+            typeof alternative === 'string' ? { transcript: alternative, confidence: 0.9 } : alternative
+        ));
+        const result = Object.assign(list, { isFinal });
+        const last = this.results[this.results.length - 1];
+        if (last && !last.isFinal) {
+            this.results.pop();
+        }
+
+        const resultIndex = this.results.length;
+        this.results.push(result);
+        if (this.onresult) this.onresult({ resultIndex, results: this.results });
+        return true;
+    }
+
+    // Fire a recognition error ('no-speech', 'network', ...) and end
+    fail(error) {
+        if (this.onerror) this.onerror({ error });
+        this.end();
+    }
+}
+
+// Speech adapter; `current` is the recognizer the mirror created last
+function createFakeSpeech({ available = true } = {}) {
+    const speech = {
+        available,
+        instances: [],
+        create() {
+            const recognition = new FakeSpeechRecognition();
+            speech.instances.push(recognition);
+            return recognition;
+        },
+        get current() {
+            return speech.instances[speech.instances.length - 1] || null;
+        }
+    };
+    return speech;
+}
+
+class FakeMediaStreamTrack {
+    constructor(kind) {
+        this.kind = kind;
+        this.label = `Fake ${kind}`;
+        this.enabled = true;
+        this.readyState = 'live';
+        this.onended = null;
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+
+    // The device went away (unplugged, permission revoked)
+    end() {
+        this.stop();
+        if (this.onended) this.onended();
+    }
+
+    getSettings() {
+        return {};
+    }
+}
+
+class FakeMediaStream {
+    constructor(tracks = []) {
+        this.tracks = tracks;
+    }
+
+    getTracks() {
+        return this.tracks.slice();
+    }
+
+    getVideoTracks() {
+        return this.tracks.filter(track => track.kind === 'video');
+    }
+
+    getAudioTracks() {
+        return this.tracks.filter(track => track.kind === 'audio');
+    }
+}
+
+// Media adapter. Set `media.error` to a DOMException name ('NotAllowedError',
+// 'NotFoundError', ...) to make the next requests fail. `devices` is what
+// enumerateDevices() reports, as { deviceId, kind, label }.
+function createFakeMedia({ error = null, microphone = true, devices = [] } = {}) {
+    const media = {
+        error,
+        devices,
+        requests: [],
+        streams: [],
+        enumerateDevices() {
+            return Promise.resolve(media.devices.map(device => ({ groupId: '', ...device })));
+        },
+        getUserMedia(constraints) {
+            media.requests.push(constraints);
+            if (media.error) {
+                const failure = new Error(`Fake ${media.error}`);
+                failure.name = media.error;
+                return Promise.reject(failure);
+            }
+
+            const tracks = [];
+            if (constraints.video) tracks.push(new FakeMediaStreamTrack('video'));
+            if (constraints.audio && microphone) tracks.push(new FakeMediaStreamTrack('audio'));
+            const stream = new FakeMediaStream(tracks);
+            media.streams.push(stream);
+            return Promise.resolve(stream);
+        }
+    };
+    return media;
+}
+
+export { FakeClock, FakeSpeechRecognition, createFakeSpeech, FakeMediaStreamTrack, FakeMediaStream, createFakeMedia };
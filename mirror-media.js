@@ -0,0 +1,349 @@
+// The Digital Mirror - Media Input
+// Camera and microphone for DigitalMirror (script.js): starting and switching
+// devices, other media sources, the distortion loop drawn from the camera, and
+// the face presence and wave gesture read from it.
+// The methods are mixed into DigitalMirror, so `this` is the mirror.
+
+import {
+    DISTORTION_LEVEL_COUNT,
+    loadDistortionPresetFromURL,
+    loadDistortionPresetFromFile,
+    FrameStats
+} from './distortion.js';
+import { createDistortionRenderer } from './webgl-distortion.js';
+import { FacePresenceDetector } from './face-presence.js';
+import { GestureInput } from './gesture-detection.js';
+import { browserMedia, browserSpeech } from './mirror-adapters.js';
+import { usesRecordedSound, createSourceAdapters, releaseMediaSource } from './media-sources.js';
+import { normalizeDeviceSettings, saveDeviceSettings, buildMediaConstraints } from './device-settings.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, mirrorEventTarget } from './mirror-api.js';
+
+class MirrorMedia {
+    // Re-acquire camera and microphone, e.g. after a track ended
+    async restartMedia() {
+        if (this.webcam.srcObject) {
+            this.webcam.srcObject.getTracks().forEach(track => track.stop());
+        }
+        await this.setupWebcam();
+        await this.restartAudioDetection(true);
+    }
+    
+    async setupWebcam() {
+        try {
+            // Request both video and audio permissions, from the chosen devices
+            let constraints = await this.getMediaConstraints();
+            let stream = await this.media.getUserMedia({ video: constraints.video, audio: constraints.audio });
+            
+            // Browsers only list device ids once access is granted, so look
+            // chosen devices up again after the first grant
+            if (constraints.missing.length) {
+                const granted = await this.getMediaConstraints();
+                if (granted.missing.length < constraints.missing.length) {
+                    stream.getTracks().forEach(track => track.stop());
+                    stream = await this.media.getUserMedia({ video: granted.video, audio: granted.audio });
+                    constraints = granted;
+                }
+                if (constraints.missing.length) {
+                    console.error(`Chosen ${constraints.missing.join(' and ')} not found, using the default`);
+                }
+            }
+            this.chosenMicrophone = constraints.audio !== true;
+            
+            if (this.destroyed) {
+                stream.getTracks().forEach(track => track.stop());
+                throw new Error('The mirror was removed while the devices started');
+            }
+            this.webcam.srcObject = stream;
+            
+            // Once, since this runs again on every restart and device swap
+            return new Promise((resolve) => {
+                this.webcam.addEventListener('canplay', resolve, { once: true });
+            });
+        } catch (error) {
+            if (this.destroyed) throw error;
+            console.error('Media access denied:', error);
+            this.handleMediaError(error);
+            throw error;
+        }
+    }
+    
+    // Devices the media adapter can list; empty before access is granted in
+    // some browsers
+    async listMediaDevices() {
+        if (typeof this.media.enumerateDevices !== 'function') return [];
+        try {
+            return await this.media.enumerateDevices();
+        } catch (error) {
+            console.error('Media devices could not be listed:', error);
+            return [];
+        }
+    }
+    
+    async getMediaConstraints() {
+        return buildMediaConstraints(this.deviceSettings, await this.listMediaDevices());
+    }
+    
+    // Change devices, resolution, frame rate or mirroring while the mirror
+    // runs, swapping tracks without a reload. Settings are saved for the next
+    // start; if the new device fails, the previous settings are kept.
+    async applyDeviceSettings(changes) {
+        const previous = this.deviceSettings;
+        const next = { ...previous, ...changes };
+        // A device given without its label drops the label of the old one
+        ['camera', 'microphone'].forEach(kind => {
+            if (kind in changes && !(`${kind}Label` in changes)) next[`${kind}Label`] = null;
+        });
+        this.deviceSettings = normalizeDeviceSettings(next);
+        this.setMirrored(this.deviceSettings.mirrored);
+        
+        // Only live devices are switched; files and generated pictures stay
+        const changed = (...keys) => keys.some(key => previous[key] !== this.deviceSettings[key]);
+        const liveCamera = this.mediaSource.type === 'webcam';
+        const cameraChanged = liveCamera && changed('camera', 'cameraLabel');
+        const videoChanged = cameraChanged || (liveCamera && changed('resolution', 'frameRate'));
+        const microphoneChanged = !usesRecordedSound(this.mediaSource) && changed('microphone', 'microphoneLabel');
+        const stream = this.webcam.srcObject;
+        
+        // Without a running stream the next start or retry uses the settings
+        if (stream && (videoChanged || microphoneChanged)) {
+            try {
+                await this.switchDevices(stream, { cameraChanged, videoChanged, microphoneChanged });
+            } catch (error) {
+                console.error('Device switch failed:', error);
+                this.deviceSettings = previous;
+                this.setMirrored(previous.mirrored);
+                throw error;
+            }
+        }
+        
+        saveDeviceSettings(this.deviceSettings);
+        this.emit(MIRROR_EVENTS.DEVICES_CHANGED, { settings: { ...this.deviceSettings } });
+    }
+    
+    async switchDevices(stream, { cameraChanged, videoChanged, microphoneChanged }) {
+        const constraints = await this.getMediaConstraints();
+        let videoTracks = stream.getVideoTracks();
+        let audioTracks = stream.getAudioTracks();
+        
+        if (videoChanged) {
+            const current = videoTracks[0];
+            if (!cameraChanged && current && typeof current.applyConstraints === 'function') {
+                // Same camera: change resolution and frame rate in place
+                const { deviceId, facingMode, ...shape } = constraints.video;
+                await current.applyConstraints(shape);
+            } else {
+                const replacement = await this.media.getUserMedia({ video: constraints.video });
+                videoTracks.forEach(track => track.stop());
+                videoTracks = replacement.getVideoTracks();
+            }
+        }
+        
+        if (microphoneChanged) {
+            const replacement = await this.media.getUserMedia({ audio: constraints.audio });
+            audioTracks.forEach(track => track.stop());
+            audioTracks = replacement.getAudioTracks();
+            this.chosenMicrophone = constraints.audio !== true;
+        }
+        
+        if (cameraChanged || microphoneChanged) {
+            this.webcam.srcObject = new MediaStream([...videoTracks, ...audioTracks]);
+        }
+        if (microphoneChanged) {
+            await this.restartAudioDetection(true);
+        }
+        console.log('Devices switched:', constraints);
+    }
+    
+    // Flip the live view, the distortion and the face and gesture sampling
+    // together, so face boxes stay where the face is shown
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+        this.container.style.setProperty('--mirror-flip', mirrored ? '-1' : '1');
+        if (this.distortionRenderer) this.distortionRenderer.mirrored = mirrored;
+        if (this.facePresence) this.facePresence.mirrored = mirrored;
+        if (this.gestureInput) this.gestureInput.mirrored = mirrored;
+    }
+    
+    handleMediaError(error) {
+        let errorMessage = '';
+        switch (error.name) {
+            case 'NotAllowedError':
+                errorMessage = this.t('mediaNotAllowed');
+                break;
+            case 'NotFoundError':
+                errorMessage = this.t('mediaNotFound');
+                break;
+            case 'NotReadableError':
+                errorMessage = this.t('mediaNotReadable');
+                break;
+            case 'OverconstrainedError':
+                errorMessage = this.t('mediaOverconstrained');
+                break;
+            default:
+                errorMessage = this.t('mediaGeneric');
+        }
+        
+        this.showError(errorMessage, error.name);
+    }
+    
+    // A wave beside the face claims humanity without speaking
+    startGestureDetection() {
+        if (!this.gestureEnabled) return;
+        
+        this.gestureInput = new GestureInput(this.webcam, { mirrored: this.mirrored, clock: this.clock });
+        this.gestureInput.start(() => this.faces[0] || null, () => {
+            console.log('Wave gesture detected!');
+            this.processHumanClaim('gesture');
+        });
+    }
+    
+    // Watch #webcam for faces. Failing to start leaves claims ungated.
+    startPresenceDetection() {
+        if (this.presenceMode === 'off') return;
+        
+        try {
+            this.facePresence = new FacePresenceDetector(this.webcam, { ...this.presenceOptions, backend: this.presenceMode, mirrored: this.mirrored, clock: this.clock });
+        } catch (error) {
+            console.error('Face presence detection unavailable:', error);
+            this.facePresence = null;
+            return;
+        }
+        this.facePresence.start(update => this.handlePresence(update));
+    }
+    
+    // Pause a challenge when the visitor walks away, resume when they return,
+    // and reset a half-finished session nobody came back to
+    handlePresence({ present, centered, changed, faces, time }) {
+        this.faces = faces;
+        if (centered) this.claimedWithoutFace = false;
+        if (changed) {
+            console.log(`Visitor ${present ? 'present' : 'away'}${centered ? ', centered' : ''}`);
+            this.emit(MIRROR_EVENTS.PRESENCE_CHANGED, { present, centered, faces });
+            if (this.session.is(SESSION_STATES.LISTENING)) {
+                this.showListeningIndicator(this.getListeningText());
+            }
+        }
+        
+        // Only a gating detector that has seen this visitor may pause for them
+        const tracking = this.facePresence.gating && !this.claimedWithoutFace;
+        if (!present && tracking && this.session.is(SESSION_STATES.CHALLENGE)) {
+            this.session.transition(SESSION_STATES.PAUSED);
+        } else if (present && this.session.is(SESSION_STATES.PAUSED)) {
+            this.session.transition(SESSION_STATES.CHALLENGE, { resumed: true });
+        }
+        
+        const midSession = this.session.is(SESSION_STATES.PAUSED) ||
+            (this.session.is(SESSION_STATES.LISTENING) && this.captchaLevel > 0);
+        if (midSession && tracking && this.facePresence.tracker.awayFor(time) >= this.facePresence.options.abandonDelay) {
+            console.log('Visitor left mid-session - resetting');
+            this.resetMirror();
+        }
+    }
+    
+    // Switch to another media source and start over. Also for embedding
+    // pages, e.g. useMediaSource({ type: 'canvas', canvas }) to mirror a
+    // canvas the page animates (see media-sources.js).
+    async useMediaSource(source) {
+        if (typeof this.media.stop === 'function') {
+            this.media.stop();
+        }
+        if (source !== this.mediaSource) {
+            releaseMediaSource(this.mediaSource);
+        }
+        const adapters = createSourceAdapters(source, { label: this.t('testPattern'), clock: this.clock });
+        this.mediaSource = source;
+        this.media = adapters.media || browserMedia;
+        this.speech = adapters.speech || browserSpeech;
+        
+        if (!this.presenceParam) {
+            this.presenceMode = source.type === 'pattern' ? 'off' : 'auto';
+            if (this.presenceMode === 'off' && this.facePresence) {
+                this.facePresence.dispose();
+                this.facePresence = null;
+            } else if (this.presenceMode !== 'off' && !this.facePresence && this.mirrorStarted) {
+                this.startPresenceDetection();
+            }
+        }
+        
+        console.log(`Switching media source to ${source.type}`);
+        await this.retryWebcam();
+    }
+    
+    async retryWebcam() {
+        this.session.transition(SESSION_STATES.IDLE);
+        try {
+            await this.restartMedia();
+            this.session.transition(SESSION_STATES.LISTENING);
+            this.startMirror();
+        } catch (error) {
+            this.showError();
+        }
+    }
+    
+    // Spread the CAPTCHA levels, however many the curve has, across the distortion levels
+    getDistortionLevel() {
+        return Math.ceil(this.captchaLevel * DISTORTION_LEVEL_COUNT / this.maxCaptchaLevel);
+    }
+    
+    startDistortionLoop() {
+        // Render webcam frames through the preset for the current CAPTCHA level.
+        // WebGL is used when available; ?renderer=2d forces the canvas path.
+        this.distortionRenderer = createDistortionRenderer(this.webcam, this.canvas, {
+            maxLevel: DISTORTION_LEVEL_COUNT,
+            backend: this.params.get('renderer'),
+            reducedMotion: this.reducedMotion,
+            mirrored: this.mirrored
+        });
+        this.canvas = this.distortionRenderer.canvas;
+        
+        if (this.debugMode && this.perfReadout) {
+            this.perfReadout.style.display = 'block';
+            this.frameStats = new FrameStats(this.perfReadout, this.distortionRenderer.backend.toUpperCase());
+        }
+        
+        const animate = (timestamp) => {
+            if (this.frameStats) this.frameStats.begin();
+            const level = this.getDistortionLevel();
+            this.distortionRenderer.render(timestamp, level, { faces: this.faces });
+            if (this.frameStats) this.frameStats.end();
+            // Listeners can read the canvas now, while the WebGL buffer still holds the frame
+            this.emit(MIRROR_EVENTS.FRAME, { canvas: this.canvas, timestamp, level, faces: this.faces });
+            this.distortionFrameId = requestAnimationFrame(animate);
+        };
+        this.distortionFrameId = requestAnimationFrame(animate);
+    }
+    
+    // Load distortion presets from ?preset=<url> or a local file (Shift+P)
+    setupPresetLoading() {
+        const presetUrl = this.params.get('preset');
+        if (presetUrl) {
+            loadDistortionPresetFromURL(presetUrl, DISTORTION_LEVEL_COUNT)
+                .then(preset => this.distortionRenderer.setPreset(preset))
+                .catch(error => console.error('Distortion preset failed to load:', error));
+        }
+        
+        if (!this.presetFileInput) return;
+        
+        this.presetFileInput.addEventListener('change', () => {
+            const file = this.presetFileInput.files[0];
+            if (!file) return;
+            
+            loadDistortionPresetFromFile(file, DISTORTION_LEVEL_COUNT)
+                .then(preset => this.distortionRenderer.setPreset(preset))
+                .catch(error => console.error('Distortion preset failed to load:', error))
+                .finally(() => {
+                    this.presetFileInput.value = '';
+                });
+        });
+        
+        this.listen(document, 'keydown', (event) => {
+            if (event.shiftKey && event.key.toLowerCase() === 'p' && this.ownsEvent(event) && mirrorEventTarget(event).tagName !== 'INPUT') {
+                event.preventDefault();
+                this.presetFileInput.click();
+            }
+        });
+    }
+}
+
+export { MirrorMedia };
@@ -0,0 +1,305 @@
+// The Digital Mirror - UI Overlays
+// What the visitor sees and hears from DigitalMirror (script.js): localized
+// text, the overlay for each session state, focus in dialogs, narration and
+// screen-reader announcements, and the endings.
+// The methods are mixed into DigitalMirror, so `this` is the mirror.
+
+import { DEFAULT_LOCALE, MIRROR_LOCALES, formatMessage } from './locales.js';
+import { loadNarrationManifest } from './narration.js';
+import { mediaSourceFromFiles } from './media-sources.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS } from './mirror-api.js';
+
+class MirrorOverlays {
+    // Add an element shown only in the given session states. Returns a remove function.
+    addOverlay(element, { states = [], display = 'flex' } = {}) {
+        const overlay = { element, states, display };
+        this.pluginOverlays.push(overlay);
+        this.container.appendChild(element);
+        element.style.display = states.includes(this.session.state) ? display : 'none';
+        
+        return () => {
+            this.pluginOverlays = this.pluginOverlays.filter(o => o !== overlay);
+            element.remove();
+        };
+    }
+    
+    // Look up a message in the active locale, falling back to English
+    t(key, params = {}) {
+        const template = this.locale.messages[key] || MIRROR_LOCALES[DEFAULT_LOCALE].messages[key] || key;
+        return formatMessage(template, params);
+    }
+    
+    // Set text that may contain line breaks
+    setLocalizedText(element, text) {
+        element.textContent = '';
+        text.split('\n').forEach((line, index) => {
+            if (index > 0) element.appendChild(document.createElement('br'));
+            element.appendChild(document.createTextNode(line));
+        });
+    }
+    
+    // Switch every on-screen text to the active locale
+    applyLocale() {
+        this.container.lang = this.localeCode;
+        if (this.root === document) {
+            document.documentElement.lang = this.localeCode;
+        }
+        
+        this.root.querySelectorAll('[data-i18n]').forEach(element => {
+            this.setLocalizedText(element, this.t(element.dataset.i18n));
+        });
+        this.root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        
+        this.updateCaptchaPrompt();
+        this.updateHumanityLevel();
+        
+        this.phraseMatcher.setLocale(this.locale);
+        if (this.narrator) {
+            this.narrator.setLocale(this.localeCode, this.locale);
+        }
+        if (this.recognition) {
+            this.recognition.lang = this.locale.speechLang;
+        }
+        
+        console.log(`Locale: ${this.locale.name} (${this.locale.speechLang})`);
+    }
+    
+    // Load the list of recorded narration files from ?narrationManifest=<url>
+    async loadNarrationManifest() {
+        const manifestUrl = this.params.get('narrationManifest');
+        if (!manifestUrl || !this.narrator) return;
+        
+        try {
+            this.narrator.recordings = await loadNarrationManifest(manifestUrl);
+        } catch (error) {
+            console.error('Narration manifest failed to load, recordings off:', error);
+        }
+    }
+    
+    showListeningIndicator(text) {
+        if (this.listeningIndicator) {
+            this.listeningIndicator.textContent = text;
+            this.listeningIndicator.style.display = text ? 'block' : 'none';
+        }
+    }
+    
+    // The error screen has to work before the mirror has ever started: retry
+    // the devices, or run on the test pattern or a picked file instead
+    setupErrorControls() {
+        this.retryButton.addEventListener('click', () => {
+            this.retryWebcam();
+        });
+        
+        this.sourcePatternButton.addEventListener('click', () => {
+            this.useMediaSource({ type: 'pattern', audioUrl: null });
+        });
+        
+        this.sourceFileButton.addEventListener('click', () => {
+            this.sourceFileInput.click();
+        });
+        
+        this.sourceFileInput.addEventListener('change', () => {
+            const source = mediaSourceFromFiles(this.sourceFileInput.files);
+            this.sourceFileInput.value = '';
+            if (source) {
+                this.useMediaSource(source);
+            }
+        });
+    }
+    
+    // Screens that take over the page; Tab stays inside them
+    getActiveDialog() {
+        const dialogs = {
+            [SESSION_STATES.CHALLENGE]: this.captchaOverlay,
+            [SESSION_STATES.FEEDBACK]: this.captchaOverlay,
+            [SESSION_STATES.FAILED]: this.failureOverlay,
+            [SESSION_STATES.VERDICT]: this.verdictOverlay,
+            [SESSION_STATES.ACCEPTED]: this.acceptedOverlay,
+            [SESSION_STATES.ERROR]: this.errorMessage
+        };
+        return dialogs[this.session.state] || null;
+    }
+    
+    // Visible, enabled controls in the open dialog and the plugin overlays shown with it
+    getFocusableElements(dialog) {
+        const containers = [dialog, ...this.pluginOverlays
+            .filter(({ states }) => states.includes(this.session.state))
+            .map(({ element }) => element)];
+        const selector = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+        return containers
+            .flatMap(container => Array.from(container.querySelectorAll(selector)))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+    }
+    
+    trapFocus(event) {
+        if (event.key !== 'Tab' || !this.ownsEvent(event)) return;
+        const dialog = this.getActiveDialog();
+        if (!dialog) return;
+        
+        const focusable = this.getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        
+        const index = focusable.indexOf(this.root.activeElement);
+        if (index === -1 || (event.shiftKey && index === 0) || (!event.shiftKey && index === focusable.length - 1)) {
+            event.preventDefault();
+            focusable[event.shiftKey ? focusable.length - 1 : 0].focus();
+        }
+    }
+    
+    // Move keyboard focus to the main control of the screen a state shows
+    focusSessionOverlay(state) {
+        const targets = {
+            [SESSION_STATES.LISTENING]: this.claimButton,
+            [SESSION_STATES.FAILED]: this.failureOverlay.querySelector('.reset-button'),
+            [SESSION_STATES.ACCEPTED]: this.acceptedOverlay.querySelector('.reset-button'),
+            [SESSION_STATES.ERROR]: this.retryButton
+        };
+        if (targets[state]) {
+            targets[state].focus();
+        }
+    }
+    
+    // Speak a system message through the narrator, if enabled
+    narrate(key, text = this.t(key)) {
+        if (this.narrator) {
+            this.narrator.say(key, text);
+        }
+    }
+    
+    // The mirror must not hear its own narration: recognition is stopped
+    // while the system talks and restarted after the last queued line
+    handleNarration(speaking) {
+        this.narrating = speaking;
+        if (!this.recognition || !this.isListening) return;
+        
+        if (speaking) {
+            try {
+                this.recognition.stop();
+            } catch (error) {
+                // Not running
+            }
+        } else {
+            this.scheduleRecognitionRestart(300);
+        }
+    }
+    
+    // Read a message out through the screen-reader live region
+    announce(text) {
+        if (!this.announcer) return;
+        // Clear first so repeating the same message is announced again
+        this.announcer.textContent = '';
+        this.clock.clearTimeout(this.announceTimeout);
+        this.announceTimeout = this.clock.setTimeout(() => {
+            this.announceTimeout = null;
+            this.announcer.textContent = text;
+        }, 50);
+    }
+    
+    // Listening indicator text, asking the visitor to step up when no face is
+    // centered, or saying none is seen when claims count anyway
+    getListeningText() {
+        if (this.facePresence && !this.facePresence.present) {
+            return this.t(this.facePresence.gating ? 'presenceAway' : 'presenceUnseen');
+        }
+        if (this.facePresence && this.facePresence.gating && !this.facePresence.centered) return this.t('presenceCenter');
+        return this.fallbackActive ? this.t('fallbackMode') : this.t('listening');
+    }
+    
+    // Which element each session state shows; everything else is hidden
+    getSessionOverlays() {
+        return {
+            [SESSION_STATES.IDLE]: { element: this.overlay, display: 'block' },
+            [SESSION_STATES.LISTENING]: { element: this.overlay, display: 'block' },
+            [SESSION_STATES.PROCESSING]: { element: this.overlay, display: 'block' },
+            [SESSION_STATES.CHALLENGE]: { element: this.captchaOverlay, display: 'flex' },
+            [SESSION_STATES.PAUSED]: { element: this.overlay, display: 'block' },
+            [SESSION_STATES.FEEDBACK]: { element: this.captchaOverlay, display: 'flex' },
+            [SESSION_STATES.FAILED]: { element: this.failureOverlay, display: 'flex' },
+            [SESSION_STATES.VERDICT]: { element: this.verdictOverlay, display: 'flex' },
+            [SESSION_STATES.ACCEPTED]: { element: this.acceptedOverlay, display: 'flex' },
+            [SESSION_STATES.ERROR]: { element: this.errorMessage, display: 'block' }
+        };
+    }
+    
+    showSessionOverlay(state) {
+        const overlays = this.getSessionOverlays();
+        const active = overlays[state];
+        
+        Object.values(overlays).forEach(({ element }) => {
+            if (element !== active.element) {
+                element.style.display = 'none';
+            }
+        });
+        active.element.style.display = active.display;
+        
+        this.pluginOverlays.forEach(({ element, states, display }) => {
+            element.style.display = states.includes(state) ? display : 'none';
+        });
+        
+        this.focusSessionOverlay(state);
+    }
+    
+    showFailurePage() {
+        // Stop listening
+        this.stopListening();
+        
+        const text = this.t('failureText', { percent: this.humanityPercentage });
+        this.failureText.textContent = text;
+        console.log(`Humanity verification failed at ${this.humanityPercentage}% - showing failure page`);
+        this.announce(`${this.t('failureTitle')}. ${text}`);
+        this.narrate('failureTitle');
+        this.narrate('failureText', text);
+        this.emit(MIRROR_EVENTS.VERDICT, { ending: 'failed', level: this.captchaLevel, humanity: this.humanityPercentage });
+    }
+    
+    // The rare ending: the score says the visitor behaved like a human
+    showAccepted() {
+        // Stop listening
+        this.stopListening();
+        
+        this.acceptedText.textContent = this.t('humanity', { percent: this.humanityPercentage });
+        console.log(`Humanity verified at ${this.humanityPercentage}% - showing accepted ending`);
+        this.announce(`${this.t('acceptedTitle')}. ${this.t('acceptedMessage')}`);
+        this.narrate('acceptedTitle');
+        this.narrate('acceptedMessage');
+        this.emit(MIRROR_EVENTS.VERDICT, { ending: 'accepted', level: this.captchaLevel, humanity: this.humanityPercentage });
+    }
+    
+    showVerdict() {
+        // Stop listening
+        this.stopListening();
+        
+        // Scan the frozen frame against the templates, then animate the verdict text
+        this.verdictText.style.animation = '';
+        this.verdictSequence.play(() => {
+            this.verdictOverlay.querySelector('.reset-button').focus();
+            this.announce(`${this.t('verdictTitle')}. ${this.t('verdictText')} ${this.verdictSequence.evidence.textContent}`);
+            this.narrate('verdictTitle');
+            this.narrate('verdictText');
+            this.narrate(null, this.verdictSequence.evidence.textContent);
+            this.verdictGlitchTimeout = this.clock.setTimeout(() => {
+                this.verdictGlitchTimeout = null;
+                this.verdictText.style.animation = 'glitch 0.3s infinite';
+            }, 500);
+        });
+        
+        this.emit(MIRROR_EVENTS.VERDICT, { ending: 'verdict', level: this.captchaLevel, humanity: this.humanityPercentage });
+    }
+    
+    showError(customMessage = null, errorName = null) {
+        if (customMessage) {
+            this.errorMessage.querySelector('p').textContent = customMessage;
+        }
+        if (this.session.transition(SESSION_STATES.ERROR)) {
+            this.emit(MIRROR_EVENTS.ERROR, { source: 'media', message: this.errorMessage.querySelector('p').textContent, error: errorName });
+        }
+    }
+}
+
+export { MirrorOverlays };
@@ -0,0 +1,176 @@
+// The Digital Mirror - Session
+// The visitor session for DigitalMirror (script.js): claims, what each state
+// transition does, keyboard and click handling, and the reset to a fresh
+// session.
+// The methods are mixed into DigitalMirror, so `this` is the mirror.
+
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, mirrorInstances } from './mirror-api.js';
+
+class MirrorSession {
+    setupEventListeners() {
+        // Both the failure and the verdict screen have a reset button
+        this.root.querySelectorAll('.reset-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.resetMirror();
+            });
+        });
+        
+        // Visible alternative to saying the phrase
+        this.claimButton.addEventListener('click', () => {
+            this.processHumanClaim('button');
+        });
+        
+        this.captchaAudioButton.addEventListener('click', () => {
+            this.switchToAudioChallenge();
+        });
+        this.captchaReplayButton.addEventListener('click', () => {
+            if (this.currentChallenge && this.currentChallenge.replay) {
+                this.currentChallenge.replay();
+                this.captchaInput.focus();
+            }
+        });
+        
+        this.listen(document, 'keydown', (event) => this.trapFocus(event));
+    }
+    
+    // Add a listener outside the mirror's markup; cleanup() removes it
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.domListeners.push({ target, type, listener, options });
+    }
+    
+    // Whether keyboard input is meant for this mirror: all of it when the
+    // page has a single mirror, otherwise only input inside this one
+    ownsEvent(event) {
+        if (mirrorInstances.size <= 1) return true;
+        const host = this.root === document ? this.container : this.root.host;
+        return typeof event.composedPath === 'function' && event.composedPath().includes(host);
+    }
+    
+    // A visitor claimed to be human. `source` names the input (speech, volume,
+    // keyboard, click or a plugin input source); `detail` is passed on to listeners.
+    processHumanClaim(source = 'unknown', detail = {}) {
+        // Claims only count while listening: repeats during the processing
+        // delay, an open challenge or its feedback are dropped here
+        const listening = this.session.is(SESSION_STATES.LISTENING) && this.captchaLevel < this.maxCaptchaLevel;
+        const armed = this.isClaimArmed(source);
+        const accepted = listening && armed;
+        this.emit(MIRROR_EVENTS.CLAIM_DETECTED, { ...detail, source, accepted, level: this.captchaLevel + (accepted ? 1 : 0) });
+        
+        if (!accepted) {
+            console.log(listening ? 'Claim ignored (no face centered in the mirror)' : `Claim ignored (session ${this.session.state})`);
+            return;
+        }
+        
+        this.captchaLevel++;
+        this.claimedWithoutFace = Boolean(this.facePresence) && !this.facePresence.centered;
+        this.humanityScore.recordClaim({ hesitation: (this.clock.now() - this.listeningSince) / 1000 });
+        this.humanityPercentage = this.humanityScore.percentage;
+        
+        this.updateHumanityLevel();
+        this.emitHumanityChanged();
+        this.session.transition(SESSION_STATES.PROCESSING, { level: this.captchaLevel });
+        
+        // Trigger reverse CAPTCHA challenge
+        this.session.transitionAfter(1000, SESSION_STATES.CHALLENGE, { level: this.captchaLevel });
+    }
+    
+    // Claims need a face centered in the mirror when the detector gates
+    // them; the on-screen button and the operator console always count. A
+    // session claimed without a face is not paused for the missing face.
+    isClaimArmed(source) {
+        if (!this.facePresence || !this.facePresence.gating) return true;
+        return source === 'operator' || source === 'button' || this.facePresence.centered;
+    }
+    
+    // Side effects of entering each state
+    handleSessionTransition(change) {
+        const { from, to, detail } = change;
+        this.showSessionOverlay(to);
+        this.emit(MIRROR_EVENTS.STATE_CHANGE, change);
+        
+        // The countdown and any challenge animation end with the challenge;
+        // a paused challenge keeps its code and remaining time
+        if (from === SESSION_STATES.CHALLENGE) {
+            this.clock.clearInterval(this.captchaTimerInterval);
+        }
+        if (to !== SESSION_STATES.CHALLENGE && to !== SESSION_STATES.FEEDBACK && to !== SESSION_STATES.PAUSED) {
+            this.stopChallenge();
+        }
+        
+        switch (to) {
+            case SESSION_STATES.LISTENING:
+                // Hesitation before the next claim counts from here
+                this.listeningSince = this.clock.now();
+                this.showListeningIndicator(this.getListeningText());
+                break;
+            case SESSION_STATES.PROCESSING:
+                this.showListeningIndicator(this.t('processing'));
+                break;
+            case SESSION_STATES.CHALLENGE:
+                // Challenges are silent, and audio challenges need the voice
+                if (this.narrator) {
+                    this.narrator.cancel();
+                }
+                if (detail.resumed && this.currentChallenge) {
+                    this.resumeCaptcha();
+                } else {
+                    this.triggerReverseCAPTCHA();
+                }
+                break;
+            case SESSION_STATES.PAUSED:
+                this.showListeningIndicator(this.t('sessionPaused'));
+                break;
+            case SESSION_STATES.FEEDBACK:
+                this.showCaptchaResult(detail.result);
+                break;
+            case SESSION_STATES.FAILED:
+                this.showFailurePage();
+                break;
+            case SESSION_STATES.VERDICT:
+                this.showVerdict();
+                break;
+            case SESSION_STATES.ACCEPTED:
+                this.showAccepted();
+                break;
+        }
+    }
+    
+    resetMirror() {
+        if (this.narrator) {
+            this.narrator.cancel();
+        }
+        this.captchaLevel = 0;
+        this.claimedWithoutFace = false;
+        this.humanityScore.reset();
+        this.humanityPercentage = this.humanityScore.percentage;
+        this.lastTriggerTime = 0;
+        this.preferAudioChallenge = this.audioCaptchaDefault;
+        
+        // Drops pending transitions, the CAPTCHA timer and challenge animation
+        this.session.transition(SESSION_STATES.IDLE);
+        this.currentChallenge = null;
+        this.updateHumanityLevel();
+        
+        // Restart speech recognition if available
+        if (this.recognition) {
+            this.retryCount = 0; // Reset retry counter
+            this.isListening = true;
+            try {
+                this.recognition.start();
+            } catch (error) {
+                // Still running from before the verdict
+            }
+        } else if (this.volumeDetectionActive) {
+            this.isListening = true;
+            this.startVolumeAnalysis();
+        }
+        
+        this.emit(MIRROR_EVENTS.RESET, {});
+        this.emitHumanityChanged();
+        this.session.transition(SESSION_STATES.LISTENING);
+    }
+}
+
+export { MirrorSession };
@@ -0,0 +1,448 @@
+// The Digital Mirror - Speech Input
+// Hearing the claim for DigitalMirror (script.js): speech recognition with
+// retries, volume detection when recognition is unavailable, claim phrase
+// scoring, and the button and key fallbacks when neither works.
+// The methods are mixed into DigitalMirror, so `this` is the mirror.
+
+import { UtteranceDetector } from './voice-detection.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, mirrorEventTarget } from './mirror-api.js';
+
+class MirrorSpeech {
+    // Stop speech recognition and volume detection and set audio detection up
+    // again. Keeps the audio context unless `closeAudio` (the stream changed).
+    async restartAudioDetection(closeAudio = false) {
+        this.stopAudioDetection(closeAudio);
+        await this.setupAudioDetection();
+    }
+    
+    stopAudioDetection(closeAudio = false) {
+        this.stopListening();
+        this.clock.clearTimeout(this.recognitionRestartTimeout);
+        this.recognitionRestartTimeout = null;
+        this.clock.clearTimeout(this.speechFallbackTimeout);
+        this.speechFallbackTimeout = null;
+        
+        if (this.recognition) {
+            // Aborting fires onerror ('aborted') and onend; neither is an error here
+            this.recognition.onend = null;
+            this.recognition.onerror = null;
+            try {
+                this.recognition.abort();
+            } catch (error) {
+                // Already stopped
+            }
+            this.recognition = null;
+        }
+        this.volumeDetectionActive = false;
+        this.fallbackActive = false;
+        this.retryCount = 0;
+        
+        if (closeAudio && this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+            this.analyser = null;
+            this.microphone = null;
+        }
+    }
+    
+    // Operator switch between keyboard/click claims and audio detection
+    async setFallbackMode(enabled) {
+        if (enabled === this.fallbackActive) return;
+        if (enabled) {
+            this.stopAudioDetection();
+            this.fallbackToAlternativeMethods();
+        } else {
+            await this.restartAudioDetection();
+        }
+    }
+    
+    async setupAudioDetection() {
+        try {
+            this.showListeningIndicator(this.t('initializing'));
+            
+            // ?detector=volume skips the (cloud-backed) Web Speech API entirely.
+            // Speech recognition always hears the system default microphone,
+            // so a microphone chosen in the device settings means volume detection.
+            const forceVolume = this.params.get('detector') === 'volume' || this.chosenMicrophone;
+            
+            // Try Web Speech API first
+            if (!forceVolume && this.speech.available) {
+                await this.setupSpeechRecognition();
+            } else {
+                this.setupVolumeDetection();
+            }
+            
+        } catch (error) {
+            console.error('Speech recognition setup failed:', error);
+            this.fallbackToVolumeDetection();
+        }
+    }
+    
+    // Offline voice detection on the microphone already granted in setupWebcam()
+    setupVolumeDetection() {
+        const stream = this.webcam.srcObject;
+        const audioTracks = stream ? stream.getAudioTracks() : [];
+        if (audioTracks.length === 0) {
+            throw new Error('No microphone track available for volume detection');
+        }
+        
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            throw new Error('Web Audio API not supported');
+        }
+        
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 512;
+            this.analyser.smoothingTimeConstant = 0.3;
+            this.microphone = this.audioContext.createMediaStreamSource(new MediaStream(audioTracks));
+            this.microphone.connect(this.analyser);
+            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        
+        // Browsers may create the context suspended until a user gesture,
+        // always so for recorded sources, which come without a device grant
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+            const resume = () => {
+                if (this.audioContext) this.audioContext.resume().catch(() => {});
+            };
+            this.listen(document, 'pointerdown', resume, { once: true });
+            this.listen(document, 'keydown', resume, { once: true });
+        }
+        
+        this.utteranceDetector = new UtteranceDetector({
+            threshold: this.volumeThreshold,
+            ...this.locale.utterance
+        });
+        this.volumeDetectionActive = true;
+        this.isListening = true;
+        this.startVolumeAnalysis();
+        this.showListeningIndicator(this.t('listening'));
+        console.log('Volume-based voice detection started');
+    }
+    
+    // Average level across the speech band (roughly 85 Hz - 3 kHz)
+    getVoiceLevel() {
+        this.analyser.getByteFrequencyData(this.dataArray);
+        
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const lowBin = Math.max(1, Math.floor(85 / binWidth));
+        const highBin = Math.min(this.dataArray.length - 1, Math.ceil(3000 / binWidth));
+        
+        let sum = 0;
+        for (let i = lowBin; i <= highBin; i++) {
+            sum += this.dataArray[i];
+        }
+        return sum / (highBin - lowBin + 1);
+    }
+    
+    startVolumeAnalysis() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        this.utteranceDetector.reset();
+        
+        const analyze = (timestamp) => {
+            if (!this.isListening || !this.volumeDetectionActive) return;
+            
+            // Only listen for claims while the session is waiting for one,
+            // and not to the mirror's own narration
+            if (this.session.is(SESSION_STATES.LISTENING) && !this.narrating) {
+                const utterance = this.utteranceDetector.update(this.getVoiceLevel(), timestamp);
+                if (utterance) {
+                    this.handleUtterance(utterance, timestamp);
+                }
+            } else {
+                this.utteranceDetector.reset();
+            }
+            
+            this.animationId = requestAnimationFrame(analyze);
+        };
+        this.animationId = requestAnimationFrame(analyze);
+    }
+    
+    handleUtterance(utterance, timestamp) {
+        console.log(`Utterance: ${utterance.duration.toFixed(0)}ms, ${utterance.syllables} syllables, peak ${utterance.peak.toFixed(0)}`);
+        
+        if (!utterance.matches) return;
+        
+        if (timestamp - this.lastTriggerTime < this.cooldownTime) {
+            console.log('Utterance ignored during cooldown');
+            return;
+        }
+        
+        this.lastTriggerTime = timestamp;
+        console.log('Human phrase detected (volume)!');
+        this.processHumanClaim('volume', { duration: utterance.duration, syllables: utterance.syllables });
+    }
+    
+    // Speech recognition is unavailable or broken: try the offline detector
+    // before dropping to keyboard and click controls
+    fallbackToVolumeDetection() {
+        this.clock.clearTimeout(this.speechFallbackTimeout);
+        this.speechFallbackTimeout = null;
+        if (this.recognition) {
+            this.isListening = false;
+            this.recognition.onend = null;
+            this.recognition.onerror = null;
+            try {
+                this.recognition.abort();
+            } catch (error) {
+                // Already stopped
+            }
+            this.recognition = null;
+        }
+        
+        try {
+            this.setupVolumeDetection();
+        } catch (error) {
+            console.error('Volume detection setup failed:', error);
+            this.fallbackToAlternativeMethods();
+        }
+    }
+    
+    async setupSpeechRecognition() {
+        this.recognition = this.speech.create();
+        
+        // Configure recognition
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        this.recognition.lang = this.locale.speechLang;
+        this.recognition.maxAlternatives = 5;
+        
+        // Handle results
+        this.recognition.onresult = (event) => {
+            this.retryCount = 0; // Recognition is working again
+            if (this.narrating) return; // The mirror hearing itself
+            
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                // An interim result already triggered a claim for this utterance
+                if (i <= this.lastClaimedResultIndex) continue;
+                
+                const result = event.results[i];
+                const alternatives = Array.from(result, alternative => ({
+                    transcript: alternative.transcript,
+                    confidence: alternative.confidence
+                }));
+                
+                const decision = this.scoreHumanClaim(alternatives, result.isFinal);
+                if (decision.accepted) {
+                    this.lastClaimedResultIndex = i;
+                    this.processHumanClaim('speech', { transcript: decision.transcript, score: decision.score });
+                }
+            }
+        };
+        
+        // Handle errors
+        this.recognition.onerror = (event) => {
+            console.error('Speech recognition error:', event.error);
+            this.handleSpeechError(event.error);
+        };
+        
+        // Handle start
+        this.recognition.onstart = () => {
+            console.log('Speech recognition started');
+            this.lastClaimedResultIndex = -1; // Result indices restart with each session
+            this.showListeningIndicator(this.t('listening'));
+        };
+        
+        // Handle end
+        this.recognition.onend = () => {
+            console.log('Speech recognition ended');
+            if (this.isListening) {
+                // Restart recognition if we're still supposed to be listening
+                this.scheduleRecognitionRestart(500);
+            }
+        };
+        
+        // Start recognition
+        try {
+            this.recognition.start();
+            this.isListening = true;
+            console.log('Speech recognition initialization complete');
+        } catch (error) {
+            console.error('Failed to start speech recognition:', error);
+            this.handleSpeechError('start-failed');
+        }
+    }
+    
+    // Score all recognition alternatives for the claim and log the decision
+    scoreHumanClaim(alternatives, isFinal) {
+        const decision = this.phraseMatcher.score(alternatives, { isFinal });
+        
+        // Interim rejections are expected while the visitor is mid-sentence
+        if (isFinal || decision.accepted) {
+            this.logPhraseDecision(decision);
+            this.emit(MIRROR_EVENTS.TRANSCRIPT, {
+                transcript: decision.transcript,
+                confidence: decision.confidence,
+                isFinal,
+                accepted: decision.accepted,
+                reason: decision.reason
+            });
+        }
+        return decision;
+    }
+    
+    // Keep recent decisions (window.digitalMirror.phraseMatchLog) for tuning from gallery transcripts
+    logPhraseDecision(decision) {
+        const entry = {
+            time: new Date().toISOString(),
+            locale: this.localeCode,
+            accepted: decision.accepted,
+            reason: decision.reason,
+            transcript: decision.transcript,
+            phrase: decision.phrase,
+            similarity: decision.similarity,
+            confidence: decision.confidence,
+            score: decision.score,
+            threshold: decision.threshold,
+            isFinal: decision.isFinal
+        };
+        
+        this.phraseMatchLog.push(entry);
+        if (this.phraseMatchLog.length > 200) {
+            this.phraseMatchLog.shift();
+        }
+        
+        const score = typeof entry.score === 'number' ? entry.score.toFixed(2) : '-';
+        const confidence = entry.confidence === null || entry.confidence === undefined ? '-' : entry.confidence.toFixed(2);
+        console.log(`Claim ${entry.accepted ? 'ACCEPTED' : 'rejected'} [${entry.reason}] score=${score} confidence=${confidence} "${entry.transcript}"`);
+    }
+    
+    handleSpeechError(error) {
+        // The mirror aborts recognition itself when it stops or switches
+        // detection; the recognizer that replaces it must be left alone
+        if (error === 'aborted') {
+            console.log('Speech recognition aborted');
+            return;
+        }
+        
+        let errorMessage = '';
+        let shouldRestart = false;
+        
+        switch (error) {
+            case 'no-speech':
+                errorMessage = this.t('speechNoSpeech');
+                shouldRestart = true;
+                break;
+            case 'audio-capture':
+                errorMessage = this.t('speechAudioCapture');
+                break;
+            case 'not-allowed':
+                errorMessage = this.t('speechNotAllowed');
+                break;
+            case 'network':
+                errorMessage = this.t('speechNetwork');
+                break;
+            case 'service-not-allowed':
+                errorMessage = this.t('speechService');
+                break;
+            default:
+                errorMessage = this.t('speechGeneric', { error });
+                shouldRestart = true;
+        }
+        
+        console.error('Speech recognition error:', errorMessage);
+        this.emit(MIRROR_EVENTS.ERROR, { source: 'speech', message: errorMessage, error });
+        
+        // Errors after listening stopped (an ending, a switch) change nothing
+        if (!this.isListening) return;
+        
+        if (shouldRestart) {
+            this.retryCount++;
+            if (this.retryCount <= this.maxRetries) {
+                this.showListeningIndicator(this.t('restarting', { count: this.retryCount, max: this.maxRetries }));
+                // Restart recognition after a delay
+                this.scheduleRecognitionRestart(this.retryDelay);
+            } else {
+                console.error('Max retries reached, falling back to volume detection');
+                this.fallbackToVolumeDetection();
+            }
+        } else {
+            this.showListeningIndicator(this.t('errorPrefix', { message: errorMessage }));
+            // Fall back to offline detection for serious errors (network, service).
+            // stopAudioDetection() cancels this if detection is restarted first.
+            this.clock.clearTimeout(this.speechFallbackTimeout);
+            this.speechFallbackTimeout = this.clock.setTimeout(() => {
+                this.speechFallbackTimeout = null;
+                if (this.isListening) this.fallbackToVolumeDetection();
+            }, 2000);
+        }
+    }
+    
+    // Both onend and handleSpeechError ask for restarts, often for the same
+    // failure. Only one restart is ever pending, and a recognizer that is
+    // already running is left alone instead of feeding another error.
+    scheduleRecognitionRestart(delay) {
+        if (this.recognitionRestartTimeout) return;
+        
+        this.recognitionRestartTimeout = this.clock.setTimeout(() => {
+            this.recognitionRestartTimeout = null;
+            if (!this.isListening || !this.recognition || this.narrating) return;
+            
+            try {
+                this.recognition.start();
+                console.log(`Speech recognition restarted (attempt ${this.retryCount})`);
+            } catch (error) {
+                if (error.name === 'InvalidStateError') return; // Already running
+                console.error('Failed to restart speech recognition:', error);
+                this.handleSpeechError('restart-failed');
+            }
+        }, delay);
+    }
+    
+    stopListening() {
+        this.isListening = false;
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+    }
+    
+    fallbackToAlternativeMethods() {
+        console.log('Falling back to alternative input methods');
+        this.fallbackActive = true;
+        this.isListening = false;
+        this.retryCount = 0; // Reset retry counter
+        this.showListeningIndicator(this.t('fallbackMode'));
+        
+        // Controls stay installed if audio detection is later restarted
+        if (this.fallbackControlsEnabled) return;
+        this.fallbackControlsEnabled = true;
+        
+        // Enable fallback controls
+        this.enableFallbackControls();
+    }
+    
+    enableFallbackControls() {
+        // Add keyboard listener
+        this.listen(document, 'keydown', (event) => {
+            if (!this.ownsEvent(event)) return;
+            // Leave Space and typing to focused buttons and the CAPTCHA input
+            const target = mirrorEventTarget(event);
+            if (target.closest && target.closest('input, textarea, button, select')) return;
+            if (event.code === 'Space' || event.key.toLowerCase() === 'h') {
+                event.preventDefault();
+                this.processHumanClaim('keyboard');
+            }
+        });
+        
+        // Add click listener to video
+        this.webcam.addEventListener('click', () => {
+            this.processHumanClaim('click');
+        });
+    }
+    
+    setupFallbackControls() {
+        // This will be called if audio detection fails
+        // Controls are enabled in fallbackToAlternativeMethods()
+    }
+}
+
+export { MirrorSpeech };
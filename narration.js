@@ -0,0 +1,237 @@
+// The Digital Mirror - System Narration
+// Speaks system messages (challenge results, the failure page, the verdict)
+// in a cold machine voice. Lines are queued so they never overlap, and the
+// mirror is told while the system talks so it can stop listening. Without
+// speechSynthesis, or without an installed voice for the language,
+// pre-rendered files from narration/<lang>/<key>.mp3 are played instead.
+// The repository ships no recordings: an installation supplies them and
+// lists them in a manifest, { "<lang>": ["<key>", ...] }, and only listed
+// files are requested.
+
+import { DEFAULT_LOCALE, MIRROR_LOCALES } from './locales.js';
+import { browserClock } from './mirror-adapters.js';
+
+const DEFAULT_NARRATION_OPTIONS = {
+    rate: 0.85,             // Slow and even
+    pitch: 0.1,             // As low as speechSynthesis goes
+    volume: 1,
+    gap: 250,               // ms of silence between queued lines
+    audioPath: 'narration', // Pre-rendered lines: <audioPath>/<lang>/<key>.mp3
+    preferRecorded: false,  // Use the files even where speechSynthesis works
+    recordings: null,       // Manifest of the files that exist; none without it
+    voiceName: null         // Installed voice to use instead of the locale's preferences
+};
+
+// Pick an installed voice for the locale: a preferred name first, then an
+// exact language match, then any voice in the same language
+function selectNarrationVoice(voices, speechLang, preferred = []) {
+    const normalize = lang => lang.replace('_', '-').toLowerCase();
+    const language = normalize(speechLang).split('-')[0];
+    const inLanguage = voices.filter(voice => normalize(voice.lang).split('-')[0] === language);
+
+    for (const name of preferred) {
+        const voice = inLanguage.find(candidate => candidate.name.toLowerCase().includes(name.toLowerCase()));
+        if (voice) return voice;
+    }
+    return inLanguage.find(voice => normalize(voice.lang) === normalize(speechLang)) || inLanguage[0] || null;
+}
+
+// `options.clock` is the mirror's clock adapter
+class Narrator {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_NARRATION_OPTIONS, ...options };
+        this.clock = options.clock || browserClock;
+        this.synth = typeof speechSynthesis !== 'undefined' ? speechSynthesis : null;
+        this.localeCode = DEFAULT_LOCALE;
+        this.locale = MIRROR_LOCALES[DEFAULT_LOCALE];
+        this.voice = undefined;  // Looked up on first use; null when none fits
+        this.queue = [];
+        this.current = null;     // { stop() } for the line being played
+        this.busy = false;       // Playing a line or in the gap after it
+        this.gapTimeout = null;
+        this.speaking = false;
+        this.recordings = this.options.recordings;
+        this.missingFiles = new Set();
+        this.onSpeakingChange = null;
+
+        // Browsers load their voice list asynchronously
+        if (this.synth && typeof this.synth.addEventListener === 'function') {
+            this.synth.addEventListener('voiceschanged', () => {
+                this.voice = undefined;
+            });
+        }
+    }
+
+    setLocale(code, locale) {
+        this.localeCode = code;
+        this.locale = locale;
+        this.voice = undefined;
+    }
+
+    getVoice() {
+        if (!this.synth || this.options.preferRecorded) return null;
+        if (this.voice === undefined) {
+            const preferred = this.options.voiceName ? [this.options.voiceName] : (this.locale.narrationVoices || []);
+            this.voice = selectNarrationVoice(this.synth.getVoices(), this.locale.speechLang, preferred);
+            if (this.voice) console.log(`Narration voice: ${this.voice.name} (${this.voice.lang})`);
+        }
+        return this.voice;
+    }
+
+    // Whether the manifest lists a recording of `key` in the current language
+    hasRecording(key) {
+        return Boolean(this.recordings && (this.recordings[this.localeCode] || []).includes(key));
+    }
+
+    // Queue a line. `key` names the message and its pre-rendered file, or is
+    // null for text that only speechSynthesis can say.
+    say(key, text) {
+        if (!text) return;
+        this.queue.push({ key, text });
+        if (!this.busy) this.next();
+    }
+
+    // Drop the queue and stop the current line
+    cancel() {
+        this.queue = [];
+        this.clock.clearTimeout(this.gapTimeout);
+        if (this.current) {
+            this.current.stop();
+            this.current = null;
+        }
+        this.busy = false;
+        this.setSpeaking(false);
+    }
+
+    next() {
+        const line = this.queue.shift();
+        if (!line) {
+            this.busy = false;
+            this.setSpeaking(false);
+            return;
+        }
+
+        this.busy = true;
+        this.setSpeaking(true);
+        this.current = this.play(line, () => {
+            this.current = null;
+            this.gapTimeout = this.clock.setTimeout(() => this.next(), this.options.gap);
+        });
+    }
+
+    setSpeaking(speaking) {
+        if (speaking === this.speaking) return;
+        this.speaking = speaking;
+        if (this.onSpeakingChange) this.onSpeakingChange(speaking);
+    }
+
+    // Play one line with whatever is available; `done` runs once when it ends
+    play(line, done) {
+        let finished = false;
+        let watchdog = null;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            this.clock.clearTimeout(watchdog);
+            done();
+        };
+
+        let stop = () => {};
+        const voice = this.getVoice();
+        if (voice) {
+            stop = this.speak(line.text, voice, finish);
+        } else if (line.key && this.hasRecording(line.key)) {
+            stop = this.playRecorded(line.key, finish);
+        } else {
+            this.clock.setTimeout(finish, 0);
+        }
+
+        // speechSynthesis sometimes never fires onend; one line must not block the rest
+        watchdog = this.clock.setTimeout(finish, 4000 + line.text.length * 150);
+
+        return {
+            stop: () => {
+                finished = true;
+                this.clock.clearTimeout(watchdog);
+                stop();
+            }
+        };
+    }
+
+    speak(text, voice, finish) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+        utterance.rate = this.options.rate;
+        utterance.pitch = this.options.pitch;
+        utterance.volume = this.options.volume;
+        // speechSynthesis is shared with the rest of the page, so only this
+        // line may be cancelled: at once while it plays, or as it starts while
+        // it still waits behind someone else's
+        let state = 'queued';
+        utterance.onstart = () => {
+            state = 'speaking';
+        };
+        utterance.onend = () => {
+            state = 'done';
+            finish();
+        };
+        utterance.onerror = (event) => {
+            state = 'done';
+            if (event.error !== 'interrupted' && event.error !== 'canceled') {
+                console.error('Narration failed:', event.error);
+            }
+            finish();
+        };
+        this.synth.speak(utterance);
+        return () => {
+            utterance.onend = null;
+            utterance.onerror = null;
+            if (state === 'speaking') {
+                this.synth.cancel();
+            } else if (state === 'queued') {
+                utterance.onstart = () => this.synth.cancel();
+            }
+        };
+    }
+
+    playRecorded(key, finish) {
+        const src = `${this.options.audioPath}/${this.localeCode}/${key}.mp3`;
+        if (this.missingFiles.has(src)) {
+            this.clock.setTimeout(finish, 0);
+            return () => {};
+        }
+
+        const audio = new Audio(src);
+        audio.volume = this.options.volume;
+        audio.onended = finish;
+        audio.onerror = () => {
+            console.log(`Narration: no recording at ${src}`);
+            this.missingFiles.add(src);
+            finish();
+        };
+        audio.play().catch(error => {
+            if (error.name !== 'AbortError') console.error('Narration recording failed:', error);
+            finish();
+        });
+        return () => {
+            audio.onended = null;
+            audio.onerror = null;
+            audio.pause();
+        };
+    }
+}
+
+// Fetch a recordings manifest (e.g. ?narrationManifest=narration/manifest.json)
+async function loadNarrationManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load narration manifest ${url}: ${response.status}`);
+    }
+    const manifest = await response.json();
+    return Object.fromEntries(Object.entries(manifest)
+        .filter(([, keys]) => Array.isArray(keys))
+        .map(([lang, keys]) => [lang, keys.filter(key => typeof key === 'string')]));
+}
+
+export { selectNarrationVoice, Narrator, loadNarrationManifest };
@@ -0,0 +1,152 @@
+// The Digital Mirror - Operator Console
+// Staff page (operator.html) showing the mirror's live state with controls
+// for claims, challenge results, presets, reset and fallback mode. Open it in
+// another window of the mirror's browser, or on another device with
+// ?relay=ws://<mirror host>:8080/relay while operator-relay.js runs.
+
+import { OPERATOR_PRESETS, operatorRelayUrl, validateOperatorCommand, OperatorLink } from './operator-link.js';
+
+const OPERATOR_OFFLINE_AFTER = 5000; // ms without a state update before the mirror counts as gone
+
+class OperatorConsole {
+    constructor(link) {
+        this.link = link;
+        this.state = null;
+        this.lastStateTime = 0;
+        this.fields = {};
+        document.querySelectorAll('[id^="state-"]').forEach(element => {
+            this.fields[element.id.slice('state-'.length)] = element;
+        });
+        this.mirrorStatus = document.getElementById('mirror-status');
+        this.relayStatus = document.getElementById('relay-status');
+        this.log = document.getElementById('operator-log');
+        this.presetSelect = document.getElementById('preset-select');
+        this.presetUrl = document.getElementById('preset-url');
+        this.fallbackToggle = document.getElementById('fallback-toggle');
+    }
+
+    start() {
+        OPERATOR_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.value;
+            option.textContent = preset.name;
+            this.presetSelect.appendChild(option);
+        });
+
+        document.querySelectorAll('[data-command]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.sendCommand(button.dataset.command, button.dataset.value);
+            });
+        });
+        document.getElementById('preset-apply').addEventListener('click', () => {
+            this.sendCommand('preset', this.presetUrl.value.trim() || this.presetSelect.value);
+            this.presetUrl.value = '';
+        });
+        this.fallbackToggle.addEventListener('click', () => {
+            this.sendCommand('fallback', !(this.state && this.state.fallback));
+        });
+
+        this.link.onMessage(message => this.handleMessage(message));
+        this.link.onStatus = (connected) => {
+            this.updateRelayStatus();
+            if (connected) this.link.send({ type: 'hello' });
+        };
+        this.updateRelayStatus();
+        this.link.send({ type: 'hello' });
+
+        setInterval(() => this.updateMirrorStatus(), 1000);
+        this.render();
+    }
+
+    sendCommand(command, value = null) {
+        const message = { type: 'command', command, value };
+        const invalid = validateOperatorCommand(message);
+        if (invalid) {
+            this.addLog(invalid, true);
+            return;
+        }
+        this.link.send(message);
+        this.addLog(`> ${command}${value === null ? '' : ` ${value}`}`);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'state':
+                this.state = message.state;
+                this.lastStateTime = performance.now();
+                this.render();
+                break;
+            case 'log':
+                this.addLog(message.message, message.error);
+                break;
+        }
+    }
+
+    render() {
+        const state = this.state;
+        const fields = this.fields;
+        const set = (name, text) => {
+            fields[name].textContent = text;
+        };
+        this.updateMirrorStatus();
+        if (!state) return;
+
+        set('session', state.session.toUpperCase());
+        set('level', `${state.level} / ${state.maxLevel}`);
+        set('humanity', `${state.humanity}%`);
+        fields['humanity-bar'].style.width = `${state.humanity}%`;
+        set('code', state.code || '-');
+        set('challenge', state.challengeType || '-');
+        set('time', state.timeRemaining === null ? '-' : `${state.timeRemaining.toFixed(1)} s`);
+        set('preset', state.preset || '-');
+        set('detector', state.detector);
+        set('present', state.present === null ? 'not tracked' : (state.present ? 'present' : 'away'));
+        set('locale', state.locale);
+
+        fields.time.classList.toggle('operator-warning', state.timeRemaining !== null && state.timeRemaining <= 3);
+        this.fallbackToggle.textContent = state.fallback ? 'On' : 'Off';
+        this.fallbackToggle.setAttribute('aria-pressed', String(state.fallback));
+
+        // Results can only be forced while a challenge is open
+        const open = state.session === 'challenge';
+        document.querySelectorAll('[data-command="result"]').forEach(button => {
+            button.disabled = !open;
+        });
+    }
+
+    updateMirrorStatus() {
+        const online = this.state && performance.now() - this.lastStateTime < OPERATOR_OFFLINE_AFTER;
+        this.mirrorStatus.textContent = online ? 'Mirror: connected' : (this.state ? 'Mirror: lost' : 'Mirror: waiting');
+        this.mirrorStatus.classList.toggle('operator-online', Boolean(online));
+        document.body.classList.toggle('operator-offline', !online);
+    }
+
+    updateRelayStatus() {
+        if (!this.link.relayUrl) {
+            this.relayStatus.textContent = 'Relay: off (same browser only)';
+            return;
+        }
+        this.relayStatus.textContent = this.link.relayConnected ? `Relay: ${this.link.relayUrl}` : 'Relay: connecting...';
+        this.relayStatus.classList.toggle('operator-online', this.link.relayConnected);
+    }
+
+    addLog(text, error = false) {
+        const entry = document.createElement('li');
+        entry.textContent = `${new Date().toLocaleTimeString()}  ${text}`;
+        if (error) entry.className = 'operator-error';
+        this.log.prepend(entry);
+        while (this.log.children.length > 50) {
+            this.log.lastChild.remove();
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const link = new OperatorLink('console', {
+        relayUrl: operatorRelayUrl(params, window.location),
+        channel: params.get('operatorChannel')
+    });
+    window.operatorConsole = new OperatorConsole(link);
+    window.operatorConsole.start();
+});
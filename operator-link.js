@@ -0,0 +1,201 @@
+// The Digital Mirror - Operator Link
+// Message transport between the mirror and the operator console (operator.html).
+// A BroadcastChannel reaches consoles in other windows of the same browser; a
+// WebSocket relay (operator-relay.js) reaches consoles on other devices.
+//
+// Messages are JSON objects with a `type`:
+//   mirror  -> console  { type: 'state', state: {...} }
+//   console -> mirror   { type: 'hello' } asks for the current state
+//   console -> mirror   { type: 'command', command, value }
+
+import { browserClock } from './mirror-adapters.js';
+
+const OPERATOR_CHANNEL = 'digital-mirror-operator';
+
+// Each mirror on a page talks on its own channel: ?operatorChannel=<name> on
+// the mirror and the console, or the id of a <digital-mirror> element
+function operatorChannelName(name) {
+    return name ? `${OPERATOR_CHANNEL}:${name}` : OPERATOR_CHANNEL;
+}
+
+// Commands the console can send, with the values they accept
+const OPERATOR_COMMANDS = {
+    claim: null,                                 // Claim humanity as the operator
+    result: ['success', 'failure', 'timeout'],   // Force the open challenge's result
+    preset: null,                                // 'default' or a preset URL (presets/*.json)
+    reset: null,                                 // Back to the start for the next visitor
+    fallback: [true, false]                      // Keyboard/click claims instead of audio detection
+};
+
+// Presets the console offers; any other URL can still be sent
+const OPERATOR_PRESETS = [
+    { name: 'Default', value: 'default' },
+    { name: 'Melancholy', value: 'presets/melancholy.json' },
+    { name: 'Static Storm', value: 'presets/static-storm.json' },
+    { name: 'Faceless', value: 'presets/faceless.json' }
+];
+
+// ?relay=ws://host:8080/relay, or a bare ?relay for the server the page came
+// from; &relayToken=<token> for a relay started with --token
+function operatorRelayUrl(params, location) {
+    if (!params.has('relay')) return null;
+    let relay = params.get('relay');
+    if (!relay) {
+        if (!location.host) return null;
+        relay = `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}/relay`;
+    }
+    const token = params.get('relayToken');
+    return token ? `${relay}${relay.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : relay;
+}
+
+// Check a console command before acting on it; returns an error message or null
+function validateOperatorCommand(message) {
+    if (!message || message.type !== 'command') return 'Not a command';
+    if (!Object.prototype.hasOwnProperty.call(OPERATOR_COMMANDS, message.command)) {
+        return `Unknown command "${message.command}"`;
+    }
+    const allowed = OPERATOR_COMMANDS[message.command];
+    if (allowed && !allowed.includes(message.value)) {
+        return `Invalid value for "${message.command}": ${JSON.stringify(message.value)}`;
+    }
+    if (message.command === 'preset' && typeof message.value !== 'string') {
+        return 'Preset must be "default" or a URL';
+    }
+    return null;
+}
+
+class OperatorLink {
+    // role is 'mirror' or 'console'; messages from the same role, or from
+    // another channel on a shared relay, are ignored. `clock` times the
+    // reconnects (the mirror passes its clock adapter).
+    constructor(role, { relayUrl = null, channel = null, clock = browserClock } = {}) {
+        this.role = role;
+        this.clock = clock;
+        this.channelName = operatorChannelName(channel);
+        this.relayUrl = relayUrl;
+        this.listeners = new Set();
+        this.seen = [];        // Ids of recent messages, which may arrive by both transports
+        this.channel = null;
+        this.socket = null;
+        this.reconnectDelay = 1000;
+        this.reconnectTimeout = null;
+        this.closed = false;
+        this.onStatus = null;  // (relayConnected) => void
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.receive(event.data);
+        }
+        if (relayUrl) {
+            this.connect();
+        }
+    }
+
+    get relayConnected() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    // Returns an unsubscribe function
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    send(message) {
+        const data = {
+            ...message,
+            role: this.role,
+            channel: this.channelName,
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+        };
+        if (this.channel) {
+            this.channel.postMessage(data);
+        }
+        if (this.relayConnected) {
+            this.socket.send(JSON.stringify(data));
+        }
+    }
+
+    receive(data) {
+        if (!data || typeof data !== 'object' || data.role === this.role) return;
+        if ((data.channel || OPERATOR_CHANNEL) !== this.channelName) return;
+        if (data.id) {
+            if (this.seen.includes(data.id)) return;
+            this.seen.push(data.id);
+            if (this.seen.length > 100) this.seen.shift();
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error('Operator message handler failed:', error);
+            }
+        });
+    }
+
+    // Keep a relay connection open, reconnecting with backoff (1 s up to 10 s)
+    connect() {
+        if (this.closed) return;
+
+        let socket;
+        try {
+            socket = new WebSocket(this.relayUrl);
+        } catch (error) {
+            console.error('Operator relay unavailable:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            console.log(`Operator relay connected: ${this.relayUrl}`);
+            this.reconnectDelay = 1000;
+            if (this.onStatus) this.onStatus(true);
+        };
+        socket.onmessage = (event) => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Operator relay sent invalid JSON:', error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.onStatus) this.onStatus(false);
+            this.scheduleReconnect();
+        };
+        socket.onerror = () => {
+            // onclose follows and reconnects
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.closed) return;
+        this.clock.clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = this.clock.setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 10000);
+    }
+
+    close() {
+        this.closed = true;
+        this.clock.clearTimeout(this.reconnectTimeout);
+        if (this.channel) this.channel.close();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.listeners.clear();
+    }
+}
+
+export {
+    operatorChannelName,
+    OPERATOR_COMMANDS,
+    OPERATOR_PRESETS,
+    operatorRelayUrl,
+    validateOperatorCommand,
+    OperatorLink
+};
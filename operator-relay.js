@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+// The Digital Mirror - Operator Relay
+// Local stand-in server for installations where staff run the operator console
+// on another device. Serves this directory over HTTP and passes every
+// WebSocket message on /relay to all other connected clients. Plain Node,
+// no packages:
+//
+//   node operator-relay.js [--port 8080] [--host 0.0.0.0] [--token secret]
+//                          [--origin http://other-host:8000]
+//
+// Without --token or --host it only listens on 127.0.0.1, so nobody else on
+// the network can reach an unprotected relay. Browsers only connect from
+// pages the relay served itself, or from an origin given with --origin
+// (repeatable), so other sites cannot reach it through a visitor's browser.
+//
+// Mirror (on the installation machine, so the camera works over plain HTTP):
+//   http://localhost:8080/index.html?relay
+// Console (any device on the network):
+//   http://<installation ip>:8080/operator.html?relay
+// With --token, add &relayToken=secret to both URLs.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const PING_INTERVAL = 30000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+// http://host:port, as browsers send it in the Origin header
+function parseOrigin(value) {
+    let origin = 'null';
+    try {
+        origin = new URL(value).origin;
+    } catch (error) {
+        // Reported below
+    }
+    if (origin === 'null') {
+        throw new Error(`--origin needs an origin such as http://192.168.1.20:8000, not "${value}"`);
+    }
+    return origin;
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: 8080,
+        host: null,
+        token: process.env.OPERATOR_RELAY_TOKEN || null,
+        origins: []
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(value, 10);
+                i++;
+                break;
+            case '--host':
+                options.host = value;
+                i++;
+                break;
+            case '--token':
+                options.token = value;
+                i++;
+                break;
+            case '--origin':
+                options.origins.push(parseOrigin(value));
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        throw new Error('--port needs a port number');
+    }
+    if (!options.host) {
+        options.host = options.token ? '0.0.0.0' : '127.0.0.1';
+    }
+    return options;
+}
+
+// Map a request path to a file in ROOT; null for anything outside it or hidden
+function resolveStaticPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.split('/').some(segment => segment.startsWith('.'))) return null;
+
+    const file = path.join(ROOT, path.normalize(decoded === '/' ? '/index.html' : decoded));
+    return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+function serveStatic(request, response) {
+    const file = resolveStaticPath(new URL(request.url, 'http://localhost').pathname);
+    if (!file || (request.method !== 'GET' && request.method !== 'HEAD')) {
+        response.writeHead(file ? 405 : 404);
+        response.end();
+        return;
+    }
+
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Cache-Control': 'no-cache'
+        });
+        if (request.method === 'HEAD') {
+            response.end();
+        } else {
+            fs.createReadStream(file).pipe(response);
+        }
+    });
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Parse the complete frames at the start of `buffer`; returns { frames, rest }
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error(`Frame of ${length} bytes is too large`);
+        }
+
+        const dataStart = position + (masked ? 4 : 0);
+        if (buffer.length < dataStart + length) break;
+
+        const payload = Buffer.from(buffer.subarray(dataStart, dataStart + length));
+        if (masked) {
+            const mask = buffer.subarray(position, position + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ fin, opcode, masked, payload });
+        offset = dataStart + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+class RelayClient {
+    constructor(socket, relay, address) {
+        this.socket = socket;
+        this.relay = relay;
+        this.address = address;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.alive = true;
+        this.closing = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => relay.remove(this));
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(data) {
+        if (this.closing) return;
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let decoded;
+        try {
+            decoded = decodeFrames(this.buffer);
+        } catch (error) {
+            console.error(`Relay: ${this.address}: ${error.message}`);
+            this.close(1009);
+            return;
+        }
+        this.buffer = decoded.rest;
+        for (const frame of decoded.frames) {
+            if (this.closing) break;
+            this.handleFrame(frame);
+        }
+    }
+
+    handleFrame({ fin, opcode, masked, payload }) {
+        // Clients must mask every frame (RFC 6455, section 5.1)
+        if (!masked) {
+            console.error(`Relay: ${this.address}: unmasked frame`);
+            this.close(1002);
+            return;
+        }
+
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                if ((opcode === 0x0) !== (this.fragments.length > 0)) {
+                    console.error(`Relay: ${this.address}: unexpected ${opcode === 0x0 ? 'continuation' : 'text'} frame`);
+                    this.close(1002);
+                    return;
+                }
+                // A message split into many small frames counts as a whole
+                this.fragmentBytes += payload.length;
+                if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+                    console.error(`Relay: ${this.address}: message of over ${MAX_MESSAGE_BYTES} bytes`);
+                    this.close(1009);
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentBytes = 0;
+                    this.relay.broadcast(message, this);
+                }
+                break;
+            case 0x8: // Close
+                this.close();
+                break;
+            case 0x9: // Ping
+                this.write(encodeFrame(0xa, payload));
+                break;
+            case 0xa: // Pong
+                this.alive = true;
+                break;
+            default:
+                // Binary frames are not part of the protocol
+                break;
+        }
+    }
+
+    send(message) {
+        this.write(encodeFrame(0x1, Buffer.from(message, 'utf8')));
+    }
+
+    write(frame) {
+        if (!this.socket.destroyed) this.socket.write(frame);
+    }
+
+    close(code = 1000) {
+        if (this.closing) return;
+        this.closing = true;
+        this.fragments = [];
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(encodeFrame(0x8, payload));
+        this.socket.end();
+    }
+}
+
+// Compare in constant time, so response times do not give the token away
+function tokenMatches(given, token) {
+    const a = Buffer.from(given || '', 'utf8');
+    const b = Buffer.from(token, 'utf8');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class OperatorRelay {
+    // `origins` are the pages on other origins allowed to connect
+    constructor({ token = null, origins = [] } = {}) {
+        this.token = token;
+        this.origins = origins;
+        this.clients = new Set();
+        this.pingInterval = null;
+    }
+
+    // Browsers send the page's origin; only the relay's own pages and the
+    // allowed origins get in. Other clients send none, and the token guards
+    // against those.
+    originAllowed(request) {
+        const origin = request.headers.origin;
+        if (origin === undefined) return true;
+        if (this.origins.includes(origin)) return true;
+        try {
+            return new URL(origin).host === request.headers.host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // HTTP upgrade on /relay; `head` holds any bytes the client sent after
+    // the handshake, which belong to its first frames
+    handleUpgrade(request, socket, head = Buffer.alloc(0)) {
+        const url = new URL(request.url, 'http://localhost');
+        const key = request.headers['sec-websocket-key'];
+        const reject = (status) => {
+            socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+        };
+
+        if (url.pathname !== '/relay' || !key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            reject('400 Bad Request');
+            return;
+        }
+        if (!this.originAllowed(request)) {
+            console.error(`Relay: ${request.socket.remoteAddress}: refused origin ${request.headers.origin}`);
+            reject('403 Forbidden');
+            return;
+        }
+        if (this.token && !tokenMatches(url.searchParams.get('token'), this.token)) {
+            reject('401 Unauthorized');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = new RelayClient(socket, this, request.socket.remoteAddress);
+        this.clients.add(client);
+        console.log(`Relay: ${client.address} connected (${this.clients.size} clients)`);
+        if (head.length) client.receive(head);
+    }
+
+    broadcast(message, sender) {
+        this.clients.forEach(client => {
+            if (client !== sender) client.send(message);
+        });
+    }
+
+    remove(client) {
+        if (!this.clients.delete(client)) return;
+        console.log(`Relay: ${client.address} disconnected (${this.clients.size} clients)`);
+    }
+
+    // Drop clients that stopped answering pings (a console that went to sleep)
+    startHeartbeat() {
+        this.pingInterval = setInterval(() => {
+            this.clients.forEach(client => {
+                if (!client.alive) {
+                    client.socket.destroy();
+                    return;
+                }
+                client.alive = false;
+                client.write(encodeFrame(0x9));
+            });
+        }, PING_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.pingInterval);
+        this.clients.forEach(client => client.close(1001));
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node operator-relay.js [--port 8080] [--host 0.0.0.0] [--token secret] [--origin http://host:port]');
+        process.exit(1);
+    }
+
+    const relay = new OperatorRelay({ token: options.token, origins: options.origins });
+    const server = http.createServer(serveStatic);
+    server.on('upgrade', (request, socket, head) => relay.handleUpgrade(request, socket, head));
+    relay.startHeartbeat();
+
+    server.listen(options.port, options.host, () => {
+        console.log(`Operator relay on http://${options.host}:${options.port}`);
+        console.log(`  Mirror:  http://localhost:${options.port}/index.html?relay`);
+        console.log(`  Console: http://<this machine>:${options.port}/operator.html?relay`);
+        if (options.token) console.log('  Token required: add &relayToken=<token> to both URLs');
+        if (options.host === '127.0.0.1') {
+            console.log('  Only this machine can connect; start with --token <secret> to let other devices in');
+        }
+    });
+
+    const shutdown = () => {
+        relay.stop();
+        server.close(() => process.exit(0));
+        setTimeout(() => process.exit(0), 1000).unref();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { OperatorRelay, RelayClient, parseArgs, encodeFrame, decodeFrames, resolveStaticPath };
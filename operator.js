@@ -0,0 +1,184 @@
+// The Digital Mirror - Operator Control
+// Publishes the mirror's live state to operator consoles (operator.html) and
+// carries out their commands. Consoles in other windows of this browser are
+// always reachable; ?relay=ws://host:8080/relay adds consoles on other
+// devices through operator-relay.js. ?operator=off disables both.
+
+import {
+    DISTORTION_LEVEL_COUNT,
+    DEFAULT_DISTORTION_PRESET,
+    parseDistortionPreset,
+    loadDistortionPresetFromURL
+} from './distortion.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, registerMirrorPlugin } from './mirror-api.js';
+import { operatorChannelName, operatorRelayUrl, validateOperatorCommand, OperatorLink } from './operator-link.js';
+
+const OPERATOR_PUBLISH_INTERVAL = 250;  // ms between updates while the timer runs
+const OPERATOR_HEARTBEAT = 2000;        // ms between updates otherwise
+
+// What the console shows
+function getOperatorState(mirror) {
+    const timed = mirror.session.is(SESSION_STATES.CHALLENGE) ||
+        mirror.session.is(SESSION_STATES.PAUSED) ||
+        mirror.session.is(SESSION_STATES.FEEDBACK);
+    let detector = 'none';
+    if (mirror.recognition) detector = 'speech';
+    else if (mirror.volumeDetectionActive) detector = 'volume';
+    else if (mirror.fallbackActive) detector = 'fallback';
+
+    return {
+        session: mirror.session.state,
+        level: mirror.captchaLevel,
+        maxLevel: mirror.maxCaptchaLevel,
+        humanity: mirror.humanityPercentage,
+        code: timed ? mirror.currentCode : '',
+        challengeType: timed ? mirror.currentChallengeType : null,
+        timeRemaining: timed ? Math.max(0, Math.round(mirror.timeRemaining * 10) / 10) : null,
+        preset: mirror.distortionRenderer ? mirror.distortionRenderer.preset.name : null,
+        detector,
+        fallback: mirror.fallbackActive,
+        present: mirror.facePresence ? mirror.facePresence.present : null,
+        locale: mirror.localeCode
+    };
+}
+
+class OperatorControl {
+    constructor(mirror, link) {
+        this.mirror = mirror;
+        this.clock = mirror.clock;
+        this.link = link;
+        this.unsubscribers = [];
+        this.publishInterval = null;
+        this.lastPublish = 0;
+    }
+
+    attach() {
+        const mirror = this.mirror;
+        const publish = () => this.publish();
+        [
+            MIRROR_EVENTS.STATE_CHANGE,
+            MIRROR_EVENTS.HUMANITY_CHANGED,
+            MIRROR_EVENTS.CHALLENGE_STARTED,
+            MIRROR_EVENTS.CHALLENGE_RESULT,
+            MIRROR_EVENTS.PRESENCE_CHANGED,
+            MIRROR_EVENTS.RESET
+        ].forEach(event => this.unsubscribers.push(mirror.on(event, publish)));
+
+        this.unsubscribers.push(this.link.onMessage(message => this.handleMessage(message)));
+        this.link.onStatus = (connected) => {
+            if (connected) this.publish();
+        };
+
+        this.publishInterval = this.clock.setInterval(() => {
+            const running = mirror.session.is(SESSION_STATES.CHALLENGE);
+            if (running || this.clock.now() - this.lastPublish >= OPERATOR_HEARTBEAT) {
+                this.publish();
+            }
+        }, OPERATOR_PUBLISH_INTERVAL);
+        this.publish();
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.clock.clearInterval(this.publishInterval);
+        this.link.close();
+    }
+
+    publish() {
+        this.lastPublish = this.clock.now();
+        this.link.send({ type: 'state', state: getOperatorState(this.mirror) });
+    }
+
+    // Tell the consoles what happened to their command
+    report(message, error = false) {
+        if (error) {
+            console.error(`Operator: ${message}`);
+        } else {
+            console.log(`Operator: ${message}`);
+        }
+        this.link.send({ type: 'log', message, error });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'hello') {
+            this.publish();
+            return;
+        }
+        if (message.type !== 'command') return;
+
+        const invalid = validateOperatorCommand(message);
+        if (invalid) {
+            this.report(invalid, true);
+            return;
+        }
+        this.runCommand(message.command, message.value)
+            .catch(error => this.report(`${message.command} failed: ${error.message}`, true))
+            .then(() => this.publish());
+    }
+
+    async runCommand(command, value) {
+        const mirror = this.mirror;
+        switch (command) {
+            case 'claim':
+                mirror.processHumanClaim('operator');
+                this.report('Claim sent');
+                break;
+            case 'result':
+                if (!mirror.session.is(SESSION_STATES.CHALLENGE)) {
+                    this.report('No challenge is open', true);
+                    return;
+                }
+                mirror.finishCaptcha(value);
+                this.report(`Challenge forced: ${value}`);
+                break;
+            case 'preset': {
+                if (!mirror.distortionRenderer) {
+                    this.report('The mirror has not started yet', true);
+                    return;
+                }
+                const preset = value === 'default'
+                    ? parseDistortionPreset(DEFAULT_DISTORTION_PRESET, DISTORTION_LEVEL_COUNT)
+                    : await loadDistortionPresetFromURL(value, DISTORTION_LEVEL_COUNT);
+                mirror.distortionRenderer.setPreset(preset);
+                this.report(`Preset: ${preset.name}`);
+                break;
+            }
+            case 'reset':
+                mirror.resetMirror();
+                this.report('Mirror reset');
+                break;
+            case 'fallback':
+                await mirror.setFallbackMode(value);
+                this.report(value ? 'Fallback mode on' : 'Audio detection restarted');
+                break;
+        }
+    }
+}
+
+// Channels of the mirrors on this page; one console drives one mirror
+const operatorChannelsInUse = new Set();
+
+registerMirrorPlugin({
+    name: 'operator',
+    install(mirror) {
+        if (mirror.params.get('operator') === 'off') return null;
+
+        const channel = mirror.params.get('operatorChannel');
+        const channelName = operatorChannelName(channel);
+        if (operatorChannelsInUse.has(channelName)) {
+            console.error(`Operator: another mirror on this page already uses channel "${channel || 'default'}"; give each <digital-mirror> an id or its own operatorChannel`);
+            return null;
+        }
+
+        const link = new OperatorLink('mirror', { relayUrl: operatorRelayUrl(mirror.params, window.location), channel, clock: mirror.clock });
+        const control = new OperatorControl(mirror, link);
+        control.attach();
+        operatorChannelsInUse.add(channelName);
+        return () => {
+            control.detach();
+            operatorChannelsInUse.delete(channelName);
+        };
+    }
+});
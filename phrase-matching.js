@@ -0,0 +1,212 @@
+// The Digital Mirror - Claim Phrase Scoring
+// Scores every recognition alternative against the locale's claim phrases,
+// tolerating contractions, mis-hearings ("I am Hugh Man") and engine
+// confidence, and explains each decision with a reason code.
+
+import { normalizeTranscript } from './locales.js';
+
+const DEFAULT_PHRASE_MATCH_OPTIONS = {
+    acceptThreshold: 0.8,   // Minimum similarity for a final result
+    interimThreshold: 0.92, // Interim results must be near-certain to trigger early
+    minConfidence: 0.3,     // Reject alternatives the engine itself doubts
+    confidenceWeight: 0.3   // How much reported confidence pulls the score down
+};
+
+// Reason codes logged with each decision
+const PHRASE_MATCH_REASONS = {
+    EXACT: 'exact-match',
+    FUZZY: 'fuzzy-match',
+    PHONETIC: 'phonetic-match',
+    BELOW_THRESHOLD: 'below-threshold',
+    INTERIM_BELOW_THRESHOLD: 'interim-below-threshold',
+    LOW_CONFIDENCE: 'low-confidence',
+    NEGATED: 'negated',
+    EMPTY: 'empty-transcript'
+};
+
+function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common
+function stringSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshteinDistance(a, b) / longest;
+}
+
+// Rough sound-alike key for Latin-script text: fold spellings that sound the
+// same and drop silent letters. Vowels stay, so "a man" keeps apart from "human".
+function phoneticKey(text) {
+    return text
+        .replace(/ph/g, 'f')
+        .replace(/gh/g, '')
+        .replace(/ck|q|c(?=[aou])/g, 'k')
+        .replace(/z/g, 's')
+        .replace(/(.)h/g, '$1')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// Characters after a window searched for negation in character locales
+// ("人間ではありません")
+const CHARACTER_NEGATION_REACH = 4;
+
+class PhraseMatcher {
+    constructor(locale, options = {}) {
+        this.options = { ...DEFAULT_PHRASE_MATCH_OPTIONS, ...options };
+        this.setLocale(locale);
+    }
+
+    setLocale(locale) {
+        this.locale = locale;
+        this.targets = locale.phrases.map(phrase => this.normalize(phrase));
+        this.negators = (locale.negators || []).map(word => this.normalize(word));
+        this.nearMisses = new Set((locale.nearMisses || []).map(word => this.normalize(word)));
+    }
+
+    // Normalize and expand the locale's contractions ("i'm" -> "i am")
+    normalize(text) {
+        let normalized = normalizeTranscript(text, this.locale);
+        if (this.locale.tokenize === 'characters') return normalized;
+
+        Object.entries(this.locale.contractions || {}).forEach(([short, long]) => {
+            normalized = ` ${normalized} `.split(` ${short} `).join(` ${long} `).trim();
+        });
+        return normalized;
+    }
+
+    // True when a window says the opposite of the claim: a negator inside it
+    // or just before it ("no soy humano"), or just after it in character
+    // locales ("私は人間ではありません"), or a word that only looks like the
+    // claim ("humane")
+    isNegated(units, start, end) {
+        if (this.locale.tokenize === 'characters') {
+            const text = units.slice(start, end + CHARACTER_NEGATION_REACH).join('');
+            return this.negators.some(negator => text.includes(negator));
+        }
+        return units.slice(Math.max(0, start - 1), end).some(unit => this.negators.includes(unit))
+            || units.slice(start, end).some(unit => this.nearMisses.has(unit));
+    }
+
+    // Best similarity between a transcript and any claim phrase, comparing the
+    // phrase against every window of roughly the same length in the transcript.
+    // Windows of the phrase's length are compared word by word, so a shared
+    // "I am" cannot carry a different last word; sound-alikes must have the
+    // same key, over the phrase's length or one word more ("Hugh Man").
+    compare(heard) {
+        let best = { similarity: 0, reason: PHRASE_MATCH_REASONS.BELOW_THRESHOLD, phrase: null };
+        let negatedSimilarity = 0;
+        const isCharacters = this.locale.tokenize === 'characters';
+        const units = isCharacters ? Array.from(heard) : heard.split(' ');
+
+        this.targets.forEach(target => {
+            const targetUnits = isCharacters ? Array.from(target) : target.split(' ');
+            const targetKey = isCharacters ? null : phoneticKey(targetUnits.join(''));
+
+            for (let size = Math.max(1, targetUnits.length - 1); size <= targetUnits.length + 1; size++) {
+                for (let start = 0; start + size <= units.length; start++) {
+                    const match = this.compareWindow(units.slice(start, start + size), targetUnits, targetKey);
+                    if (this.isNegated(units, start, start + size)) {
+                        negatedSimilarity = Math.max(negatedSimilarity, match.similarity);
+                    } else if (match.similarity > best.similarity) {
+                        best = { ...match, phrase: target };
+                    }
+                }
+            }
+        });
+
+        // A negated claim explains the rejection better than the best leftover
+        best.negated = negatedSimilarity > best.similarity;
+        return best;
+    }
+
+    // Similarity of one window to one phrase, with how it matched
+    compareWindow(windowUnits, targetUnits, targetKey) {
+        const window = windowUnits.join('');
+        const target = targetUnits.join('');
+        if (windowUnits.length === targetUnits.length && window === target) {
+            return { similarity: 1, reason: PHRASE_MATCH_REASONS.EXACT };
+        }
+        if (targetKey && windowUnits.length >= targetUnits.length && phoneticKey(window) === targetKey) {
+            return { similarity: 1, reason: PHRASE_MATCH_REASONS.PHONETIC };
+        }
+
+        let similarity = stringSimilarity(window, target);
+        if (targetKey && windowUnits.length === targetUnits.length) {
+            targetUnits.forEach((word, i) => {
+                // Short words ("i", "am", "un") are covered by the whole-window score
+                if (word.length >= 4) similarity = Math.min(similarity, stringSimilarity(windowUnits[i], word));
+            });
+        }
+        return { similarity, reason: PHRASE_MATCH_REASONS.FUZZY };
+    }
+
+    // Score one alternative: { transcript, confidence }
+    scoreAlternative({ transcript, confidence }) {
+        const heard = this.normalize(transcript || '');
+        if (!heard) {
+            return { transcript, confidence, score: 0, reason: PHRASE_MATCH_REASONS.EMPTY };
+        }
+
+        const match = this.compare(heard);
+        // Engines report 0 when they have no confidence estimate (common for interim results)
+        const hasConfidence = typeof confidence === 'number' && confidence > 0;
+        const score = hasConfidence
+            ? match.similarity * (1 - this.options.confidenceWeight * (1 - confidence))
+            : match.similarity;
+
+        return {
+            transcript,
+            confidence: hasConfidence ? confidence : null,
+            similarity: match.similarity,
+            phrase: match.phrase,
+            score,
+            matchReason: match.reason,
+            negated: match.negated,
+            lowConfidence: hasConfidence && confidence < this.options.minConfidence
+        };
+    }
+
+    // Decide on a recognition result. Returns the best alternative with
+    // accepted and a reason code.
+    score(alternatives, { isFinal = true } = {}) {
+        const threshold = isFinal ? this.options.acceptThreshold : this.options.interimThreshold;
+        const scored = alternatives.map(alternative => this.scoreAlternative(alternative));
+
+        const candidates = scored.filter(s => s.reason !== PHRASE_MATCH_REASONS.EMPTY);
+        if (candidates.length === 0) {
+            return { ...scored[0], isFinal, accepted: false, reason: PHRASE_MATCH_REASONS.EMPTY, threshold };
+        }
+
+        const confident = candidates.filter(s => !s.lowConfidence);
+        const pool = confident.length ? confident : candidates;
+        const best = pool.reduce((a, b) => (b.score > a.score ? b : a));
+
+        let reason = best.matchReason;
+        let accepted = best.score >= threshold;
+        if (!confident.length) {
+            accepted = false;
+            reason = PHRASE_MATCH_REASONS.LOW_CONFIDENCE;
+        } else if (!accepted && best.negated) {
+            reason = PHRASE_MATCH_REASONS.NEGATED;
+        } else if (!accepted) {
+            reason = isFinal ? PHRASE_MATCH_REASONS.BELOW_THRESHOLD : PHRASE_MATCH_REASONS.INTERIM_BELOW_THRESHOLD;
+        }
+
+        return { ...best, isFinal, accepted, reason, threshold, alternatives: scored.length };
+    }
+}
+
+export { PhraseMatcher };
@@ -0,0 +1,378 @@
+// The Digital Mirror - Session Recorder
+// Opt-in archive of each visitor's journey (?record): a WebM clip of the
+// distorted mirror with the CAPTCHA screens drawn over it, a JSON timeline of
+// what was said, asked and typed, and a still "rejection certificate".
+// Built on the plugin API in mirror-api.js.
+
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, registerMirrorPlugin } from './mirror-api.js';
+
+const SESSION_RECORDER_MIME_TYPES = [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+class SessionRecorder {
+    constructor(mirror, options = {}) {
+        this.mirror = mirror;
+        this.clock = mirror.clock;
+        this.fps = options.fps || 30;
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        // A recording never grows past these: an idle mirror starts over, a
+        // visitor's clip ends there
+        this.maxDuration = options.maxDuration || 600000; // ms
+        this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+
+        // Composite of the mirror and the CAPTCHA screen, which is what gets recorded
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.ctx = this.canvas.getContext('2d');
+
+        // Last distorted frame before the ending, for the certificate
+        this.finalFrame = document.createElement('canvas');
+        this.finalFrame.width = this.width;
+        this.finalFrame.height = this.height;
+        this.finalFrameFrozen = false;
+
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.bytes = 0;
+        this.clip = null;
+        this.timeline = [];
+        this.startTime = 0;
+        this.startedAt = null;
+        this.stopTimeout = null;
+        this.ending = null;
+        this.unsubscribers = [];
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    // Subscribe to the mirror; recording starts with each listening session
+    attach() {
+        const on = (event, listener) => this.unsubscribers.push(this.mirror.on(event, listener));
+
+        on(MIRROR_EVENTS.FRAME, ({ canvas }) => this.drawFrame(canvas));
+        on(MIRROR_EVENTS.STATE_CHANGE, ({ from, to }) => {
+            if (to === SESSION_STATES.LISTENING && from === SESSION_STATES.IDLE) {
+                this.start();
+            }
+        });
+        on(MIRROR_EVENTS.TRANSCRIPT, detail => this.log('transcript', detail));
+        on(MIRROR_EVENTS.CLAIM_DETECTED, detail => this.log('claim', detail));
+        on(MIRROR_EVENTS.HUMANITY_CHANGED, detail => this.log('humanity', detail));
+        on(MIRROR_EVENTS.CHALLENGE_STARTED, detail => this.log('challenge', detail));
+        on(MIRROR_EVENTS.CHALLENGE_RESULT, detail => this.log('challenge-result', detail));
+        on(MIRROR_EVENTS.VERDICT, detail => {
+            this.log('verdict', detail);
+            this.ending = detail;
+            this.finalFrameFrozen = true;
+            // Keep a moment of the ending in the clip
+            this.clock.clearTimeout(this.stopTimeout);
+            this.stopTimeout = this.clock.setTimeout(() => {
+                this.stopTimeout = null;
+                this.stop();
+            }, 1500);
+        });
+        on(MIRROR_EVENTS.RESET, () => this.discard());
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.discard();
+    }
+
+    start() {
+        this.discard();
+
+        const stream = this.canvas.captureStream(this.fps);
+        const mimeType = SESSION_RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+                this.bytes += event.data.size;
+                this.enforceLimits();
+            }
+        };
+        this.mediaRecorder.start(1000);
+
+        this.startTime = this.clock.now();
+        this.startedAt = new Date().toISOString();
+        this.timeline = [];
+        this.log('session-start', { locale: this.mirror.localeCode, levels: this.mirror.maxCaptchaLevel });
+        console.log(`Session recording started (${this.mediaRecorder.mimeType || 'default format'})`);
+    }
+
+    // Finish the clip; resolves with the WebM blob
+    stop() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') {
+            return Promise.resolve(this.clip);
+        }
+
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                this.clip = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+                console.log(`Session recording finished (${(this.clip.size / 1024).toFixed(0)} KB)`);
+                resolve(this.clip);
+            };
+            recorder.stop();
+        });
+    }
+
+    // Keep a recording within maxDuration and maxBytes. Nobody has claimed
+    // yet on an idle mirror, so its recording is dropped and started again.
+    enforceLimits() {
+        if (this.clock.now() - this.startTime < this.maxDuration && this.bytes < this.maxBytes) return;
+
+        if (this.mirror.session.is(SESSION_STATES.LISTENING) && this.mirror.captchaLevel === 0) {
+            console.log('Session recording limit reached with nobody claiming - starting over');
+            this.start();
+        } else if (this.mediaRecorder.state !== 'inactive') {
+            console.log('Session recording limit reached - ending the clip');
+            this.stop();
+        }
+    }
+
+    // Drop the current recording, e.g. when the next visitor starts
+    discard() {
+        this.clock.clearTimeout(this.stopTimeout);
+        this.stopTimeout = null;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.onstop = null;
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.bytes = 0;
+        this.clip = null;
+        this.ending = null;
+        this.finalFrameFrozen = false;
+    }
+
+    log(type, detail) {
+        if (!this.mediaRecorder) return;
+        this.timeline.push({
+            t: Math.round(this.clock.now() - this.startTime),
+            time: new Date().toISOString(),
+            event: type,
+            ...detail
+        });
+    }
+
+    drawFrame(source) {
+        if (!this.finalFrameFrozen) {
+            this.drawMirror(this.finalFrame.getContext('2d'), source);
+        }
+        if (!this.mediaRecorder) return;
+
+        this.drawMirror(this.ctx, source);
+        if (this.mirror.session.is(SESSION_STATES.CHALLENGE, SESSION_STATES.FEEDBACK)) {
+            this.drawChallenge();
+        }
+    }
+
+    // The mirror as the visitor sees it: the distorted frame while the
+    // renderer draws one, otherwise the webcam, flipped like #webcam (at
+    // level 0 and after a reset the distortion canvas is blank or stale)
+    drawMirror(ctx, source) {
+        const renderer = this.mirror.distortionRenderer;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.width, this.height);
+        if (renderer && renderer.isActive) {
+            ctx.drawImage(source, 0, 0, this.width, this.height);
+            return;
+        }
+        ctx.save();
+        if (this.mirror.mirrored) {
+            ctx.setTransform(-1, 0, 0, 1, this.width, 0);
+        }
+        ctx.drawImage(this.mirror.webcam, 0, 0, this.width, this.height);
+        ctx.restore();
+    }
+
+    // Redraw the CAPTCHA screen from the live DOM elements
+    drawChallenge() {
+        const ctx = this.ctx;
+        const mirror = this.mirror;
+        const centerX = this.width / 2;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#00ff00';
+        ctx.font = "bold 40px 'Courier New', monospace";
+        ctx.fillText(mirror.t('captchaTitle'), centerX, this.height * 0.15);
+
+        ctx.font = "22px 'Courier New', monospace";
+        ctx.fillText(mirror.captchaInstruction.textContent, centerX, this.height * 0.25);
+        ctx.fillText(mirror.captchaTimer.textContent, centerX, this.height * 0.32);
+
+        const captcha = mirror.captchaCanvas;
+        const scale = Math.min(2, (this.width * 0.8) / captcha.width);
+        const captchaWidth = captcha.width * scale;
+        const captchaHeight = captcha.height * scale;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(captcha, centerX - captchaWidth / 2, this.height * 0.38, captchaWidth, captchaHeight);
+        ctx.imageSmoothingEnabled = true;
+
+        const inputY = this.height * 0.38 + captchaHeight + 50;
+        ctx.font = "bold 32px 'Courier New', monospace";
+        ctx.fillText(`> ${mirror.captchaInput.value}_`, centerX, inputY);
+
+        ctx.font = "bold 26px 'Courier New', monospace";
+        ctx.fillStyle = mirror.captchaStatus.style.color || '#00ff00';
+        ctx.fillText(mirror.captchaStatus.textContent, centerX, inputY + 50);
+    }
+
+    getTimeline() {
+        return {
+            recordedAt: this.startedAt,
+            ending: this.ending,
+            events: this.timeline
+        };
+    }
+
+    // Still image: the final distorted frame framed as an official rejection,
+    // or in white as a certificate of humanity after the accepted ending
+    async createCertificate() {
+        const mirror = this.mirror;
+        const ending = this.ending ? this.ending.ending : null;
+        const border = ending === 'accepted' ? '#ffffff' : '#ff0000';
+        const width = 1200;
+        const height = 1000;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = border;
+        ctx.lineWidth = 6;
+        ctx.strokeRect(20, 20, width - 40, height - 40);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = border;
+        ctx.font = "bold 48px 'Courier New', monospace";
+        ctx.fillText(mirror.t(ending === 'accepted' ? 'certificateAccepted' : 'certificateTitle'), width / 2, 90);
+
+        const frameWidth = width - 160;
+        const frameHeight = frameWidth * this.height / this.width;
+        ctx.drawImage(this.finalFrame, 80, 140, frameWidth, frameHeight);
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(80, 140, frameWidth, frameHeight);
+
+        const headlines = { failed: 'failureTitle', accepted: 'acceptedTitle' };
+        const lines = [
+            mirror.t(headlines[ending] || 'verdictText'),
+            mirror.t('humanity', { percent: this.ending ? this.ending.humanity : mirror.humanityPercentage }),
+            new Date().toLocaleString(mirror.locale.speechLang)
+        ];
+        ctx.fillStyle = '#00ff00';
+        ctx.font = "28px 'Courier New', monospace";
+        lines.forEach((line, i) => {
+            ctx.fillText(line, width / 2, 140 + frameHeight + 60 + i * 45);
+        });
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.clock.setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    fileStamp() {
+        return new Date().toISOString().replace(/[:.]/g, '-');
+    }
+
+    async downloadClip() {
+        const clip = await this.stop();
+        if (clip) {
+            this.download(clip, `digital-mirror-${this.fileStamp()}.webm`);
+        }
+    }
+
+    downloadTimeline() {
+        const json = JSON.stringify(this.getTimeline(), null, 2);
+        this.download(new Blob([json], { type: 'application/json' }), `digital-mirror-${this.fileStamp()}.json`);
+    }
+
+    async downloadCertificate() {
+        this.download(await this.createCertificate(), `digital-mirror-certificate-${this.fileStamp()}.png`);
+    }
+
+    // Download buttons shown on the failure and verdict screens
+    createDownloadPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'recording-downloads';
+
+        [
+            { key: 'downloadClip', action: () => this.downloadClip() },
+            { key: 'downloadCertificate', action: () => this.downloadCertificate() },
+            { key: 'downloadTimeline', action: () => this.downloadTimeline() }
+        ].forEach(({ key, action }) => {
+            const button = document.createElement('button');
+            button.className = 'download-button';
+            button.dataset.i18n = key;
+            button.textContent = this.mirror.t(key);
+            button.addEventListener('click', () => {
+                Promise.resolve()
+                    .then(action)
+                    .catch(error => console.error('Download failed:', error));
+            });
+            panel.appendChild(button);
+        });
+
+        return panel;
+    }
+}
+
+// Opt in with ?record
+registerMirrorPlugin({
+    name: 'session-recorder',
+    install(mirror) {
+        if (!mirror.params.has('record')) return null;
+
+        if (!SessionRecorder.isSupported()) {
+            console.error('Session recording needs MediaRecorder and canvas.captureStream()');
+            return null;
+        }
+
+        // ?recordLimit=<seconds> caps each recording (default 600)
+        const limit = parseFloat(mirror.params.get('recordLimit'));
+        const recorder = new SessionRecorder(mirror, { maxDuration: limit > 0 ? limit * 1000 : undefined });
+        recorder.attach();
+        mirror.sessionRecorder = recorder;
+
+        const removePanel = mirror.addOverlay(recorder.createDownloadPanel(), {
+            states: [SESSION_STATES.FAILED, SESSION_STATES.VERDICT, SESSION_STATES.ACCEPTED]
+        });
+
+        return () => {
+            removePanel();
+            recorder.detach();
+        };
+    }
+});
+
+export { SessionRecorder };
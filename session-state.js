@@ -0,0 +1,103 @@
+// The Digital Mirror - Session State Machine
+// One visitor session moves through a fixed set of states. Every change goes
+// through transition(), which refuses moves the table below does not allow,
+// owns the single pending delayed transition, and notifies listeners.
+
+import { browserClock } from './mirror-adapters.js';
+
+const SESSION_STATES = {
+    IDLE: 'idle',             // Starting up, or reset and not yet listening
+    LISTENING: 'listening',   // Waiting for "I am human"
+    PROCESSING: 'processing', // Claim accepted, challenge about to appear
+    CHALLENGE: 'challenge',   // Reverse CAPTCHA on screen, timer running
+    PAUSED: 'paused',         // Visitor walked away mid-challenge, timer stopped
+    FEEDBACK: 'feedback',     // Result of the challenge shown briefly
+    FAILED: 'failed',         // Session over, score in between: humanity verification failed
+    VERDICT: 'verdict',       // Session over, machine-like score: system verdict
+    ACCEPTED: 'accepted',     // Session over, human score (rare): humanity verified
+    ERROR: 'error'            // Camera or microphone unavailable
+};
+
+// Allowed transitions: state -> states it may move to
+const SESSION_TRANSITIONS = {
+    idle: ['listening', 'error'],
+    listening: ['processing', 'idle', 'error'],
+    processing: ['challenge', 'idle', 'error'],
+    challenge: ['feedback', 'paused', 'idle', 'error'],
+    paused: ['challenge', 'idle', 'error'],
+    feedback: ['listening', 'failed', 'verdict', 'accepted', 'idle', 'error'],
+    failed: ['idle', 'error'],
+    verdict: ['idle', 'error'],
+    accepted: ['idle', 'error'],
+    error: ['idle']
+};
+
+class SessionStateMachine {
+    // `clock` provides now/setTimeout/clearTimeout (see mirror-adapters.js)
+    constructor(initialState = SESSION_STATES.IDLE, transitions = SESSION_TRANSITIONS, clock = browserClock) {
+        this.state = initialState;
+        this.transitions = transitions;
+        this.clock = clock;
+        this.listeners = new Set();
+        this.pendingTimeout = null;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return (this.transitions[this.state] || []).includes(to);
+    }
+
+    // Move to `to` if allowed. Cancels any pending delayed transition.
+    // Returns false (and changes nothing) for disallowed moves.
+    transition(to, detail = {}) {
+        if (!this.can(to)) {
+            if (to !== this.state) {
+                console.log(`Session: ignored ${this.state} -> ${to}`);
+            }
+            return false;
+        }
+
+        this.cancelPending();
+        const from = this.state;
+        this.state = to;
+        console.log(`Session: ${from} -> ${to}`);
+
+        const change = { from, to, detail, time: this.clock.now() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Session listener failed:', error);
+            }
+        });
+        return true;
+    }
+
+    // Schedule a transition; replaces any earlier pending one, and is dropped
+    // if something else moves the session first
+    transitionAfter(delay, to, detail = {}) {
+        this.cancelPending();
+        this.pendingTimeout = this.clock.setTimeout(() => {
+            this.pendingTimeout = null;
+            this.transition(to, detail);
+        }, delay);
+    }
+
+    cancelPending() {
+        if (this.pendingTimeout) {
+            this.clock.clearTimeout(this.pendingTimeout);
+            this.pendingTimeout = null;
+        }
+    }
+
+    // Listen for { from, to, detail, time }; returns an unsubscribe function
+    onTransition(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+export { SESSION_STATES, SESSION_TRANSITIONS, SessionStateMachine };
@@ -0,0 +1,572 @@
+// The Digital Mirror - Generative Soundscape
+// An ambient drone that is whole at 100% humanity and breaks up as the
+// percentage drops: glitch bursts, bitcrushing and granular smearing are
+// layered in level by level. Challenges, the last seconds of the CAPTCHA
+// timer, results and both endings get their own cues, and the visitor's
+// own voice can be fed back through the same degradation chain.
+
+import { VERDICT_PHASES } from './verdict-sequence.js';
+import { browserClock } from './mirror-adapters.js';
+import { SESSION_STATES } from './session-state.js';
+import { MIRROR_EVENTS, mirrorEventTarget, registerMirrorPlugin } from './mirror-api.js';
+
+const DEFAULT_SOUNDSCAPE_OPTIONS = {
+    volume: 0.6,        // Master volume, 0-1
+    voice: false,       // Feed the microphone back through the chain (use headphones or a directional mic)
+    voiceGain: 0.5,     // Level of the fed-back voice
+    tickSeconds: 5,     // Timer ticks during the last seconds of a challenge
+    rampTime: 1.5       // Seconds for the layers to settle after a humanity change
+};
+
+const SOUNDSCAPE_STORAGE_KEY = 'digital-mirror-sound';
+
+// Drone partials: A1, E2, A2, E3 with their relative levels
+const DRONE_PARTIALS = [
+    { frequency: 55, type: 'sine', gain: 0.5 },
+    { frequency: 82.41, type: 'triangle', gain: 0.25 },
+    { frequency: 110, type: 'sine', gain: 0.3 },
+    { frequency: 164.81, type: 'sine', gain: 0.12 }
+];
+
+// How far each layer has been let in, for a degradation of 0 (100% human)
+// to 1 (0% human)
+function soundscapeLayers(degradation) {
+    const d = Math.min(1, Math.max(0, degradation));
+    return {
+        detune: d * 35,                // Cents of spread between drone partials
+        buzz: d * 0.12,                // Sawtooth under the drone
+        cutoff: 1800 - d * 1200,       // Drone low-pass, Hz
+        dry: 1 - d * 0.6,
+        crush: Math.pow(d, 1.2) * 0.9, // Bitcrushed copy of the whole bed
+        bits: Math.round(8 - d * 6),   // 8 bits down to 2
+        glitchRate: d * 6,             // Bursts per second
+        grainRate: d * 24,             // Grains per second
+        grainSpread: d                 // Random pitch and position of grains
+    };
+}
+
+// ?sound=off disables it; ?soundVolume=0.3 and ?soundVoice override the saved settings
+function soundscapeOptionsFromParams(params, saved = {}) {
+    const options = { ...DEFAULT_SOUNDSCAPE_OPTIONS, ...saved };
+    const volume = parseFloat(params.get('soundVolume'));
+    if (!Number.isNaN(volume) && volume >= 0 && volume <= 1) options.volume = volume;
+    if (params.has('soundVoice')) options.voice = params.get('soundVoice') !== 'off';
+    return options;
+}
+
+// `options.clock` is the mirror's clock adapter
+class Soundscape {
+    constructor(options = DEFAULT_SOUNDSCAPE_OPTIONS) {
+        this.options = options;
+        this.clock = options.clock || browserClock;
+        this.volume = options.volume;
+        this.muted = Boolean(options.muted);
+        this.voiceEnabled = Boolean(options.voice);
+        this.degradation = 0;
+        this.layers = soundscapeLayers(0);
+        this.bits = null;
+        this.ctx = null;
+        this.voiceSource = null;
+        this.voiceStream = null;
+        this.schedulerInterval = null;
+        this.verdictTimeouts = [];
+    }
+
+    // Build the graph. The context may start suspended until the first gesture.
+    start() {
+        if (this.ctx) return;
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        this.ctx = ctx;
+
+        // master -> limiter -> speakers; cues go straight to master
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.threshold.value = -10;
+        this.limiter.ratio.value = 12;
+        this.limiter.connect(ctx.destination);
+        this.master = ctx.createGain();
+        this.master.gain.value = this.muted ? 0 : this.volume;
+        this.master.connect(this.limiter);
+
+        // Degradation chain: bus -> dry, and bus -> bitcrusher -> crush
+        this.bus = ctx.createGain();
+        this.dry = ctx.createGain();
+        this.crusher = ctx.createWaveShaper();
+        this.crushGain = ctx.createGain();
+        this.crushGain.gain.value = 0;
+        this.bus.connect(this.dry);
+        this.bus.connect(this.crusher);
+        this.crusher.connect(this.crushGain);
+        this.dry.connect(this.master);
+        this.crushGain.connect(this.master);
+        this.setBits(8);
+
+        this.startDrone();
+        this.noiseBuffer = this.createNoiseBuffer(1);
+        this.grainBuffer = this.createGrainBuffer(2);
+        this.schedulerInterval = this.clock.setInterval(() => this.schedule(), 50);
+    }
+
+    stop() {
+        this.clock.clearInterval(this.schedulerInterval);
+        this.schedulerInterval = null;
+        this.clearVerdict();
+        this.disconnectVoice();
+        if (this.ctx) {
+            this.ctx.close();
+            this.ctx = null;
+        }
+    }
+
+    // Browsers keep audio suspended until the visitor has interacted
+    resume() {
+        if (this.ctx && this.ctx.state === 'suspended') {
+            this.ctx.resume().catch(error => console.error('Sound could not start:', error));
+        }
+    }
+
+    startDrone() {
+        const ctx = this.ctx;
+        this.droneFilter = ctx.createBiquadFilter();
+        this.droneFilter.type = 'lowpass';
+        this.droneFilter.frequency.value = 1800;
+        this.droneFilter.Q.value = 2;
+        this.droneGain = ctx.createGain();
+        this.droneGain.gain.value = 0.25;
+        this.droneFilter.connect(this.droneGain);
+        this.droneGain.connect(this.bus);
+
+        // Slow sweep of the filter so the drone breathes
+        const lfo = ctx.createOscillator();
+        const lfoDepth = ctx.createGain();
+        lfo.frequency.value = 0.07;
+        lfoDepth.gain.value = 300;
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(this.droneFilter.frequency);
+        lfo.start();
+
+        this.droneOscillators = DRONE_PARTIALS.map(partial => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.type = partial.type;
+            oscillator.frequency.value = partial.frequency;
+            gain.gain.value = partial.gain;
+            oscillator.connect(gain);
+            gain.connect(this.droneFilter);
+            oscillator.start();
+            return oscillator;
+        });
+
+        // Machine buzz, silent while the visitor is fully human
+        this.buzz = ctx.createOscillator();
+        this.buzz.type = 'sawtooth';
+        this.buzz.frequency.value = 55;
+        this.buzzGain = ctx.createGain();
+        this.buzzGain.gain.value = 0;
+        this.buzz.connect(this.buzzGain);
+        this.buzzGain.connect(this.droneFilter);
+        this.buzz.start();
+    }
+
+    // Move every layer towards the given humanity percentage
+    setHumanity(percentage, rampTime = this.options.rampTime) {
+        this.degradation = 1 - Math.min(100, Math.max(0, percentage)) / 100;
+        this.layers = soundscapeLayers(this.degradation);
+        if (!this.ctx) return;
+
+        const layers = this.layers;
+        const now = this.ctx.currentTime;
+        const glide = (param, value) => param.setTargetAtTime(value, now, Math.max(0.01, rampTime / 3));
+
+        this.droneOscillators.forEach((oscillator, index) => {
+            glide(oscillator.detune, (index % 2 === 0 ? 1 : -1) * layers.detune * (index + 1) / DRONE_PARTIALS.length);
+        });
+        glide(this.buzzGain.gain, layers.buzz);
+        glide(this.droneFilter.frequency, layers.cutoff);
+        glide(this.dry.gain, layers.dry);
+        glide(this.crushGain.gain, layers.crush);
+        this.setBits(layers.bits);
+    }
+
+    // Quantize the waveform to 2^bits levels
+    setBits(bits) {
+        if (bits === this.bits) return;
+        this.bits = bits;
+        const steps = Math.pow(2, bits - 1);
+        const curve = new Float32Array(4096);
+        for (let i = 0; i < curve.length; i++) {
+            const x = i / (curve.length - 1) * 2 - 1;
+            curve[i] = Math.round(x * steps) / steps;
+        }
+        this.crusher.curve = curve;
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        this.applyMasterGain();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyMasterGain();
+    }
+
+    applyMasterGain() {
+        if (!this.ctx) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.ctx.currentTime, 0.05);
+    }
+
+    // Glitch bursts and grains, drawn per 50 ms slot at the current rates
+    schedule() {
+        const ctx = this.ctx;
+        if (!ctx || ctx.state !== 'running' || this.muted) return;
+
+        const slot = 0.05;
+        if (Math.random() < this.layers.glitchRate * slot) this.playGlitch();
+
+        const expected = this.layers.grainRate * slot;
+        const grains = Math.floor(expected) + (Math.random() < expected % 1 ? 1 : 0);
+        for (let i = 0; i < grains; i++) {
+            this.playGrain(ctx.currentTime + Math.random() * slot);
+        }
+    }
+
+    // A short band-passed slice of noise, sometimes stuttered
+    playGlitch() {
+        const ctx = this.ctx;
+        const start = ctx.currentTime;
+        const length = 0.02 + Math.random() * 0.06;
+        const repeats = Math.random() < 0.3 ? 2 + Math.floor(Math.random() * 4) : 1;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 400 + Math.random() * 6000;
+        filter.Q.value = 4;
+        filter.connect(this.bus);
+
+        const offset = Math.random() * (this.noiseBuffer.duration - length);
+        for (let i = 0; i < repeats; i++) {
+            const source = ctx.createBufferSource();
+            const gain = ctx.createGain();
+            source.buffer = this.noiseBuffer;
+            source.playbackRate.value = 0.5 + Math.random() * 1.5;
+            gain.gain.value = 0.15;
+            source.connect(gain);
+            gain.connect(filter);
+            source.start(start + i * length * 1.2, offset, length);
+        }
+    }
+
+    // A windowed fragment of the grain buffer at a random offset and pitch
+    playGrain(time) {
+        const ctx = this.ctx;
+        const spread = this.layers.grainSpread;
+        const duration = 0.03 + Math.random() * 0.09;
+        const source = ctx.createBufferSource();
+        const envelope = ctx.createGain();
+
+        source.buffer = this.grainBuffer;
+        source.playbackRate.value = Math.pow(2, (Math.random() - 0.5) * 2 * spread);
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(0.08, time + duration / 2);
+        envelope.gain.linearRampToValueAtTime(0, time + duration);
+        source.connect(envelope);
+        envelope.connect(this.bus);
+        source.start(time, Math.random() * (this.grainBuffer.duration - duration), duration);
+    }
+
+    createNoiseBuffer(seconds) {
+        const buffer = this.ctx.createBuffer(1, Math.floor(this.ctx.sampleRate * seconds), this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // A vowel-like chord with vibrato, the raw material for the grains
+    createGrainBuffer(seconds) {
+        const rate = this.ctx.sampleRate;
+        const buffer = this.ctx.createBuffer(1, Math.floor(rate * seconds), rate);
+        const data = buffer.getChannelData(0);
+        const partials = [220, 277.18, 329.63, 440, 660];
+        for (let i = 0; i < data.length; i++) {
+            const t = i / rate;
+            const vibrato = 1 + 0.01 * Math.sin(2 * Math.PI * 5 * t);
+            let sample = 0;
+            partials.forEach((frequency, index) => {
+                sample += Math.sin(2 * Math.PI * frequency * vibrato * t) / (index + 1);
+            });
+            data[i] = sample / 2;
+        }
+        return buffer;
+    }
+
+    // One enveloped oscillator note, straight to the master bus
+    tone({ type = 'sine', from, to = from, start = 0, duration, gain = 0.2 }) {
+        if (!this.ctx) return;
+        const ctx = this.ctx;
+        const time = ctx.currentTime + start;
+        const oscillator = ctx.createOscillator();
+        const envelope = ctx.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        if (to !== from) oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(gain, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        oscillator.connect(envelope);
+        envelope.connect(this.master);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    noiseHit(start, duration, gain) {
+        if (!this.ctx) return;
+        const time = this.ctx.currentTime + start;
+        const source = this.ctx.createBufferSource();
+        const envelope = this.ctx.createGain();
+        source.buffer = this.noiseBuffer;
+        envelope.gain.setValueAtTime(gain, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        source.connect(envelope);
+        envelope.connect(this.master);
+        source.start(time, 0, duration);
+    }
+
+    playChallengeStart() {
+        this.tone({ type: 'square', from: 200, to: 1200, duration: 0.35, gain: 0.08 });
+        this.tone({ type: 'sine', from: 1200, start: 0.35, duration: 0.2, gain: 0.12 });
+    }
+
+    // Higher and louder on the final second
+    playTick(secondsLeft) {
+        const last = secondsLeft <= 1;
+        this.tone({ type: 'square', from: last ? 1320 : 880, duration: 0.06, gain: last ? 0.12 : 0.07 });
+    }
+
+    playResult(result) {
+        if (result === 'success') {
+            // Machine behaviour confirmed: a bright digital chirp
+            this.tone({ type: 'square', from: 660, duration: 0.1, gain: 0.08 });
+            this.tone({ type: 'square', from: 990, start: 0.1, duration: 0.2, gain: 0.08 });
+        } else if (result === 'timeout') {
+            [0, 0.15, 0.3].forEach((start, index) => {
+                this.tone({ type: 'sawtooth', from: 520 - index * 120, start, duration: 0.12, gain: 0.1 });
+            });
+        } else {
+            this.tone({ type: 'sawtooth', from: 220, to: 110, duration: 0.5, gain: 0.12 });
+        }
+    }
+
+    // The verdict scan hums and rises until the mismatch stamp; the failure
+    // ending powers the whole bed down, and the accepted ending clears it
+    playEnding(ending, scanning) {
+        this.clearVerdict();
+        if (ending === 'failed') {
+            this.tone({ type: 'sawtooth', from: 440, to: 30, duration: 3, gain: 0.15 });
+            this.setHumanity(0, 0.5);
+            return;
+        }
+        if (ending === 'accepted') {
+            this.setHumanity(100, 2);
+            [261.63, 329.63, 392, 523.25].forEach((frequency, index) => {
+                this.tone({ type: 'sine', from: frequency, start: index * 0.2, duration: 3, gain: 0.06 });
+            });
+            return;
+        }
+
+        if (scanning) {
+            const compare = VERDICT_PHASES.compare / 1000;
+            this.tone({ type: 'sine', from: 110, to: 440, duration: compare, gain: 0.08 });
+            this.tone({ type: 'triangle', from: 55, to: 220, duration: compare, gain: 0.05 });
+        }
+        const stampDelay = scanning ? VERDICT_PHASES.mismatch : 0;
+        this.verdictTimeouts.push(this.clock.setTimeout(() => {
+            this.noiseHit(0, 0.4, 0.3);
+            this.tone({ type: 'square', from: 55, to: 40, duration: 1.2, gain: 0.25 });
+            [233.08, 246.94, 349.23].forEach(frequency => {
+                this.tone({ type: 'sawtooth', from: frequency, duration: 2.5, gain: 0.06 });
+            });
+        }, stampDelay));
+    }
+
+    clearVerdict() {
+        this.verdictTimeouts.forEach(timeout => this.clock.clearTimeout(timeout));
+        this.verdictTimeouts = [];
+    }
+
+    setVoiceEnabled(enabled, stream) {
+        this.voiceEnabled = enabled;
+        this.connectVoice(stream);
+    }
+
+    // Route the microphone into the degradation chain; reconnects when the
+    // mirror has replaced its media stream
+    connectVoice(stream) {
+        const usable = this.voiceEnabled && this.ctx && stream && stream.getAudioTracks().length > 0;
+        if (!usable) {
+            this.disconnectVoice();
+            return;
+        }
+        if (this.voiceSource && this.voiceStream === stream) return;
+
+        this.disconnectVoice();
+        const highpass = this.ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 150;
+        this.voiceGain = this.ctx.createGain();
+        this.voiceGain.gain.value = this.options.voiceGain;
+        this.voiceSource = this.ctx.createMediaStreamSource(stream);
+        this.voiceSource.connect(highpass);
+        highpass.connect(this.voiceGain);
+        this.voiceGain.connect(this.bus);
+        this.voiceStream = stream;
+    }
+
+    disconnectVoice() {
+        if (!this.voiceSource) return;
+        this.voiceSource.disconnect();
+        this.voiceGain.disconnect();
+        this.voiceSource = null;
+        this.voiceStream = null;
+    }
+}
+
+// Mute button, volume slider and voice feedback toggle
+function createSoundControls(mirror, soundscape, save) {
+    const panel = document.createElement('div');
+    panel.className = 'sound-controls';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-label', mirror.t('soundControls'));
+
+    const mute = document.createElement('button');
+    mute.type = 'button';
+    mute.className = 'sound-mute';
+
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = '0';
+    volume.max = '100';
+    volume.className = 'sound-volume';
+    volume.setAttribute('aria-label', mirror.t('soundVolume'));
+
+    const voiceLabel = document.createElement('label');
+    voiceLabel.className = 'sound-voice';
+    const voice = document.createElement('input');
+    voice.type = 'checkbox';
+    voiceLabel.appendChild(voice);
+    voiceLabel.appendChild(document.createTextNode(` ${mirror.t('soundVoice')}`));
+
+    const update = () => {
+        mute.textContent = mirror.t(soundscape.muted ? 'soundUnmute' : 'soundMute');
+        mute.setAttribute('aria-pressed', String(soundscape.muted));
+        volume.value = String(Math.round(soundscape.volume * 100));
+        voice.checked = soundscape.voiceEnabled;
+    };
+
+    mute.addEventListener('click', () => {
+        soundscape.setMuted(!soundscape.muted);
+        update();
+        save();
+    });
+    volume.addEventListener('input', () => {
+        soundscape.setVolume(parseInt(volume.value, 10) / 100);
+        if (soundscape.muted && soundscape.volume > 0) soundscape.setMuted(false);
+        update();
+        save();
+    });
+    voice.addEventListener('change', () => {
+        soundscape.setVoiceEnabled(voice.checked, mirror.webcam.srcObject);
+        save();
+    });
+
+    panel.appendChild(mute);
+    panel.appendChild(volume);
+    panel.appendChild(voiceLabel);
+    update();
+    return { panel, update };
+}
+
+function loadSoundSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SOUNDSCAPE_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+registerMirrorPlugin({
+    name: 'soundscape',
+    install(mirror) {
+        if (mirror.params.get('sound') === 'off') return null;
+
+        const soundscape = new Soundscape({
+            ...soundscapeOptionsFromParams(mirror.params, loadSoundSettings()),
+            clock: mirror.clock
+        });
+        const unsubscribers = [];
+        const on = (event, listener) => unsubscribers.push(mirror.on(event, listener));
+        const save = () => {
+            try {
+                localStorage.setItem(SOUNDSCAPE_STORAGE_KEY, JSON.stringify({
+                    volume: soundscape.volume,
+                    muted: soundscape.muted,
+                    voice: soundscape.voiceEnabled
+                }));
+            } catch (error) {
+                // Private browsing: settings last for this page only
+            }
+        };
+
+        on(MIRROR_EVENTS.HUMANITY_CHANGED, ({ percentage }) => soundscape.setHumanity(percentage));
+        on(MIRROR_EVENTS.CHALLENGE_STARTED, () => soundscape.playChallengeStart());
+        on(MIRROR_EVENTS.CHALLENGE_TICK, ({ secondsLeft }) => {
+            if (secondsLeft <= soundscape.options.tickSeconds) soundscape.playTick(secondsLeft);
+        });
+        on(MIRROR_EVENTS.CHALLENGE_RESULT, ({ result }) => soundscape.playResult(result));
+        on(MIRROR_EVENTS.VERDICT, ({ ending }) => {
+            const sequence = mirror.verdictSequence;
+            soundscape.playEnding(ending, Boolean(sequence && sequence.frameId));
+        });
+        on(MIRROR_EVENTS.RESET, () => soundscape.clearVerdict());
+        // The kiosk or the device panel may have replaced the camera and microphone stream
+        on(MIRROR_EVENTS.STATE_CHANGE, () => soundscape.connectVoice(mirror.webcam.srcObject));
+        on(MIRROR_EVENTS.DEVICES_CHANGED, () => soundscape.connectVoice(mirror.webcam.srcObject));
+
+        const controls = createSoundControls(mirror, soundscape, save);
+        const removeOverlay = mirror.addOverlay(controls.panel, { states: Object.values(SESSION_STATES) });
+
+        const onGesture = () => soundscape.resume();
+        const onKeyDown = (event) => {
+            if (!mirror.ownsEvent(event)) return;
+            if (event.shiftKey && event.key.toLowerCase() === 'm' && mirrorEventTarget(event).tagName !== 'INPUT') {
+                event.preventDefault();
+                soundscape.setMuted(!soundscape.muted);
+                controls.update();
+                save();
+            }
+        };
+        document.addEventListener('pointerdown', onGesture);
+        document.addEventListener('keydown', onGesture);
+        document.addEventListener('keydown', onKeyDown);
+
+        try {
+            soundscape.start();
+            soundscape.setHumanity(mirror.humanityPercentage, 0);
+            soundscape.connectVoice(mirror.webcam.srcObject);
+        } catch (error) {
+            console.error('Soundscape unavailable:', error);
+        }
+        mirror.soundscape = soundscape;
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            document.removeEventListener('pointerdown', onGesture);
+            document.removeEventListener('keydown', onGesture);
+            document.removeEventListener('keydown', onKeyDown);
+            removeOverlay();
+            soundscape.stop();
+        };
+    }
+});
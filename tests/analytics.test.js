@@ -0,0 +1,130 @@
+// Analytics retention and error debouncing: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestMirror, flushPromises } from './mirror-harness.js';
+import { AnalyticsStore } from '../analytics.js';
+
+// In-memory IndexedDB with the one store, index and cursor AnalyticsStore uses
+function createFakeIndexedDB(records = []) {
+    records.forEach((record, i) => { record.id = i + 1; });
+    let nextId = records.length + 1;
+    const later = fn => Promise.resolve().then(fn);
+
+    function transaction() {
+        let pending = 0;
+        const tx = { oncomplete: null, onerror: null };
+        const done = () => {
+            pending--;
+            if (pending === 0) later(() => pending === 0 && tx.oncomplete && tx.oncomplete());
+        };
+        const request = compute => {
+            const req = { onsuccess: null };
+            pending++;
+            later(() => {
+                req.result = compute();
+                if (req.onsuccess) req.onsuccess();
+                done();
+            });
+            return req;
+        };
+        const openCursor = list => {
+            const req = { onsuccess: null };
+            let index = 0;
+            const step = () => {
+                pending++;
+                later(() => {
+                    const record = list[index];
+                    req.result = record ? {
+                        value: record,
+                        delete() { records.splice(records.indexOf(record), 1); },
+                        continue() { index++; step(); }
+                    } : null;
+                    if (req.onsuccess) req.onsuccess();
+                    done();
+                });
+            };
+            step();
+            return req;
+        };
+        tx.objectStore = () => ({
+            add: record => request(() => {
+                records.push({ id: nextId, ...record });
+                return nextId++;
+            }),
+            count: () => request(() => records.length),
+            getAll: () => request(() => records.slice()),
+            clear: () => request(() => records.splice(0)),
+            openCursor: () => openCursor(records.slice()),
+            index: () => ({
+                openCursor: range => openCursor(records
+                    .filter(record => record.day < range.upper)
+                    .sort((a, b) => (a.day < b.day ? -1 : 1)))
+            })
+        });
+        return tx;
+    }
+
+    return {
+        records,
+        indexedDB: {
+            open() {
+                const req = {};
+                later(() => {
+                    req.result = { transaction, close() {} };
+                    req.onsuccess();
+                });
+                return req;
+            }
+        },
+        IDBKeyRange: { upperBound: (upper, open) => ({ upper, open }) }
+    };
+}
+
+function daysAgo(days) {
+    const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const day = `${time.getFullYear()}-${String(time.getMonth() + 1).padStart(2, '0')}-${String(time.getDate()).padStart(2, '0')}`;
+    return { time: time.toISOString(), day, type: 'session' };
+}
+
+async function startWithAnalytics(records) {
+    const db = createFakeIndexedDB(records);
+    const started = await startTestMirror({
+        search: '?presence=off&gesture=off&sound=off&operator=off&narration=off&lang=en',
+        globals: { indexedDB: db.indexedDB, IDBKeyRange: db.IDBKeyRange }
+    });
+    await flushPromises(200);
+    return { ...started, db };
+}
+
+test('opening the store deletes events past the retention days', async () => {
+    const { db } = await startWithAnalytics([daysAgo(400), daysAgo(366), daysAgo(10), daysAgo(0)]);
+    const kept = db.records.filter(record => record.type === 'session');
+    // The two recent ones, and the session of this mirror
+    assert.equal(kept.length, 3);
+    assert.ok(kept.every(record => record.day >= daysAgo(365).day));
+});
+
+test('opening the store trims the oldest events beyond the row limit', async () => {
+    const db = createFakeIndexedDB(Array.from({ length: 12 }, () => daysAgo(1)));
+    await startTestMirror({ globals: { indexedDB: db.indexedDB, IDBKeyRange: db.IDBKeyRange } });
+    const store = new AnalyticsStore('test', { days: 365, maxEvents: 5 });
+    await store.open();
+    assert.equal(db.records.length, 5);
+    assert.equal(db.records[0].id, db.records[4].id - 4);
+});
+
+test('a repeating speech error is stored once a minute, with its repeats', async () => {
+    const { mirror, clock, db } = await startWithAnalytics([]);
+    // no-speech every 3 seconds, as in an empty room
+    for (let i = 0; i < 30; i++) {
+        mirror.emit('error', { source: 'speech', error: 'no-speech' });
+        clock.tick(3000);
+    }
+    await flushPromises(200);
+
+    const errors = db.records.filter(record => record.type === 'error');
+    assert.equal(errors.length, 2);
+    assert.equal(errors[0].repeats, undefined);
+    assert.equal(1 + errors[1].repeats, 20);
+});
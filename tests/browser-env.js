@@ -0,0 +1,200 @@
+// The Digital Mirror - Test Browser Environment
+// A jsdom window installed as Node's globals, so the page's modules load and
+// run in plain Node. Import it before any of them:
+//
+//   import { page } from './browser-env.js';
+//   import { captchaChallenges } from '../challenges.js';
+//
+// jsdom has no canvas, media playback or Web Audio, so those are stubbed:
+// canvases draw nothing, a <video> plays a 640x480 picture, the microphone is
+// silent and requestAnimationFrame never fires. The global timers throw, since
+// everything the mirror schedules belongs to its clock.
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+    url: 'http://localhost/index.html'
+});
+const { window } = dom;
+
+// 2D context whose drawing calls do nothing
+function createStubContext(canvas) {
+    return new Proxy({ canvas }, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (key === 'getImageData' || key === 'createImageData') {
+                return (x, y, width = 1, height = 1) => ({ data: new Uint8ClampedArray(width * height * 4), width, height });
+            }
+            if (key === 'measureText') return () => ({ width: 10 });
+            if (key === 'createLinearGradient' || key === 'createRadialGradient') return () => ({ addColorStop() {} });
+            return () => {};
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+// An AudioParam that ignores its automation
+function createStubParam(value = 0) {
+    return {
+        value,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        setTargetAtTime() {},
+        cancelScheduledValues() {}
+    };
+}
+
+function createStubNode(members = {}) {
+    return { connect() {}, disconnect() {}, start() {}, stop() {}, ...members };
+}
+
+// Web Audio graph for volume detection and the soundscape, which plays
+// nothing; the microphone is silent
+class StubAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.sampleRate = 48000;
+        this.currentTime = 0;
+        this.destination = createStubNode();
+    }
+
+    createGain() {
+        return createStubNode({ gain: createStubParam(1) });
+    }
+
+    createOscillator() {
+        return createStubNode({ type: 'sine', frequency: createStubParam(440), detune: createStubParam() });
+    }
+
+    createBiquadFilter() {
+        return createStubNode({ type: 'lowpass', frequency: createStubParam(350), Q: createStubParam(1), gain: createStubParam() });
+    }
+
+    createBufferSource() {
+        return createStubNode({ buffer: null, loop: false, playbackRate: createStubParam(1) });
+    }
+
+    createDynamicsCompressor() {
+        return createStubNode({ threshold: createStubParam(-24), ratio: createStubParam(12) });
+    }
+
+    createWaveShaper() {
+        return createStubNode({ curve: null });
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: channel => data[channel] };
+    }
+
+    createAnalyser() {
+        return {
+            fftSize: 2048,
+            smoothingTimeConstant: 0.8,
+            get frequencyBinCount() { return this.fftSize / 2; },
+            getByteFrequencyData() {},
+            getByteTimeDomainData(data) { data.fill(128); },
+            connect() {},
+            disconnect() {}
+        };
+    }
+
+    createMediaStreamSource() {
+        return createStubNode();
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    close() {
+        this.state = 'closed';
+        return Promise.resolve();
+    }
+}
+
+class StubMediaStream {
+    constructor(tracks = []) {
+        this.tracks = tracks;
+    }
+
+    getTracks() { return this.tracks.slice(); }
+    getVideoTracks() { return this.tracks.filter(track => track.kind === 'video'); }
+    getAudioTracks() { return this.tracks.filter(track => track.kind === 'audio'); }
+}
+
+// What the page did that the tests look at: console.error calls and
+// recorded narration (which plays and never ends; the watchdog ends it)
+const page = { window, document: window.document, errors: [], audio: [] };
+
+class StubAudio {
+    constructor(src) {
+        this.src = src;
+        page.audio.push(this);
+    }
+
+    play() { return Promise.resolve(); }
+    pause() {}
+}
+
+Object.assign(window.HTMLCanvasElement.prototype, {
+    getContext(type) {
+        return type === '2d' ? createStubContext(this) : null;
+    },
+    toDataURL() {
+        return 'data:image/png;base64,';
+    }
+});
+Object.assign(window.HTMLMediaElement.prototype, {
+    play() { return Promise.resolve(); },
+    pause() {},
+    load() {}
+});
+Object.defineProperty(window.HTMLMediaElement.prototype, 'readyState', { get: () => 4, configurable: true });
+Object.defineProperties(window.HTMLVideoElement.prototype, {
+    videoWidth: { get: () => 640, configurable: true },
+    videoHeight: { get: () => 480, configurable: true }
+});
+
+const throwing = name => () => {
+    throw new Error(`${name} used instead of the mirror clock`);
+};
+
+Object.assign(window, {
+    AudioContext: StubAudioContext,
+    MediaStream: StubMediaStream,
+    Audio: StubAudio,
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame() {},
+    matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+    confirm: () => false,
+    setTimeout: throwing('setTimeout'),
+    setInterval: throwing('setInterval')
+});
+
+// The window's APIs as globals, the way page scripts see them
+[
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'customElements',
+    'HTMLElement', 'HTMLCanvasElement', 'HTMLVideoElement', 'Node', 'Event', 'CustomEvent',
+    'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'getComputedStyle', 'AudioContext', 'MediaStream',
+    'Audio', 'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia', 'confirm'
+].forEach(name => {
+    Object.defineProperty(globalThis, name, { value: name === 'window' ? window : window[name], configurable: true, writable: true });
+});
+globalThis.setTimeout = throwing('setTimeout');
+globalThis.setInterval = throwing('setInterval');
+globalThis.performance.now = throwing('performance.now()');
+
+globalThis.console = {
+    ...console,
+    log() {},
+    warn() {},
+    error: (...args) => page.errors.push(args.join(' '))
+};
+
+export { page };
@@ -0,0 +1,78 @@
+// Seven-segment CAPTCHA round trips: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSevenSegmentBitmap, decodeSevenSegmentBitmap } from '../captcha-bitmap.js';
+import { CAPTCHA_SETTING_LIMITS, CAPTCHA_CANVAS_SIZE, parseCaptchaConfig } from '../captcha-config.js';
+
+const { width, height } = CAPTCHA_CANVAS_SIZE;
+
+// Small deterministic generator, so a failure names a reproducible code
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Random codes per level, on top of every digit at every position
+const RANDOM_CODES = 40;
+
+// Every digit at every position, plus random codes
+function testCodes(length, random) {
+    const codes = [];
+    for (let shift = 0; shift < 10; shift++) {
+        codes.push(Array.from({ length }, (_, i) => String((i + shift) % 10)).join(''));
+    }
+    for (let i = 0; i < RANDOM_CODES; i++) {
+        codes.push(Array.from({ length }, () => String(Math.floor(random() * 10))).join(''));
+    }
+    return codes;
+}
+
+// One test per length, each with its own seed, so a failure names a length
+// and reproduces on its own. About 5000 codes in all.
+const { min: minLength, max: maxLength } = CAPTCHA_SETTING_LIMITS.codeLength;
+const { min: minThickness, max: maxThickness } = CAPTCHA_SETTING_LIMITS.thickness;
+
+for (let codeLength = minLength; codeLength <= maxLength; codeLength++) {
+    test(`${codeLength}-digit codes parse to levels the solver reads back at every thickness`, () => {
+        const random = seededRandom(codeLength);
+        const warn = test.mock.method(console, 'warn', () => {});
+        const thicknesses = [];
+        for (let thickness = minThickness; thickness <= maxThickness; thickness++) thicknesses.push(thickness);
+        const config = parseCaptchaConfig({ levels: thicknesses.map(thickness => ({ codeLength, thickness, contrast: 1, noise: 12 })) });
+        warn.mock.restore();
+
+        config.levels.forEach((level, index) => {
+            const thickness = thicknesses[index];
+            assert.ok(level.thickness <= thickness);
+            testCodes(codeLength, random).forEach(code => {
+                const data = createSevenSegmentBitmap(code, width, height, level, null, random);
+                const decoded = decodeSevenSegmentBitmap(data, width, height, codeLength);
+                assert.equal(decoded.code, code, `${codeLength} digits, thickness ${thickness} (parsed as ${level.thickness})`);
+            });
+        });
+    });
+}
+
+test('readable levels keep their thickness', () => {
+    const config = parseCaptchaConfig({ levels: [{ codeLength: 8, thickness: 2 }, { codeLength: 4, thickness: 6 }] });
+    assert.deepEqual(config.levels.map(level => level.thickness), [2, 6]);
+});
+
+test('unreadable levels get the thickest readable stroke, with a warning', () => {
+    const warnings = [];
+    const warn = test.mock.method(console, 'warn', message => warnings.push(message));
+    const config = parseCaptchaConfig({ levels: [{ codeLength: 8, thickness: 3 }, { codeLength: 12, thickness: 2 }, { codeLength: 5, thickness: 6 }] });
+    warn.mock.restore();
+
+    assert.deepEqual(config.levels.map(level => level.thickness), [2, 1, 5]);
+    assert.equal(warnings.length, 3);
+});
+
+test('other challenge types keep the configured thickness', () => {
+    const config = parseCaptchaConfig({ levels: [{ codeLength: 12, thickness: 4, challenge: 'lsb' }] });
+    assert.equal(config.levels[0].thickness, 4);
+});
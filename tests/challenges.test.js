@@ -0,0 +1,49 @@
+// Reverse CAPTCHA challenge answers: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { page } from './browser-env.js';
+import { captchaChallenges } from '../challenges.js';
+
+test('the pixel checksum answer is as long as the placeholder says, with or without leading zeros', () => {
+    const canvas = page.document.createElement('canvas');
+    canvas.width = 120;
+    canvas.height = 40;
+    const random = test.mock.method(Math, 'random', () => 0.001);
+    try {
+        [1, 3, 6, 8].forEach(codeLength => {
+            const challenge = captchaChallenges.get('pixelChecksum').create(canvas, { codeLength, thickness: 1 });
+            const digits = Math.min(6, codeLength);
+            assert.equal(challenge.answer.length, digits);
+            assert.equal(challenge.placeholder.params.length, digits);
+            assert.equal(challenge.maxLength, digits);
+            assert.ok(challenge.validate(challenge.answer));
+            assert.ok(challenge.validate(String(Number(challenge.answer))));
+        });
+    } finally {
+        random.mock.restore();
+    }
+});
+
+test('spoken digits beep without speech synthesis, and are unavailable without Web Audio too', () => {
+    const canvas = page.document.createElement('canvas');
+    const audioDigits = captchaChallenges.get('audioDigits');
+    const AudioContext = page.window.AudioContext;
+    assert.equal(typeof globalThis.speechSynthesis, 'undefined');
+
+    const beeps = audioDigits.create(canvas, { codeLength: 4 });
+    assert.equal(beeps.instruction.key, 'challengeBeeps');
+    assert.ok(captchaChallenges.available('audioDigits'));
+    beeps.stop();
+
+    delete page.window.AudioContext;
+    try {
+        assert.equal(captchaChallenges.available('audioDigits'), false);
+        // Created anyway, it plays nothing rather than throwing
+        const silent = audioDigits.create(canvas, { codeLength: 4 });
+        silent.replay();
+        silent.stop();
+    } finally {
+        page.window.AudioContext = AudioContext;
+    }
+});
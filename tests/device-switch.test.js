@@ -0,0 +1,68 @@
+// Switching devices while the mirror runs: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestMirror, flushPromises } from './mirror-harness.js';
+
+const DEVICES = [
+    { deviceId: 'camera-1', kind: 'videoinput', label: 'Built-in Camera' },
+    { deviceId: 'mic-1', kind: 'audioinput', label: 'Built-in Microphone' },
+    { deviceId: 'mic-2', kind: 'audioinput', label: 'USB Microphone' }
+];
+
+// Speech recognition only hears the default microphone, so a chosen one
+// means volume detection; back on the default, speech recognition returns
+test('claim detection keeps running across microphone switches', async () => {
+    const { mirror, clock, speech, media } = await startTestMirror({ media: { devices: DEVICES } });
+    const errors = [];
+    mirror.on('error', detail => errors.push(detail));
+    const recognizer = speech.current;
+    assert.ok(recognizer.running);
+
+    await mirror.applyDeviceSettings({ microphone: 'mic-2' });
+    await flushPromises();
+    clock.tick(5000);
+
+    assert.equal(media.requests[media.requests.length - 1].audio.deviceId.exact, 'mic-2');
+    assert.equal(recognizer.running, false, 'the old recognizer was stopped');
+    assert.equal(mirror.volumeDetectionActive, true);
+    assert.equal(mirror.isListening, true);
+    assert.equal(mirror.fallbackActive, false);
+
+    await mirror.applyDeviceSettings({ microphone: null });
+    await flushPromises();
+    clock.tick(5000);
+
+    assert.notEqual(speech.current, recognizer);
+    assert.ok(speech.current.running, 'speech recognition is listening again');
+    assert.equal(mirror.volumeDetectionActive, false);
+    assert.equal(mirror.fallbackActive, false);
+    assert.deepEqual(errors, []);
+
+    speech.current.say('I am human');
+    clock.tick(1000);
+    assert.equal(mirror.session.state, 'challenge');
+});
+
+// Each restart waits for the camera again; the listeners it waited with
+// must not pile up on #webcam
+test('restarting the media leaves no canplay listeners behind', async () => {
+    const { mirror } = await startTestMirror();
+    let calls = 0;
+    const addEventListener = mirror.webcam.addEventListener;
+    mirror.webcam.addEventListener = function (type, listener, options) {
+        const counted = type === 'canplay' ? (...args) => { calls++; return listener(...args); } : listener;
+        return addEventListener.call(this, type, counted, options);
+    };
+
+    for (let i = 0; i < 3; i++) {
+        const restarted = mirror.restartMedia();
+        await flushPromises();
+        mirror.webcam.dispatchEvent(new Event('canplay'));
+        await restarted;
+    }
+    assert.equal(calls, 3);
+
+    mirror.webcam.dispatchEvent(new Event('canplay'));
+    assert.equal(calls, 3);
+});
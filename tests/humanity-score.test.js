@@ -0,0 +1,184 @@
+// Humanity scoring from behavior: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_HUMANITY_SCORING,
+    parseHumanityScoring,
+    humanityScoringFromParams,
+    answerAccuracy,
+    HumanityScore
+} from '../humanity-score.js';
+
+test('a claim alone does not move the score', () => {
+    const score = new HumanityScore();
+    score.recordClaim({ hesitation: 0 });
+    assert.equal(score.percentage, 100);
+    assert.equal(score.signals.hesitation, 0);
+});
+
+test('the score counts hesitation once a challenge has been answered', () => {
+    const score = new HumanityScore();
+    score.recordClaim({ hesitation: 0 });
+    score.recordChallenge({ answer: '1234', input: '1234', solved: true, timeUsed: 1, timeLimit: 10 });
+    // accuracy 0 (perfect), time 0.1, hesitation 0: (0.2 * 0.1) / (0.35 + 0.2 + 0.15)
+    assert.equal(score.percentage, 3);
+    assert.equal(score.ending, 'verdict');
+});
+
+test('a timed-out challenge counts as answered', () => {
+    const score = new HumanityScore();
+    score.recordClaim({ hesitation: 3 });
+    score.recordChallenge({ answer: '1234', input: '', solved: false, timeUsed: 10, timeLimit: 10 });
+    assert.notEqual(score.percentage, 100);
+});
+
+// A score from the default scoring with `overrides`
+function scoreWith(overrides = {}) {
+    return new HumanityScore(parseHumanityScoring({ ...DEFAULT_HUMANITY_SCORING, ...overrides }));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+test('accuracy gives partial credit, peaking at the human share of correct characters', () => {
+    const accuracy = (input, solved = false) => {
+        const score = new HumanityScore();
+        score.recordChallenge({ answer: '1234', input, solved, timeUsed: 5, timeLimit: 10 });
+        return round(score.signals.accuracy);
+    };
+    assert.equal(accuracy(''), 0);
+    assert.equal(accuracy('1200'), round(0.5 / 0.75));
+    assert.equal(accuracy('1230'), 1);
+    assert.equal(accuracy('1234', true), 0);
+    assert.equal(accuracy('9999'), 0);
+    assert.equal(answerAccuracy('#AB12', ' ab 1 2'), 1);
+    assert.equal(answerAccuracy('', '1234'), 0);
+});
+
+test('time is the share of the time limit used', () => {
+    const time = (timeUsed, timeLimit) => {
+        const score = new HumanityScore();
+        score.recordChallenge({ answer: '1234', input: '', solved: false, timeUsed, timeLimit });
+        return score.signals.time;
+    };
+    assert.equal(time(0, 10), 0);
+    assert.equal(time(2.5, 10), 0.25);
+    assert.equal(time(12, 10), 1);
+    assert.equal(time(5, 0), null);
+});
+
+test('cadence is the variation between keystrokes, and needs three of them', () => {
+    const cadence = (keyTimes) => {
+        const score = new HumanityScore();
+        score.recordChallenge({ answer: '1234', input: '1234', solved: true, timeUsed: 5, timeLimit: 10, keyTimes });
+        return score.signals.cadence === null ? null : round(score.signals.cadence);
+    };
+    assert.equal(cadence([0, 100, 200, 300]), 0);
+    // Intervals of 100 and 200 ms vary by a third of their mean
+    assert.equal(cadence([0, 100, 300]), round((1 / 3) / 0.5));
+    assert.equal(cadence([0, 10, 500, 510]), 1);
+    assert.equal(cadence([0, 100]), null);
+    assert.equal(cadence([]), null);
+});
+
+test('corrections count while typing, up to the configured number', () => {
+    const corrections = (count, keyTimes = [0, 100]) => {
+        const score = new HumanityScore();
+        score.recordChallenge({ answer: '1234', input: '1234', solved: true, timeUsed: 5, timeLimit: 10, keyTimes, corrections: count });
+        return score.signals.corrections;
+    };
+    assert.equal(corrections(0), 0);
+    assert.equal(corrections(1), 0.5);
+    assert.equal(corrections(5), 1);
+    // Nothing typed: no observation
+    assert.equal(corrections(1, []), null);
+});
+
+test('hesitation before a claim counts up to the configured seconds, averaged over claims', () => {
+    const score = new HumanityScore();
+    score.recordClaim({ hesitation: 1.5 });
+    assert.equal(score.signals.hesitation, 0.5);
+    score.recordClaim({ hesitation: 30 });
+    assert.equal(score.signals.hesitation, 0.75);
+
+    const patient = scoreWith({ hesitation: 6 });
+    patient.recordClaim({ hesitation: 1.5 });
+    assert.equal(patient.signals.hesitation, 0.25);
+});
+
+test('the ending is the verdict below 40, accepted from 85, and failed between', () => {
+    // Time alone decides, so the percentage is the share of time used
+    const ending = (percent) => {
+        const score = scoreWith({ weights: { accuracy: 0, time: 1, cadence: 0, corrections: 0, hesitation: 0 } });
+        score.recordChallenge({ answer: '1234', input: '1234', solved: true, timeUsed: percent, timeLimit: 100 });
+        assert.equal(score.percentage, percent);
+        return score.ending;
+    };
+    assert.equal(ending(0), 'verdict');
+    assert.equal(ending(39), 'verdict');
+    assert.equal(ending(40), 'failed');
+    assert.equal(ending(84), 'failed');
+    assert.equal(ending(85), 'accepted');
+    assert.equal(ending(100), 'accepted');
+});
+
+test('signals without observations are left out of the score', () => {
+    const score = scoreWith({ weights: { accuracy: 1, time: 1, cadence: 1, corrections: 1, hesitation: 1 } });
+    score.recordChallenge({ answer: '1234', input: '1200', solved: false, timeUsed: 10, timeLimit: 10 });
+    // accuracy 2/3 and time 1 only
+    assert.equal(score.percentage, Math.round((2 / 3 + 1) / 2 * 100));
+    score.reset();
+    assert.equal(score.percentage, 100);
+});
+
+test('a scoring config fills in defaults', () => {
+    const config = parseHumanityScoring({ weights: { accuracy: 0.5 }, endings: { verdict: 30 } });
+    assert.equal(config.name, 'Untitled scoring');
+    assert.deepEqual(config.weights, { ...DEFAULT_HUMANITY_SCORING.weights, accuracy: 0.5 });
+    assert.deepEqual(config.endings, { verdict: 30, accepted: 85 });
+    assert.equal(config.humanAccuracy, DEFAULT_HUMANITY_SCORING.humanAccuracy);
+    assert.equal(config.cadenceVariation, DEFAULT_HUMANITY_SCORING.cadenceVariation);
+    assert.equal(config.corrections, DEFAULT_HUMANITY_SCORING.corrections);
+    assert.equal(config.hesitation, DEFAULT_HUMANITY_SCORING.hesitation);
+    assert.deepEqual(parseHumanityScoring({ name: 'Default' }), parseHumanityScoring(DEFAULT_HUMANITY_SCORING));
+    // Numbers as strings, as JSON written by hand may have them
+    assert.equal(parseHumanityScoring({ weights: { time: '0.4' } }).weights.time, 0.4);
+});
+
+test('a scoring config with bad values is rejected', () => {
+    assert.throws(() => parseHumanityScoring(null), /must be an object/);
+    assert.throws(() => parseHumanityScoring('scoring'), /must be an object/);
+    assert.throws(() => parseHumanityScoring({ weights: { luck: 1 } }), /unknown signal "luck"/);
+    assert.throws(() => parseHumanityScoring({ weights: { time: -1 } }), /"weights.time" must be a number from 0 to 100/);
+    assert.throws(() => parseHumanityScoring({ weights: { time: 'fast' } }), /"weights.time"/);
+    assert.throws(() => parseHumanityScoring({ weights: { accuracy: 0, time: 0, cadence: 0, corrections: 0, hesitation: 0 } }),
+        /at least one weight above 0/);
+    assert.throws(() => parseHumanityScoring({ endings: { verdict: 101 } }), /"endings.verdict" must be a number from 0 to 100/);
+    assert.throws(() => parseHumanityScoring({ endings: { accepted: 102 } }), /"endings.accepted" must be a number from 0 to 101/);
+    assert.throws(() => parseHumanityScoring({ endings: { verdict: 60, accepted: 50 } }), /must not be below/);
+    assert.throws(() => parseHumanityScoring({ humanAccuracy: 1 }), /"humanAccuracy"/);
+    assert.throws(() => parseHumanityScoring({ cadenceVariation: 0 }), /"cadenceVariation"/);
+    assert.throws(() => parseHumanityScoring({ corrections: 0.5 }), /"corrections"/);
+    assert.throws(() => parseHumanityScoring({ hesitation: 0 }), /"hesitation"/);
+});
+
+test('URL overrides apply to the default scoring', () => {
+    assert.equal(humanityScoringFromParams(new URLSearchParams('')), null);
+    assert.equal(humanityScoringFromParams(new URLSearchParams('scoreWeights=')), null);
+
+    const overrides = humanityScoringFromParams(new URLSearchParams('scoreWeights=accuracy:0.5, hesitation:0&scoreVerdict=30&scoreAccepted=75'));
+    assert.equal(overrides.name, 'URL overrides');
+    const config = parseHumanityScoring(overrides);
+    assert.deepEqual(config.weights, { ...DEFAULT_HUMANITY_SCORING.weights, accuracy: 0.5, hesitation: 0 });
+    assert.deepEqual(config.endings, { verdict: 30, accepted: 75 });
+    assert.equal(config.humanAccuracy, DEFAULT_HUMANITY_SCORING.humanAccuracy);
+
+    const endingOnly = parseHumanityScoring(humanityScoringFromParams(new URLSearchParams('scoreAccepted=101')));
+    assert.deepEqual(endingOnly.weights, DEFAULT_HUMANITY_SCORING.weights);
+    assert.deepEqual(endingOnly.endings, { verdict: 40, accepted: 101 });
+
+    assert.throws(() => parseHumanityScoring(humanityScoringFromParams(new URLSearchParams('scoreWeights=luck:1'))), /unknown signal/);
+    assert.throws(() => parseHumanityScoring(humanityScoringFromParams(new URLSearchParams('scoreVerdict=abc'))), /"endings.verdict"/);
+});
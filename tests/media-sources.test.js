@@ -0,0 +1,52 @@
+// Media sources: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { page, startTestMirror, flushPromises } from './mirror-harness.js';
+import { FakeClock } from '../mirror-fakes.js';
+import { createSourceAdapters, mediaSourceFromFiles } from '../media-sources.js';
+
+function file(type) {
+    return new File(['x'], `clip.${type.split('/')[1]}`, { type });
+}
+
+test('object URLs of picked files are revoked when the source is replaced and on cleanup', async () => {
+    const revoked = [];
+    const revoke = test.mock.method(URL, 'revokeObjectURL', url => revoked.push(url));
+    try {
+        const { mirror } = await startTestMirror();
+        const first = mediaSourceFromFiles([file('video/mp4'), file('audio/mpeg')]);
+        assert.equal(first.type, 'video');
+        assert.equal(first.objectUrls.length, 2);
+
+        mirror.useMediaSource(first);
+        await flushPromises();
+        assert.deepEqual(revoked, []);
+
+        const second = mediaSourceFromFiles([file('image/png'), file('image/jpeg')]);
+        mirror.useMediaSource(second);
+        await flushPromises();
+        assert.deepEqual(revoked.sort(), [first.url, first.audioUrl].sort());
+
+        mirror.cleanup();
+        assert.equal(revoked.length, 4);
+        assert.ok(second.urls.every(url => revoked.includes(url)));
+    } finally {
+        revoke.mock.restore();
+        await flushPromises();
+    }
+});
+
+test('the test pattern redraws on the clock it is given', async () => {
+    const clock = new FakeClock();
+    page.window.HTMLCanvasElement.prototype.captureStream = () => new MediaStream([{ kind: 'video', stop() {} }]);
+    const { media } = createSourceAdapters({ type: 'pattern' }, { clock });
+
+    // The page's own timers throw in these tests
+    await media.getUserMedia({ video: true });
+    assert.equal(clock.pending, 1);
+    clock.tick(1000);
+
+    media.stop();
+    assert.equal(clock.pending, 0);
+});
@@ -0,0 +1,67 @@
+// The Digital Mirror - Test Harness
+// Loads the page's modules into the jsdom window of browser-env.js and runs
+// <digital-mirror> elements on the fake adapters (mirror-fakes.js), so whole
+// sessions run without a browser:
+//
+//   const { mirror, clock, speech } = await startTestMirror();
+//   speech.current.say('I am human');
+//   clock.tick(1000);  // -> challenge
+
+import { page } from './browser-env.js';
+import { FakeClock, createFakeSpeech, createFakeMedia } from '../mirror-fakes.js';
+// The modules index.html loads
+import '../session-recorder.js';
+import '../analytics.js';
+import '../kiosk.js';
+import '../soundscape.js';
+import '../operator.js';
+import '../device-panel.js';
+import '../digital-mirror-element.js';
+
+// Optional parts off, so tests opt in to what they cover
+const DEFAULT_TEST_SEARCH = '?presence=off&gesture=off&sound=off&operator=off&narration=off&lang=en';
+
+let currentElement = null;
+
+// Let pending promise callbacks (getUserMedia, play()) run
+async function flushPromises(rounds = 20) {
+    for (let i = 0; i < rounds; i++) {
+        await Promise.resolve();
+    }
+}
+
+// A mirror on fake adapters, started and listening, in a fresh
+// <digital-mirror> element (the previous one is removed). `search` is the
+// query string it reads its settings from; `media` and `speech` are options
+// for createFakeMedia() and createFakeSpeech(); `globals` are browser APIs to
+// add before the mirror is created (e.g. indexedDB).
+async function startTestMirror({ search = DEFAULT_TEST_SEARCH, media = {}, speech = {}, globals = {} } = {}) {
+    if (currentElement) {
+        currentElement.mirror.cleanup();
+        currentElement.remove();
+    }
+    page.window.localStorage.clear();
+    page.errors.length = 0;
+    page.audio.length = 0;
+    Object.assign(globalThis, globals);
+    Object.assign(page.window, globals);
+
+    const adapters = {
+        clock: new FakeClock(),
+        speech: createFakeSpeech(speech),
+        media: createFakeMedia(media)
+    };
+    const element = page.document.createElement('digital-mirror');
+    element.adapters = adapters;
+    element.setAttribute('params', search.replace(/^\?/, ''));
+    page.document.body.appendChild(element);
+    currentElement = element;
+    const mirror = element.mirror;
+
+    await flushPromises();
+    mirror.webcam.dispatchEvent(new Event('canplay'));
+    await flushPromises();
+    return { page, element, mirror, ...adapters };
+}
+
+export { DEFAULT_TEST_SEARCH, page, startTestMirror, flushPromises };
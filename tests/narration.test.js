@@ -0,0 +1,90 @@
+// Narration lines, recordings and the shared speechSynthesis: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { page } from './browser-env.js';
+import { FakeClock } from '../mirror-fakes.js';
+import { Narrator } from '../narration.js';
+
+// speechSynthesis as the page shares it: one queue, and cancel() clears it
+// for everyone
+function createSynth() {
+    const synth = {
+        queue: [],
+        cancelled: 0,
+        getVoices: () => [{ name: 'Fred', lang: 'en-US' }],
+        speak(utterance) { synth.queue.push(utterance); },
+        cancel() {
+            synth.cancelled++;
+            synth.queue.splice(0).forEach(utterance => {
+                if (utterance.onerror) utterance.onerror({ error: 'canceled' });
+            });
+        },
+        // The first queued utterance starts speaking
+        start() { synth.queue[0].onstart(); }
+    };
+    return synth;
+}
+
+class SpeechSynthesisUtterance {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+// A narrator on its own clock, with `synth` as the page's speechSynthesis
+// (none by default)
+function createNarrator({ synth = null, recordings } = {}) {
+    page.audio.length = 0;
+    if (synth) {
+        globalThis.speechSynthesis = synth;
+        globalThis.SpeechSynthesisUtterance = SpeechSynthesisUtterance;
+    } else {
+        delete globalThis.speechSynthesis;
+    }
+    const clock = new FakeClock();
+    return { clock, narrator: new Narrator({ clock, recordings }) };
+}
+
+test('without a manifest, recorded lines are skipped without a request', () => {
+    const { clock, narrator } = createNarrator();
+    narrator.say('captchaTimeout', 'Time expired.');
+    clock.tick(1000);
+    assert.deepEqual(page.audio, []);
+    assert.equal(narrator.busy, false);
+});
+
+test('recordings listed in the manifest are played for the current language', () => {
+    const { narrator } = createNarrator({ recordings: { en: ['captchaTimeout'], de: ['captchaFailure'] } });
+    narrator.say('captchaFailure', 'Failed.');
+    narrator.cancel();
+    narrator.say('captchaTimeout', 'Time expired.');
+    assert.deepEqual(page.audio.map(audio => audio.src), ['narration/en/captchaTimeout.mp3']);
+});
+
+test('cancelling a line that plays cancels speechSynthesis', () => {
+    const synth = createSynth();
+    const { narrator } = createNarrator({ synth });
+    narrator.say('captchaTimeout', 'Time expired.');
+    synth.start();
+    narrator.cancel();
+    assert.equal(synth.cancelled, 1);
+});
+
+test('cancelling a line still queued behind other speech leaves that speech alone', () => {
+    const synth = createSynth();
+    const { narrator } = createNarrator({ synth });
+    const other = { text: 'Someone else', onstart() {} };
+    synth.speak(other);
+    synth.start();
+
+    narrator.say('captchaTimeout', 'Time expired.');
+    narrator.cancel();
+    assert.equal(synth.cancelled, 0);
+
+    // Once the other speech is done, the dropped line is cut off as it starts
+    synth.queue.shift();
+    synth.start();
+    assert.equal(synth.cancelled, 1);
+    assert.equal(narrator.busy, false);
+});
@@ -0,0 +1,38 @@
+// Operator link reconnects: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeClock } from '../mirror-fakes.js';
+import { OperatorLink } from '../operator-link.js';
+
+// A relay that is never there
+class UnreachableWebSocket {
+    constructor() {
+        UnreachableWebSocket.attempts++;
+        throw new Error('Connection refused');
+    }
+}
+
+test('the relay is retried with backoff on the clock the link is given', () => {
+    const clock = new FakeClock();
+    const errors = test.mock.method(console, 'error', () => {});
+    globalThis.WebSocket = UnreachableWebSocket;
+    UnreachableWebSocket.attempts = 0;
+    const link = new OperatorLink('mirror', { relayUrl: 'ws://localhost:8080/relay', clock });
+    try {
+        assert.equal(UnreachableWebSocket.attempts, 1);
+        clock.tick(1000);
+        assert.equal(UnreachableWebSocket.attempts, 2);
+        clock.tick(1999);
+        assert.equal(UnreachableWebSocket.attempts, 2);
+        clock.tick(1);
+        assert.equal(UnreachableWebSocket.attempts, 3);
+
+        link.close();
+        assert.equal(clock.pending, 0);
+    } finally {
+        link.close();
+        errors.mock.restore();
+        delete globalThis.WebSocket;
+    }
+});
@@ -0,0 +1,169 @@
+// WebSocket framing in the operator relay: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import EventEmitter from 'node:events';
+import { OperatorRelay, RelayClient, parseArgs } from '../operator-relay.js';
+
+// A socket that records what the relay writes
+function createSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.destroyed = false;
+    socket.ended = false;
+    socket.write = data => socket.written.push(data);
+    socket.end = () => { socket.ended = true; };
+    socket.destroy = () => { socket.destroyed = true; };
+    socket.setNoDelay = () => {};
+    return socket;
+}
+
+// A client frame under 126 bytes, masked unless `masked` is false
+function clientFrame(opcode, text, { fin = true, masked = true } = {}) {
+    const payload = Buffer.from(text);
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([
+        Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]),
+        masked ? mask : Buffer.alloc(0),
+        payload
+    ]);
+}
+
+function connect() {
+    const relay = new OperatorRelay();
+    const messages = [];
+    relay.broadcast = message => messages.push(message);
+    const socket = createSocket();
+    const client = new RelayClient(socket, relay, 'test');
+    return { client, socket, messages };
+}
+
+function closeCode(socket) {
+    const frame = socket.written[socket.written.length - 1];
+    assert.equal(frame[0], 0x88, 'last frame is a close frame');
+    return frame.readUInt16BE(2);
+}
+
+// An upgrade request for /relay from a page at `origin` (none for clients
+// that are not browsers)
+function upgradeRequest({ origin, token } = {}) {
+    const headers = {
+        host: 'localhost:8080',
+        upgrade: 'websocket',
+        connection: 'Upgrade',
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ=='
+    };
+    if (origin !== undefined) headers.origin = origin;
+    return {
+        url: token === undefined ? '/relay' : `/relay?token=${encodeURIComponent(token)}`,
+        headers,
+        socket: { remoteAddress: 'test' }
+    };
+}
+
+// The status line the relay answered an upgrade with
+function upgradeStatus(relay, request, head) {
+    const socket = createSocket();
+    let reply = '';
+    socket.write = data => { reply += data; };
+    socket.end = data => {
+        reply += data || '';
+        socket.ended = true;
+    };
+    relay.handleUpgrade(request, socket, head);
+    return reply.split('\r\n')[0];
+}
+
+test.before(() => {
+    test.mock.method(console, 'error', () => {});
+    test.mock.method(console, 'log', () => {});
+});
+
+test('relays masked text messages, also when fragmented', () => {
+    const { client, socket, messages } = connect();
+    client.receive(clientFrame(0x1, '{"type":"hello"}'));
+    client.receive(Buffer.concat([
+        clientFrame(0x1, '{"type":', { fin: false }),
+        clientFrame(0x0, '"hello"}')
+    ]));
+    assert.deepEqual(messages, ['{"type":"hello"}', '{"type":"hello"}']);
+    assert.equal(socket.ended, false);
+});
+
+test('closes with 1002 on a new message inside a fragmented one', () => {
+    const { client, socket, messages } = connect();
+    client.receive(clientFrame(0x1, '{"type":', { fin: false }));
+    client.receive(clientFrame(0x1, '{"type":"hello"}'));
+    assert.deepEqual(messages, []);
+    assert.equal(closeCode(socket), 1002);
+});
+
+test('closes with 1002 on an unmasked frame', () => {
+    const { client, socket, messages } = connect();
+    client.receive(clientFrame(0x1, 'hello', { masked: false }));
+    assert.deepEqual(messages, []);
+    assert.equal(closeCode(socket), 1002);
+    assert.equal(socket.ended, true);
+});
+
+test('closes with 1009 when fragments add up to more than 1 MB', () => {
+    const { client, socket, messages } = connect();
+    const chunk = 'x'.repeat(100);
+    client.receive(clientFrame(0x1, chunk, { fin: false }));
+    for (let i = 0; i < 11000 && !socket.ended; i++) {
+        client.receive(clientFrame(0x0, chunk, { fin: false }));
+    }
+    assert.equal(closeCode(socket), 1009);
+    assert.deepEqual(client.fragments, []);
+    assert.deepEqual(messages, []);
+});
+
+test('listens on localhost only unless a token or host is given', () => {
+    const token = process.env.OPERATOR_RELAY_TOKEN;
+    delete process.env.OPERATOR_RELAY_TOKEN;
+    try {
+        assert.equal(parseArgs([]).host, '127.0.0.1');
+        assert.equal(parseArgs(['--token', 'secret']).host, '0.0.0.0');
+        assert.equal(parseArgs(['--host', '192.168.1.20']).host, '192.168.1.20');
+    } finally {
+        if (token !== undefined) process.env.OPERATOR_RELAY_TOKEN = token;
+    }
+});
+
+test('relays the first frames when they arrive with the handshake', () => {
+    const relay = new OperatorRelay();
+    const messages = [];
+    relay.broadcast = message => messages.push(message);
+    const status = upgradeStatus(relay, upgradeRequest(), clientFrame(0x1, '{"type":"hello"}'));
+    assert.equal(status, 'HTTP/1.1 101 Switching Protocols');
+    assert.deepEqual(messages, ['{"type":"hello"}']);
+});
+
+test('only pages from the relay itself or an allowed origin connect', () => {
+    const relay = new OperatorRelay({ origins: ['http://192.168.1.20:8000'] });
+    assert.equal(upgradeStatus(relay, upgradeRequest({ origin: 'http://localhost:8080' })), 'HTTP/1.1 101 Switching Protocols');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ origin: 'http://192.168.1.20:8000' })), 'HTTP/1.1 101 Switching Protocols');
+    assert.equal(upgradeStatus(relay, upgradeRequest()), 'HTTP/1.1 101 Switching Protocols');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ origin: 'https://evil.example' })), 'HTTP/1.1 403 Forbidden');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ origin: 'http://localhost:9000' })), 'HTTP/1.1 403 Forbidden');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ origin: 'null' })), 'HTTP/1.1 403 Forbidden');
+    assert.equal(relay.clients.size, 3);
+});
+
+test('a token is required when set, and only the exact token is accepted', () => {
+    const relay = new OperatorRelay({ token: 'secret' });
+    assert.equal(upgradeStatus(relay, upgradeRequest()), 'HTTP/1.1 401 Unauthorized');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ token: 'secreT' })), 'HTTP/1.1 401 Unauthorized');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ token: 'secret2' })), 'HTTP/1.1 401 Unauthorized');
+    assert.equal(upgradeStatus(relay, upgradeRequest({ token: 'secret' })), 'HTTP/1.1 101 Switching Protocols');
+});
+
+test('--origin takes origins, repeated', () => {
+    assert.deepEqual(parseArgs([]).origins, []);
+    assert.deepEqual(parseArgs(['--origin', 'http://192.168.1.20:8000/', '--origin', 'https://mirror.example']).origins,
+        ['http://192.168.1.20:8000', 'https://mirror.example']);
+    assert.throws(() => parseArgs(['--origin', 'mirror.example']), /--origin needs an origin/);
+});
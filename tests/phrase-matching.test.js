@@ -0,0 +1,59 @@
+// Claim phrase scoring in every locale: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MIRROR_LOCALES } from '../locales.js';
+import { PhraseMatcher } from '../phrase-matching.js';
+
+function decide(lang, transcript, confidence = 1) {
+    return new PhraseMatcher(MIRROR_LOCALES[lang]).score([{ transcript, confidence }]);
+}
+
+const ACCEPTED = {
+    en: ['I am human', "I'm human", "I'm a human", 'Yes, I am human', 'Um, I am... human!', 'I am Hugh Man', 'I am not a machine, I am human'],
+    fr: ['Je suis humain', 'je suis une humaine', "J'suis humain"],
+    es: ['Soy humano', 'yo soy un ser humano'],
+    de: ['Ich bin ein Mensch', 'ich bin ein Mench'],
+    zh: ['我是人类', '嗯，我是人類'],
+    ja: ['私は人間です', 'えーと、私は人間です']
+};
+
+const REJECTED = {
+    en: ['I am not human', 'I am a man', 'I am humane', 'I am a woman', 'I am a machine', 'I am hungry', 'I am only human'],
+    fr: ['je suis une machine', 'je ne suis pas humain'],
+    es: ['no soy humano', 'soy una mano'],
+    de: ['ich bin kein Mensch', 'ich bin nicht menschlich', 'ich bin unmenschlich'],
+    zh: ['我不是人类'],
+    ja: ['私は人間ではありません', '私は人間じゃない']
+};
+
+test('claims are accepted, also contracted, padded or mis-heard', () => {
+    Object.entries(ACCEPTED).forEach(([lang, transcripts]) => {
+        transcripts.forEach(transcript => {
+            const decision = decide(lang, transcript);
+            assert.ok(decision.accepted, `${lang} "${transcript}" rejected (${decision.reason}, ${decision.similarity})`);
+        });
+    });
+});
+
+test('negations and other words are rejected', () => {
+    Object.entries(REJECTED).forEach(([lang, transcripts]) => {
+        transcripts.forEach(transcript => {
+            const decision = decide(lang, transcript);
+            assert.ok(!decision.accepted, `${lang} "${transcript}" accepted (${decision.reason}, ${decision.similarity})`);
+        });
+    });
+});
+
+test('a negated claim is rejected with its own reason code', () => {
+    assert.equal(decide('en', 'I am not human').reason, 'negated');
+    assert.equal(decide('es', 'no soy humano').reason, 'negated');
+    assert.equal(decide('ja', '私は人間ではありません').reason, 'negated');
+});
+
+test('sound-alikes match as phonetic, and low confidence lowers the score', () => {
+    assert.equal(decide('en', 'I am Hugh Man').reason, 'phonetic-match');
+    const doubted = decide('en', 'I am human', 0.1);
+    assert.equal(doubted.accepted, false);
+    assert.equal(doubted.reason, 'low-confidence');
+});
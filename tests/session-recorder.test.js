@@ -0,0 +1,135 @@
+// Session recording limits: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestMirror } from './mirror-harness.js';
+import { SessionRecorder } from '../session-recorder.js';
+
+// MediaRecorder that hands out a chunk when the test asks for one
+class FakeMediaRecorder {
+    constructor(stream, options) {
+        this.mimeType = options.mimeType || '';
+        this.state = 'inactive';
+        this.ondataavailable = null;
+        this.onstop = null;
+    }
+
+    static isTypeSupported() {
+        return true;
+    }
+
+    start() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        if (this.onstop) this.onstop();
+    }
+
+    chunk(size) {
+        this.ondataavailable({ data: { size } });
+    }
+}
+
+async function startRecording() {
+    const started = await startTestMirror();
+    const { page, mirror } = started;
+    globalThis.MediaRecorder = FakeMediaRecorder;
+    page.window.HTMLCanvasElement.prototype.captureStream = () => ({});
+
+    const recorder = new SessionRecorder(mirror, { maxDuration: 60000, maxBytes: 10000 });
+    recorder.attach();
+    recorder.start();
+    return { ...started, recorder };
+}
+
+test('an idle mirror starts its recording over at the time limit', async () => {
+    const { clock, recorder } = await startRecording();
+    const first = recorder.mediaRecorder;
+    first.chunk(100);
+    clock.tick(60000);
+    first.chunk(100);
+
+    assert.notEqual(recorder.mediaRecorder, first);
+    assert.equal(first.state, 'inactive');
+    assert.equal(recorder.mediaRecorder.state, 'recording');
+    assert.equal(recorder.chunks.length, 0);
+});
+
+test('an idle mirror starts its recording over at the size limit', async () => {
+    const { recorder } = await startRecording();
+    const first = recorder.mediaRecorder;
+    first.chunk(6000);
+    first.chunk(6000);
+    assert.notEqual(recorder.mediaRecorder, first);
+    assert.equal(recorder.bytes, 0);
+});
+
+test("a visitor's clip ends at the limit and keeps what was recorded", async () => {
+    const { clock, speech, recorder } = await startRecording();
+    const mediaRecorder = recorder.mediaRecorder;
+    speech.current.say('I am human');
+    clock.tick(60000);
+    mediaRecorder.chunk(100);
+
+    assert.equal(recorder.mediaRecorder, mediaRecorder);
+    assert.equal(mediaRecorder.state, 'inactive');
+    assert.equal(recorder.chunks.length, 1);
+    assert.ok(recorder.clip);
+});
+
+test('a download releases its object URL on the mirror clock', async () => {
+    const { page, clock, recorder } = await startRecording();
+    const revoke = test.mock.method(URL, 'revokeObjectURL', () => {});
+    // jsdom cannot follow the link
+    const click = test.mock.method(page.window.HTMLAnchorElement.prototype, 'click', () => {});
+    try {
+        recorder.downloadTimeline();
+        assert.equal(revoke.mock.callCount(), 0);
+        clock.tick(10000);
+        assert.equal(click.mock.callCount(), 1);
+        assert.equal(revoke.mock.callCount(), 1);
+    } finally {
+        click.mock.restore();
+        revoke.mock.restore();
+    }
+});
+
+// A 2D context that lists what is drawn and whether it was flipped
+function recordDrawing() {
+    const drawn = [];
+    return {
+        drawn,
+        fillRect() {},
+        save() {},
+        restore() {},
+        setTransform: () => drawn.push('flip'),
+        drawImage: source => drawn.push(source)
+    };
+}
+
+test('the recording shows the webcam while the distortion layer is empty', async () => {
+    const { mirror, recorder } = await startRecording();
+    const renderer = mirror.distortionRenderer;
+    const canvas = mirror.canvas;
+
+    // Level 0 distorts nothing, so the canvas is cleared
+    renderer.render(0, 0);
+    recorder.ctx = recordDrawing();
+    recorder.drawFrame(canvas);
+    assert.deepEqual(recorder.ctx.drawn, ['flip', mirror.webcam]);
+
+    renderer.render(0, mirror.maxCaptchaLevel);
+    assert.ok(renderer.isActive);
+    recorder.ctx = recordDrawing();
+    recorder.drawFrame(canvas);
+    assert.deepEqual(recorder.ctx.drawn, [canvas]);
+
+    // Unflipped when the mirror is not mirrored
+    renderer.clear();
+    mirror.setMirrored(false);
+    recorder.ctx = recordDrawing();
+    recorder.drawFrame(canvas);
+    assert.deepEqual(recorder.ctx.drawn, [mirror.webcam]);
+});
@@ -0,0 +1,320 @@
+// Whole sessions on the fake adapters: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TEST_SEARCH, startTestMirror, flushPromises } from './mirror-harness.js';
+
+function claim(speech, clock) {
+    assert.ok(speech.current.say('I am human'), 'speech recognition is listening');
+    clock.tick(1000);
+}
+
+// The session overlays on screen, by id
+function visibleOverlays(mirror) {
+    return ['overlay', 'captcha-overlay', 'failure-overlay', 'verdict-overlay', 'accepted-overlay', 'error-message']
+        .filter(id => mirror.root.getElementById(id).style.display !== 'none');
+}
+
+// Five claims, answered right, wrong, not at all, right and wrong, up to the
+// ending; `scoring` sets the ending thresholds
+async function playFullSession(scoring) {
+    const started = await startTestMirror({ search: `${DEFAULT_TEST_SEARCH}&${scoring}` });
+    const { mirror, clock, speech } = started;
+    const results = [];
+    mirror.on('challenge-result', ({ result }) => results.push(result));
+    assert.equal(mirror.maxCaptchaLevel, 5);
+
+    [code => code, () => '0', null, code => code, () => '0'].forEach(answer => {
+        assert.deepEqual(visibleOverlays(mirror), ['overlay']);
+        claim(speech, clock);
+        assert.deepEqual(visibleOverlays(mirror), ['captcha-overlay']);
+        if (answer) {
+            mirror.captchaInput.value = answer(mirror.currentCode);
+            mirror.submitCaptcha();
+        } else {
+            clock.tick(mirror.captchaTimeLimit * 1000 + 100);
+        }
+        clock.tick(2000);
+    });
+    assert.deepEqual(results, ['success', 'failure', 'timeout', 'success', 'failure']);
+    // Past the verdict scan and the narration watchdog
+    clock.tick(60000);
+    return started;
+}
+
+// Try Again on the ending's screen starts a fresh session
+function tryAgain({ mirror, speech }, buttonId) {
+    mirror.root.getElementById(buttonId).click();
+    assert.equal(mirror.session.state, 'listening');
+    assert.deepEqual(visibleOverlays(mirror), ['overlay']);
+    assert.equal(mirror.captchaLevel, 0);
+    assert.equal(mirror.humanityPercentage, 100);
+    assert.ok(speech.current.running);
+}
+
+test('a full session with a low score ends in the verdict, and Try Again resets it', async () => {
+    const session = await playFullSession('scoreVerdict=100&scoreAccepted=101');
+    assert.equal(session.mirror.session.state, 'verdict');
+    assert.deepEqual(visibleOverlays(session.mirror), ['verdict-overlay']);
+    tryAgain(session, 'verdict-reset-button');
+});
+
+test('a full session with a middling score ends on the failure page, and Try Again resets it', async () => {
+    const session = await playFullSession('scoreVerdict=0&scoreAccepted=101');
+    assert.equal(session.mirror.session.state, 'failed');
+    assert.deepEqual(visibleOverlays(session.mirror), ['failure-overlay']);
+    assert.ok(session.mirror.failureText.textContent);
+    tryAgain(session, 'failure-reset-button');
+});
+
+test('a full session with a high score is accepted, and Try Again resets it', async () => {
+    const session = await playFullSession('scoreVerdict=0&scoreAccepted=0');
+    assert.equal(session.mirror.session.state, 'accepted');
+    assert.deepEqual(visibleOverlays(session.mirror), ['accepted-overlay']);
+    tryAgain(session, 'accepted-reset-button');
+});
+
+test('a claim opens a challenge, and solving it returns to listening', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    assert.equal(mirror.session.state, 'listening');
+
+    const results = [];
+    mirror.on('challenge-result', ({ result }) => results.push(result));
+
+    claim(speech, clock);
+    assert.equal(mirror.session.state, 'challenge');
+    assert.ok(mirror.currentCode);
+
+    mirror.captchaInput.value = mirror.currentCode;
+    mirror.submitCaptcha();
+    assert.deepEqual(results, ['success']);
+
+    clock.tick(2000);
+    assert.equal(mirror.session.state, 'listening');
+    assert.equal(mirror.captchaLevel, 1);
+    assert.ok(speech.current.running, 'speech recognition restarted after the challenge');
+});
+
+test('the audio challenge is only offered where the browser can play it', async () => {
+    const { page, mirror, clock, speech } = await startTestMirror();
+    claim(speech, clock);
+    assert.equal(mirror.captchaAudioButton.style.display, '');
+
+    const AudioContext = page.window.AudioContext;
+    delete page.window.AudioContext;
+    try {
+        mirror.captchaAudioButton.click();
+        assert.notEqual(mirror.currentChallengeType, 'audioDigits');
+        assert.equal(mirror.captchaAudioButton.style.display, 'none');
+    } finally {
+        page.window.AudioContext = AudioContext;
+    }
+});
+
+test('an unanswered challenge times out on the clock', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    const results = [];
+    mirror.on('challenge-result', ({ result }) => results.push(result));
+
+    claim(speech, clock);
+    clock.tick(mirror.captchaTimeLimit * 1000 + 100);
+    assert.deepEqual(results, ['timeout']);
+});
+
+test('every challenge answered leads to an ending', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    const endings = [];
+    mirror.on('verdict', ({ ending }) => endings.push(ending));
+
+    for (let level = 0; level < mirror.maxCaptchaLevel; level++) {
+        claim(speech, clock);
+        mirror.captchaInput.value = 'wrong';
+        mirror.submitCaptcha();
+        clock.tick(2000);
+    }
+
+    assert.equal(endings.length, 1);
+    assert.ok(['verdict', 'failed', 'accepted'].includes(endings[0]));
+    assert.equal(mirror.session.state, endings[0]);
+
+    mirror.resetMirror();
+    assert.equal(mirror.session.state, 'listening');
+    assert.equal(mirror.captchaLevel, 0);
+});
+
+test('a recognition error restarts speech recognition', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    speech.current.fail('no-speech');
+    clock.tick(3000);
+    assert.ok(speech.current.running);
+    assert.equal(mirror.fallbackActive, false);
+});
+
+test('stopping detection aborts recognition without falling back', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    const errors = [];
+    mirror.on('error', detail => errors.push(detail));
+    const recognizer = speech.current;
+
+    mirror.stopAudioDetection();
+    clock.tick(5000);
+    assert.equal(recognizer.running, false);
+    assert.equal(mirror.fallbackActive, false);
+    assert.deepEqual(errors, []);
+});
+
+test('the operator fallback switch turns speech off and on again', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    await mirror.setFallbackMode(true);
+    clock.tick(5000);
+    assert.equal(mirror.fallbackActive, true);
+    assert.equal(mirror.recognition, null);
+
+    await mirror.setFallbackMode(false);
+    await flushPromises();
+    clock.tick(5000);
+    assert.equal(mirror.fallbackActive, false);
+    assert.ok(speech.current.running);
+});
+
+test('kiosk mode resets after an ending on the mirror clock', async () => {
+    const { mirror, clock, speech } = await startTestMirror({
+        search: `${DEFAULT_TEST_SEARCH}&kiosk&kioskReset=10&kioskWatchdog=3600`
+    });
+    for (let level = 0; level < mirror.maxCaptchaLevel; level++) {
+        claim(speech, clock);
+        mirror.captchaInput.value = 'wrong';
+        mirror.submitCaptcha();
+        clock.tick(2000);
+    }
+    assert.notEqual(mirror.session.state, 'listening');
+
+    clock.tick(10000);
+    assert.equal(mirror.session.state, 'listening');
+    assert.equal(mirror.captchaLevel, 0);
+});
+
+test('a denied camera ends on the error screen', async () => {
+    const { mirror } = await startTestMirror({ media: { error: 'NotAllowedError' } });
+    assert.equal(mirror.session.state, 'error');
+});
+
+test('narration and the operator link run on the mirror clock', async () => {
+    const { page, mirror, clock, speech } = await startTestMirror({
+        search: '?presence=off&gesture=off&sound=off&narration=recorded&lang=en'
+    });
+    mirror.narrator.recordings = { en: ['captchaTimeout'] };
+    claim(speech, clock);
+    clock.tick(mirror.captchaTimeLimit * 1000 + 100);
+    assert.deepEqual(page.audio.map(audio => audio.src), ['narration/en/captchaTimeout.mp3']);
+    assert.ok(mirror.narrator.busy);
+
+    // The recording never ends; the watchdog moves on
+    clock.tick(30000);
+    assert.equal(mirror.narrator.busy, false);
+    assert.equal(mirror.session.state, 'listening');
+    assert.deepEqual(page.errors.filter(error => !error.startsWith('Analytics disabled')), []);
+});
+
+test('presence and gesture detection run on the mirror clock', async () => {
+    const { page, mirror, clock } = await startTestMirror({
+        search: '?presence=heuristic&gesture=on&sound=off&operator=off&narration=off&lang=en'
+    });
+    assert.ok(mirror.facePresence);
+    assert.ok(mirror.gestureInput);
+    clock.tick(5000);
+    assert.deepEqual(page.errors.filter(error => !error.startsWith('Analytics disabled')), []);
+});
+
+test('without FaceDetector, presence only informs: claims count and no face is shown as a hint', async () => {
+    const { mirror, clock, speech } = await startTestMirror({
+        search: '?presence=auto&gesture=off&sound=off&operator=off&narration=off&lang=en'
+    });
+    assert.equal(mirror.facePresence.backend, 'heuristic');
+    assert.equal(mirror.facePresence.gating, false);
+    assert.equal(mirror.getListeningText(), mirror.t('presenceUnseen'));
+
+    claim(speech, clock);
+    assert.equal(mirror.session.state, 'challenge');
+});
+
+test('the heuristic by name holds spoken claims back, and a button claim is not paused for the missing face', async () => {
+    const { mirror, clock, speech } = await startTestMirror({
+        search: '?presence=heuristic&gesture=off&sound=off&operator=off&narration=off&lang=en'
+    });
+    const claims = [];
+    mirror.on('claim-detected', ({ source, accepted }) => claims.push(`${source}:${accepted}`));
+    assert.equal(mirror.getListeningText(), mirror.t('presenceAway'));
+
+    claim(speech, clock);
+    assert.equal(mirror.session.state, 'listening');
+
+    mirror.processHumanClaim('button');
+    // Detection awaits each frame, so let it run between ticks
+    for (let i = 0; i < 25; i++) {
+        clock.tick(200);
+        await flushPromises();
+    }
+    assert.equal(mirror.session.state, 'challenge');
+    assert.deepEqual(claims, ['speech:false', 'button:true']);
+});
+
+test('without speechSynthesis, a line listed in the narration manifest is played from its recording', async () => {
+    const fetch = globalThis.fetch;
+    const requested = [];
+    const manifest = { en: ['captchaFailure'] };
+    try {
+        const { page, mirror, clock, speech } = await startTestMirror({
+            search: '?presence=off&gesture=off&sound=off&operator=off&lang=en&narrationManifest=narration/manifest.json',
+            globals: {
+                fetch: async url => {
+                    requested.push(url);
+                    return { ok: true, json: async () => manifest };
+                }
+            }
+        });
+        assert.equal(typeof globalThis.speechSynthesis, 'undefined');
+        assert.deepEqual(requested, ['narration/manifest.json']);
+        assert.deepEqual(mirror.narrator.recordings, manifest);
+
+        claim(speech, clock);
+        mirror.captchaInput.value = 'wrong';
+        mirror.submitCaptcha();
+        assert.deepEqual(page.audio.map(audio => audio.src), ['narration/en/captchaFailure.mp3']);
+    } finally {
+        globalThis.fetch = fetch;
+        delete window.fetch;
+    }
+});
+
+test('the failed and accepted endings narrate with their recording keys', async () => {
+    const { page, mirror, clock } = await startTestMirror({
+        search: '?presence=off&gesture=off&sound=off&operator=off&narration=recorded&lang=en'
+    });
+    mirror.narrator.recordings = { en: ['failureTitle', 'failureText', 'acceptedTitle', 'acceptedMessage'] };
+
+    // Recordings never end here; the watchdog moves each line on
+    mirror.showFailurePage();
+    clock.tick(60000);
+    mirror.narrator.cancel();
+    mirror.showAccepted();
+    clock.tick(60000);
+
+    assert.deepEqual(page.audio.map(audio => audio.src), [
+        'narration/en/failureTitle.mp3',
+        'narration/en/failureText.mp3',
+        'narration/en/acceptedTitle.mp3',
+        'narration/en/acceptedMessage.mp3'
+    ]);
+});
+
+test('cleanup leaves nothing pending on the clock', async () => {
+    const { mirror, clock, speech } = await startTestMirror();
+    claim(speech, clock);
+    // A serious speech error schedules the volume fallback
+    speech.current.fail('network');
+    mirror.showFailurePage();
+    assert.ok(clock.pending > 0);
+    mirror.cleanup();
+    assert.equal(clock.pending, 0);
+});
@@ -0,0 +1,34 @@
+// The soundscape on the mirror clock: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestMirror } from './mirror-harness.js';
+
+const SOUND_SEARCH = '?presence=off&gesture=off&operator=off&narration=off&lang=en';
+
+test('the soundscape schedules its grains and the verdict stamp on the mirror clock', async () => {
+    const { page, mirror, clock } = await startTestMirror({ search: SOUND_SEARCH });
+    const soundscape = mirror.soundscape;
+    assert.ok(soundscape.ctx, 'the soundscape started');
+
+    const schedule = test.mock.method(soundscape, 'schedule');
+    clock.tick(500);
+    assert.equal(schedule.mock.callCount(), 10);
+
+    const noiseHit = test.mock.method(soundscape, 'noiseHit');
+    // The stamp lands when the scan shows the mismatch
+    soundscape.playEnding('verdict', true);
+    clock.tick(10000);
+    assert.equal(noiseHit.mock.callCount(), 1);
+    assert.deepEqual(page.errors.filter(error => !error.startsWith('Analytics disabled')), []);
+});
+
+test('stopping the mirror clears the soundscape timers', async () => {
+    const { mirror, clock } = await startTestMirror({ search: SOUND_SEARCH });
+    mirror.soundscape.playEnding('verdict', true);
+    assert.equal(mirror.soundscape.verdictTimeouts.length, 1);
+
+    mirror.cleanup();
+    assert.equal(mirror.soundscape.ctx, null);
+    assert.equal(clock.pending, 0);
+});
@@ -0,0 +1,424 @@
+// The Digital Mirror - Verdict Sequence
+// Before the verdict text appears, the mirror freezes the visitor's last frame
+// and runs a mock biometric scan over it: face box, landmark mesh, match
+// scores against a gallery of "templates" and a scrolling classification log.
+// Every number comes from the session itself (claims, challenge results and
+// answer times, humanity percentage).
+
+import { createSeededRandom } from './distortion.js';
+import { MIRROR_EVENTS } from './mirror-api.js';
+
+// Templates the visitor is compared against; `kind` decides how session data scores them
+const VERDICT_TEMPLATES = [
+    { id: 'HSAP-REF-01', name: 'HOMO SAPIENS', kind: 'human' },
+    { id: 'HSAP-REF-02', name: 'HOMO SAPIENS (FATIGUED)', kind: 'human' },
+    { id: 'OCR-7', name: 'OPTICAL CHARACTER READER', kind: 'machine' },
+    { id: 'CS-3', name: 'CAPTCHA SOLVER', kind: 'machine' },
+    { id: 'NN-12', name: 'NEURAL NETWORK', kind: 'machine' },
+    { id: 'BR-5', name: 'BARCODE SCANNER', kind: 'machine' }
+];
+
+// Landmarks in face-box units: jaw, brows, eyes, nose, mouth
+const VERDICT_LANDMARKS = [
+    ...Array.from({ length: 9 }, (_, i) => {
+        const angle = Math.PI * i / 8;
+        return [0.5 - 0.46 * Math.cos(angle), 0.45 + 0.5 * Math.sin(angle)];
+    }),
+    [0.2, 0.3], [0.3, 0.26], [0.4, 0.29], [0.6, 0.29], [0.7, 0.26], [0.8, 0.3],
+    [0.24, 0.4], [0.32, 0.37], [0.4, 0.4], [0.32, 0.43],
+    [0.6, 0.4], [0.68, 0.37], [0.76, 0.4], [0.68, 0.43],
+    [0.5, 0.42], [0.5, 0.52], [0.5, 0.6], [0.43, 0.63], [0.57, 0.63],
+    [0.36, 0.75], [0.5, 0.72], [0.64, 0.75], [0.5, 0.8]
+];
+
+// Phase boundaries of the scan animation, ms
+const VERDICT_PHASES = {
+    sweep: 1200,     // Scan line over the frozen frame
+    locate: 2400,    // Face box closes in
+    landmarks: 4000, // Mesh points appear
+    compare: 7000,   // Template bars fill, log scrolls
+    mismatch: 8200   // Mismatch stamp, then the verdict text
+};
+
+// Stable small hash so the same session always produces the same jitter
+function hashVerdictSession(values) {
+    let hash = 2166136261;
+    values.join('|').split('').forEach(char => {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    });
+    return hash >>> 0;
+}
+
+// Score the session against the template gallery. `history` holds
+// { claims, rejectedClaims, challenges: [{ type, result, timeUsed, timeLimit }] }.
+function analyzeVerdictSession(history, humanity) {
+    const challenges = history.challenges;
+    const solved = challenges.filter(challenge => challenge.result === 'success');
+    const total = challenges.length;
+    const accuracy = total ? solved.length / total : 0;
+    const averageTime = solved.length
+        ? solved.reduce((sum, challenge) => sum + challenge.timeUsed, 0) / solved.length
+        : 0;
+    const averageLimit = total
+        ? challenges.reduce((sum, challenge) => sum + challenge.timeLimit, 0) / total
+        : 0;
+    // 1 = answered instantly, 0 = at the buzzer
+    const speed = solved.length
+        ? solved.reduce((sum, challenge) => sum + Math.max(0, 1 - challenge.timeUsed / challenge.timeLimit), 0) / solved.length
+        : 0;
+
+    const random = createSeededRandom(hashVerdictSession([
+        history.claims, history.rejectedClaims, humanity,
+        ...challenges.map(challenge => `${challenge.type}:${challenge.result}:${challenge.timeUsed.toFixed(2)}`)
+    ]));
+
+    const templates = VERDICT_TEMPLATES.map(template => {
+        const noise = (random() - 0.5) * 6;
+        const score = template.kind === 'human'
+            ? humanity * 0.4 + (1 - accuracy) * 35 + (1 - speed) * 15 + noise
+            : 35 + accuracy * 35 + speed * 25 + noise;
+        return { ...template, score: Math.round(Math.min(99.9, Math.max(0.1, score)) * 10) / 10 };
+    });
+
+    const byScore = templates.slice().sort((a, b) => b.score - a.score);
+    return {
+        claims: history.claims,
+        rejectedClaims: history.rejectedClaims,
+        total,
+        solved: solved.length,
+        accuracy,
+        speed,
+        averageTime,
+        averageLimit,
+        humanity,
+        templates,
+        bestHuman: byScore.find(template => template.kind === 'human'),
+        best: byScore[0],
+        random
+    };
+}
+
+class VerdictSequence {
+    constructor(mirror, elements) {
+        this.mirror = mirror;
+        this.clock = mirror.clock;
+        this.container = elements.container;
+        this.canvas = elements.canvas;
+        this.log = elements.log;
+        this.evidence = elements.evidence;
+        this.content = elements.content;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.frame = document.createElement('canvas');
+        this.frameId = null;
+        this.logTimeout = null;
+        this.analysis = null;
+        this.resetHistory();
+
+        mirror.on(MIRROR_EVENTS.CLAIM_DETECTED, ({ accepted }) => {
+            if (accepted) this.history.claims++;
+            else this.history.rejectedClaims++;
+        });
+        mirror.on(MIRROR_EVENTS.CHALLENGE_STARTED, ({ timeLimit }) => {
+            this.pendingTimeLimit = timeLimit;
+        });
+        mirror.on(MIRROR_EVENTS.CHALLENGE_RESULT, ({ type, result, timeRemaining }) => {
+            const timeLimit = this.pendingTimeLimit || 0;
+            this.history.challenges.push({ type, result, timeLimit, timeUsed: Math.max(0, timeLimit - timeRemaining) });
+        });
+        mirror.on(MIRROR_EVENTS.RESET, () => {
+            this.stop();
+            this.resetHistory();
+        });
+    }
+
+    resetHistory() {
+        this.history = { claims: 0, rejectedClaims: 0, challenges: [] };
+        this.pendingTimeLimit = 0;
+    }
+
+    // Freeze the current webcam frame and run the scan; `onReveal` fires when
+    // the verdict text should appear
+    play(onReveal) {
+        this.stop();
+        this.analysis = analyzeVerdictSession(this.history, this.mirror.humanityPercentage);
+        this.face = this.getFaceBox();
+        this.landmarks = VERDICT_LANDMARKS.map(([x, y]) => [
+            x + (this.analysis.random() - 0.5) * 0.04,
+            y + (this.analysis.random() - 0.5) * 0.04
+        ]);
+        this.mesh = this.buildMesh(this.landmarks);
+
+        if (!this.freezeFrame()) {
+            // No camera frame to analyse: go straight to the text
+            this.reveal(onReveal);
+            return;
+        }
+
+        this.content.style.display = 'none';
+        this.container.style.display = 'flex';
+        this.log.textContent = '';
+        this.evidence.textContent = '';
+        this.queueLog(this.getLogLines());
+
+        const start = this.clock.now();
+        const animate = () => {
+            const elapsed = this.clock.now() - start;
+            this.draw(elapsed);
+            if (elapsed < VERDICT_PHASES.mismatch) {
+                this.frameId = requestAnimationFrame(animate);
+            } else {
+                this.frameId = null;
+                this.reveal(onReveal);
+            }
+        };
+        this.frameId = requestAnimationFrame(animate);
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.clock.clearTimeout(this.logTimeout);
+        this.logTimeout = null;
+        this.container.style.display = 'none';
+        this.container.classList.remove('verdict-scan-done');
+        this.content.style.display = '';
+    }
+
+    reveal(onReveal) {
+        const analysis = this.analysis;
+        const t = (key, params) => this.mirror.t(key, params);
+        this.content.style.display = '';
+        this.container.classList.add('verdict-scan-done');
+        this.evidence.textContent = [
+            t('verdictEvidence', {
+                solved: analysis.solved,
+                total: analysis.total,
+                seconds: analysis.averageTime.toFixed(2)
+            }),
+            t('verdictBestMatch', {
+                human: analysis.bestHuman.score.toFixed(1),
+                template: analysis.best.name,
+                score: analysis.best.score.toFixed(1)
+            })
+        ].join('\n');
+        if (onReveal) onReveal(analysis);
+    }
+
+    // Largest tracked face, or a centered guess when presence detection is off
+    getFaceBox() {
+        const face = (this.mirror.faces || [])[0];
+        return face ? { ...face } : { x: 0.36, y: 0.2, width: 0.28, height: 0.45 };
+    }
+
+    freezeFrame() {
+        const video = this.mirror.webcam;
+        if (!video.videoWidth || !video.videoHeight) return false;
+
+        const width = Math.min(960, video.videoWidth);
+        const height = Math.round(width * video.videoHeight / video.videoWidth);
+        [this.frame, this.canvas].forEach(canvas => {
+            canvas.width = width;
+            canvas.height = height;
+        });
+
+        // Mirrored, like the live view (unless the device settings turned that off)
+        const ctx = this.frame.getContext('2d');
+        ctx.save();
+        if (this.mirror.mirrored !== false) {
+            ctx.setTransform(-1, 0, 0, 1, width, 0);
+        }
+        ctx.drawImage(video, 0, 0, width, height);
+        ctx.restore();
+        return true;
+    }
+
+    // Connect every landmark to its three nearest neighbours
+    buildMesh(points) {
+        const edges = new Set();
+        points.forEach(([x, y], i) => {
+            points
+                .map(([px, py], j) => ({ j, distance: (px - x) ** 2 + (py - y) ** 2 }))
+                .filter(({ j }) => j !== i)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, 3)
+                .forEach(({ j }) => edges.add(i < j ? `${i}-${j}` : `${j}-${i}`));
+        });
+        return Array.from(edges).map(edge => edge.split('-').map(Number));
+    }
+
+    getLogLines() {
+        const analysis = this.analysis;
+        const face = this.face;
+        const lines = [
+            `FRAME CAPTURED ${this.canvas.width}x${this.canvas.height}`,
+            `FACE REGION [${face.x.toFixed(2)}, ${face.y.toFixed(2)}, ${face.width.toFixed(2)}, ${face.height.toFixed(2)}]`,
+            `LANDMARKS ${this.landmarks.length}/${this.landmarks.length} MESH ${this.mesh.length} EDGES`,
+            `CLAIMS OF HUMANITY: ${analysis.claims} (+${analysis.rejectedClaims} REJECTED)`,
+            `CHALLENGES SOLVED: ${analysis.solved}/${analysis.total}`,
+            `MEAN RESPONSE: ${analysis.averageTime.toFixed(2)}s OF ${analysis.averageLimit.toFixed(1)}s`,
+            `POTENTIAL HUMANITY: ${analysis.humanity}%`
+        ];
+        analysis.templates.forEach(template => {
+            lines.push(`COMPARE ${template.id.padEnd(12, '.')} ${template.score.toFixed(1).padStart(5)}%`);
+        });
+        lines.push(`CLOSEST: ${analysis.best.name}`);
+        lines.push(`RESULT: ${this.mirror.t('verdictMismatch')}`);
+        return lines;
+    }
+
+    // Print the log lines evenly over the landmark and compare phases
+    queueLog(lines) {
+        const interval = (VERDICT_PHASES.compare - VERDICT_PHASES.sweep) / lines.length;
+        let index = 0;
+        const next = () => {
+            const line = document.createElement('div');
+            line.textContent = `> ${lines[index++]}`;
+            this.log.appendChild(line);
+            this.log.scrollTop = this.log.scrollHeight;
+            if (index < lines.length) {
+                this.logTimeout = this.clock.setTimeout(next, interval);
+            }
+        };
+        this.logTimeout = this.clock.setTimeout(next, VERDICT_PHASES.sweep);
+    }
+
+    draw(elapsed) {
+        const { ctx, canvas } = this;
+        const { width, height } = canvas;
+        const phase = (from, to) => Math.min(1, Math.max(0, (elapsed - from) / (to - from)));
+        const mismatch = elapsed >= VERDICT_PHASES.compare;
+
+        ctx.drawImage(this.frame, 0, 0);
+        ctx.fillStyle = 'rgba(0, 40, 0, 0.35)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Scan line sweeping down
+        const sweep = phase(0, VERDICT_PHASES.sweep);
+        if (sweep < 1) {
+            const y = sweep * height;
+            ctx.fillStyle = 'rgba(0, 255, 0, 0.15)';
+            ctx.fillRect(0, 0, width, y);
+            ctx.fillStyle = '#00ff00';
+            ctx.fillRect(0, y - 2, width, 4);
+        }
+
+        // The mismatch blinks red, or is simply red under reduced motion
+        const reducedMotion = this.mirror.reducedMotion;
+        const color = mismatch && (reducedMotion || Math.floor(elapsed / 150) % 2 === 0) ? '#ff0000' : '#00ff00';
+        const face = this.face;
+        const box = {
+            x: face.x * width,
+            y: face.y * height,
+            width: face.width * width,
+            height: face.height * height
+        };
+
+        // Face box closing in from the frame edges
+        const locate = phase(VERDICT_PHASES.sweep, VERDICT_PHASES.locate);
+        if (locate > 0) {
+            const ease = 1 - (1 - locate) ** 3;
+            const x = box.x * ease;
+            const y = box.y * ease;
+            const w = width + (box.width - width) * ease;
+            const h = height + (box.height - height) * ease;
+            this.drawBrackets(x, y, w, h, color);
+            ctx.font = "14px 'Courier New', monospace";
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(`SUBJECT ${Math.round(box.width)}x${Math.round(box.height)}px`, x, y - 8);
+        }
+
+        // Landmarks and mesh, glitching once the mismatch is found
+        const landmarks = phase(VERDICT_PHASES.locate, VERDICT_PHASES.landmarks);
+        if (landmarks > 0) {
+            const shown = Math.ceil(landmarks * this.landmarks.length);
+            const glitch = mismatch && !reducedMotion ? 0.03 : 0;
+            const points = this.landmarks.map(([px, py]) => [
+                box.x + (px + (Math.random() - 0.5) * glitch) * box.width,
+                box.y + (py + (Math.random() - 0.5) * glitch) * box.height
+            ]);
+
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            this.mesh.forEach(([a, b]) => {
+                if (a >= shown || b >= shown) return;
+                ctx.moveTo(points[a][0], points[a][1]);
+                ctx.lineTo(points[b][0], points[b][1]);
+            });
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = color;
+            points.slice(0, shown).forEach(([x, y]) => ctx.fillRect(x - 2, y - 2, 4, 4));
+        }
+
+        // Template gallery with match bars
+        const compare = phase(VERDICT_PHASES.landmarks, VERDICT_PHASES.compare);
+        if (compare > 0) {
+            this.drawTemplates(compare);
+        }
+
+        if (mismatch) {
+            ctx.save();
+            ctx.translate(box.x + box.width / 2, box.y + box.height / 2);
+            ctx.rotate(-0.2);
+            ctx.textAlign = 'center';
+            ctx.font = `bold ${Math.max(20, Math.round(box.width / 7))}px 'Courier New', monospace`;
+            ctx.fillStyle = '#ff0000';
+            ctx.fillText(this.mirror.t('verdictMismatch'), 0, 0);
+            ctx.restore();
+        }
+    }
+
+    drawBrackets(x, y, w, h, color) {
+        const ctx = this.ctx;
+        const size = Math.min(w, h) * 0.2;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        [[x, y, 1, 1], [x + w, y, -1, 1], [x, y + h, 1, -1], [x + w, y + h, -1, -1]].forEach(([cx, cy, dx, dy]) => {
+            ctx.moveTo(cx + dx * size, cy);
+            ctx.lineTo(cx, cy);
+            ctx.lineTo(cx, cy + dy * size);
+        });
+        ctx.stroke();
+    }
+
+    drawTemplates(progress) {
+        const { ctx, canvas } = this;
+        const templates = this.analysis.templates;
+        const rowHeight = 22;
+        const panelWidth = Math.min(300, canvas.width * 0.4);
+        const x = canvas.width - panelWidth - 10;
+        const y = canvas.height - templates.length * rowHeight - 10;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x - 6, y - 6, panelWidth + 12, templates.length * rowHeight + 8);
+        ctx.font = "12px 'Courier New', monospace";
+        ctx.textAlign = 'left';
+
+        templates.forEach((template, i) => {
+            const rowY = y + i * rowHeight;
+            // Bars fill one after another
+            const fill = Math.min(1, Math.max(0, progress * templates.length - i));
+            const score = template.score * fill;
+            const barColor = template.kind === 'human' ? '#ff0000' : '#00ff00';
+            ctx.fillStyle = '#00ff00';
+            ctx.fillText(template.id, x, rowY + 12);
+            ctx.fillStyle = '#222';
+            ctx.fillRect(x + 100, rowY + 3, panelWidth - 160, 10);
+            ctx.fillStyle = barColor;
+            ctx.fillRect(x + 100, rowY + 3, (panelWidth - 160) * score / 100, 10);
+            ctx.fillStyle = barColor;
+            ctx.fillText(`${score.toFixed(1)}%`, x + panelWidth - 50, rowY + 12);
+        });
+    }
+}
+
+export { VERDICT_PHASES, VerdictSequence };
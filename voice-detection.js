@@ -0,0 +1,103 @@
+// The Digital Mirror - Volume-Based Utterance Detection
+// Offline stand-in for the Web Speech API. Watches the microphone level frame
+// by frame and reports utterances shaped roughly like "I am human": a voiced
+// burst of about a second with three to six syllable peaks.
+
+class UtteranceDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 25;       // Level a frame must reach to count as voiced
+        this.minDuration = options.minDuration || 600;  // ms
+        this.maxDuration = options.maxDuration || 2500; // ms
+        this.minSyllables = options.minSyllables || 3;
+        this.maxSyllables = options.maxSyllables || 6;
+        this.silenceGap = options.silenceGap || 300;    // ms of quiet that ends an utterance
+        this.reset();
+    }
+
+    reset() {
+        this.startTime = null;
+        this.lastVoicedTime = null;
+        this.envelope = [];
+    }
+
+    get isSpeaking() {
+        return this.startTime !== null;
+    }
+
+    // Feed one level reading. Returns an utterance summary when one has just
+    // ended, otherwise null.
+    update(level, time) {
+        const voiced = level >= this.threshold;
+
+        if (!this.isSpeaking) {
+            if (!voiced) return null;
+            this.startTime = time;
+        }
+
+        this.envelope.push(level);
+        if (voiced) {
+            this.lastVoicedTime = time;
+        }
+
+        // Give up on sounds that run far too long (music, a crowd, a hum)
+        if (time - this.startTime > this.maxDuration + this.silenceGap) {
+            const utterance = this.summarize();
+            this.reset();
+            return utterance;
+        }
+
+        if (!voiced && time - this.lastVoicedTime > this.silenceGap) {
+            const utterance = this.summarize();
+            this.reset();
+            return utterance;
+        }
+
+        return null;
+    }
+
+    summarize() {
+        const duration = this.lastVoicedTime - this.startTime;
+        const syllables = this.countSyllables(this.envelope);
+        const peak = Math.max(...this.envelope);
+        const matches = duration >= this.minDuration &&
+            duration <= this.maxDuration &&
+            syllables >= this.minSyllables &&
+            syllables <= this.maxSyllables;
+
+        return { duration, syllables, peak, matches };
+    }
+
+    // Count syllable nuclei as peaks in the smoothed envelope separated by dips
+    countSyllables(envelope) {
+        const smoothed = envelope.map((_, i) => {
+            const window = envelope.slice(Math.max(0, i - 1), i + 2);
+            return window.reduce((sum, v) => sum + v, 0) / window.length;
+        });
+
+        let count = 0;
+        let inPeak = false;
+        let localMax = 0;
+        let localMin = 0;
+
+        smoothed.forEach(level => {
+            if (!inPeak) {
+                localMin = Math.min(localMin, level);
+                if (level >= this.threshold && level > localMin * 1.25) {
+                    inPeak = true;
+                    localMax = level;
+                    count++;
+                }
+            } else {
+                localMax = Math.max(localMax, level);
+                if (level < localMax * 0.7) {
+                    inPeak = false;
+                    localMin = level;
+                }
+            }
+        });
+
+        return count;
+    }
+}
+
+export { UtteranceDetector };
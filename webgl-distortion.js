@@ -0,0 +1,364 @@
+// The Digital Mirror - WebGL Distortion Backend
+// Runs the same presets as DistortionRenderer, but each effect is a fragment
+// shader pass over ping-pong framebuffers so full-resolution frames hold 60 fps.
+
+import {
+    DISTORTION_LEVEL_COUNT,
+    DEFAULT_DISTORTION_PRESET,
+    distortionEffects,
+    parseDistortionPreset,
+    DistortionRenderer
+} from './distortion.js';
+
+const WEBGL_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+
+    void main() {
+        v_uv = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+// Shared header prepended to every effect's shader
+const WEBGL_FRAGMENT_HEADER = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    uniform sampler2D u_texture;
+    uniform vec2 u_resolution;
+    uniform float u_time;
+    uniform float u_seed;
+    uniform float u_level;
+    uniform vec4 u_face; // Largest face as (x, y, width, height) in v_uv space; width 0 when none
+    varying vec2 v_uv;
+
+    float hash(float n) {
+        return fract(sin(mod(n, 6283.0)) * 43758.5453123);
+    }
+`;
+
+// First pass: copy the video frame in, mirrored to match the CSS on #webcam
+const WEBGL_COPY_SHADER = `
+    uniform float u_mirror;
+
+    void main() {
+        vec2 uv = v_uv;
+        if (u_mirror > 0.5) uv.x = 1.0 - uv.x;
+        gl_FragColor = texture2D(u_texture, uv);
+    }
+`;
+
+class WebGLDistortionRenderer {
+    constructor(source, canvas, options = {}) {
+        this.backend = 'webgl';
+        this.source = source;
+        this.canvas = canvas;
+        this.registry = options.registry || distortionEffects;
+        this.maxWidth = options.maxWidth || 1280; // The GPU can afford the full requested resolution
+        this.mirrored = options.mirrored !== false;
+        this.jitterScale = options.reducedMotion ? 10 : 1;
+        this.isActive = false;
+        this.programs = new Map();
+        this.warnedEffects = new Set();
+        this.contextLost = false;
+
+        this.gl = canvas.getContext('webgl', { premultipliedAlpha: false, antialias: false })
+            || canvas.getContext('experimental-webgl', { premultipliedAlpha: false, antialias: false });
+        if (!this.gl) {
+            throw new Error('WebGL is not available');
+        }
+
+        this.setupResources();
+        this.setPreset(options.preset || parseDistortionPreset(DEFAULT_DISTORTION_PRESET, options.maxLevel || DISTORTION_LEVEL_COUNT));
+
+        // Rebuild GPU resources if the driver resets the context
+        this.onContextLost = (event) => {
+            event.preventDefault();
+            this.contextLost = true;
+            console.warn('WebGL context lost');
+        };
+        this.onContextRestored = () => {
+            console.log('WebGL context restored');
+            this.programs.clear();
+            this.setupResources();
+            this.contextLost = false;
+        };
+        canvas.addEventListener('webglcontextlost', this.onContextLost);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+    }
+
+    // Give the GPU context back (browsers allow only a few at a time); the
+    // renderer draws nothing afterwards
+    dispose() {
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        this.contextLost = true;
+        this.programs.clear();
+        const extension = this.gl.getExtension('WEBGL_lose_context');
+        if (extension) extension.loseContext();
+    }
+
+    // Create the quad, textures and the copy program. Throws if shaders fail,
+    // which lets createDistortionRenderer() fall back to the 2D path.
+    setupResources() {
+        const gl = this.gl;
+
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+        this.videoTexture = this.createTexture();
+        this.targets = [this.createTarget(), this.createTarget()];
+        this.targetWidth = 0;
+        this.targetHeight = 0;
+
+        this.copyProgram = this.createProgram(WEBGL_COPY_SHADER);
+
+        // Compile every built-in shader up front so a broken driver is caught here
+        this.registry.list().forEach(effect => {
+            if (effect.shader) this.getProgram(effect);
+        });
+    }
+
+    createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        // Video frames are rarely power-of-two sized, so no mipmaps or repeat
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        return texture;
+    }
+
+    createTarget() {
+        const gl = this.gl;
+        const texture = this.createTexture();
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, framebuffer };
+    }
+
+    compileShader(type, sourceCode) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, sourceCode);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`Shader compilation failed: ${log}`);
+        }
+        return shader;
+    }
+
+    createProgram(fragmentBody) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, WEBGL_VERTEX_SHADER));
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, WEBGL_FRAGMENT_HEADER + fragmentBody));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const uniforms = {};
+        const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const { name } = gl.getActiveUniform(program, i);
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        return { program, uniforms, position: gl.getAttribLocation(program, 'a_position') };
+    }
+
+    // Compile an effect's shader the first time it is used
+    getProgram(effect) {
+        const cached = this.programs.get(effect.name);
+        if (cached && cached.shader === effect.shader) return cached.program;
+
+        const program = this.createProgram(effect.shader);
+        this.programs.set(effect.name, { shader: effect.shader, program });
+        return program;
+    }
+
+    setPreset(preset) {
+        this.preset = preset;
+        console.log(`Distortion preset: ${preset.name} (WebGL)`);
+    }
+
+    getLevel(level) {
+        const levels = Object.keys(this.preset.levels).map(Number).sort((a, b) => a - b);
+        const match = levels.filter(l => l <= level).pop();
+        return match === undefined ? null : this.preset.levels[match];
+    }
+
+    // Size the canvas and framebuffers to the source at the processing resolution
+    resize() {
+        const sourceWidth = this.source.videoWidth || this.source.width;
+        const sourceHeight = this.source.videoHeight || this.source.height;
+        if (!sourceWidth || !sourceHeight) return false;
+
+        const scale = Math.min(1, this.maxWidth / sourceWidth);
+        const width = Math.round(sourceWidth * scale);
+        const height = Math.round(sourceHeight * scale);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        if (this.targetWidth !== width || this.targetHeight !== height) {
+            const gl = this.gl;
+            this.targets.forEach(({ texture }) => {
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            });
+            this.targetWidth = width;
+            this.targetHeight = height;
+        }
+        return true;
+    }
+
+    clear() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        this.isActive = false;
+    }
+
+    // Draw one full-screen pass from inputTexture into framebuffer (null = canvas)
+    drawPass(program, inputTexture, framebuffer, uniforms) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.useProgram(program.program);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(program.position);
+        gl.vertexAttribPointer(program.position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+
+        Object.entries(uniforms).forEach(([name, value]) => {
+            const location = program.uniforms[name];
+            if (!location) return;
+            if (Array.isArray(value) && value.length === 4) {
+                gl.uniform4f(location, value[0], value[1], value[2], value[3]);
+            } else if (Array.isArray(value)) {
+                gl.uniform2f(location, value[0], value[1]);
+            } else if (name === 'u_texture') {
+                gl.uniform1i(location, value);
+            } else {
+                gl.uniform1f(location, value);
+            }
+        });
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // Resolve the shader programs for a chain, skipping effects without one
+    getPasses(chain) {
+        const passes = [];
+        chain.effects.forEach(({ effect, params }) => {
+            const definition = this.registry.get(effect);
+            if (!definition || !definition.shader) {
+                if (!this.warnedEffects.has(effect)) {
+                    console.warn(`Distortion effect "${effect}" has no shader; skipped on the WebGL backend`);
+                    this.warnedEffects.add(effect);
+                }
+                return;
+            }
+
+            try {
+                passes.push({ program: this.getProgram(definition), params });
+            } catch (error) {
+                if (!this.warnedEffects.has(effect)) {
+                    console.error(`Distortion effect "${effect}" shader failed:`, error);
+                    this.warnedEffects.add(effect);
+                }
+            }
+        });
+        return passes;
+    }
+
+    render(t, level, context = {}) {
+        if (this.contextLost) return;
+
+        const chain = this.getLevel(level);
+        if (!chain || chain.effects.length === 0) {
+            if (this.isActive) this.clear();
+            return;
+        }
+
+        if (this.source.readyState !== undefined && this.source.readyState < 2) return;
+        if (!this.resize()) return;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.videoTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.source);
+
+        const passes = this.getPasses(chain);
+        const seed = Math.floor(t / (chain.jitterInterval * this.jitterScale));
+        // Face boxes are top-down; v_uv runs bottom-up
+        const face = (context.faces || [])[0];
+        const base = {
+            u_texture: 0,
+            u_resolution: [this.canvas.width, this.canvas.height],
+            u_time: t / 1000,
+            u_level: level,
+            u_face: face ? [face.x, 1 - face.y - face.height, face.width, face.height] : [0, 0, 0, 0]
+        };
+
+        // Copy the mirrored frame into the first target, or straight to the canvas
+        let input = this.targets[0];
+        this.drawPass(this.copyProgram, this.videoTexture, passes.length ? input.framebuffer : null, {
+            ...base,
+            u_mirror: this.mirrored ? 1 : 0
+        });
+
+        passes.forEach(({ program, params }, index) => {
+            const isLast = index === passes.length - 1;
+            const output = this.targets[(index + 1) % 2];
+            const uniforms = { ...base, u_seed: seed + index * 17 };
+            Object.entries(params).forEach(([key, value]) => {
+                uniforms[`u_${key}`] = value;
+            });
+
+            this.drawPass(program, input.texture, isLast ? null : output.framebuffer, uniforms);
+            input = output;
+        });
+
+        this.isActive = true;
+    }
+}
+
+// Prefer the WebGL backend; fall back to the 2D canvas path when WebGL is
+// missing or its shaders fail. Pass backend: '2d' to force the canvas path.
+function createDistortionRenderer(source, canvas, options = {}) {
+    if (options.backend !== '2d') {
+        try {
+            return new WebGLDistortionRenderer(source, canvas, options);
+        } catch (error) {
+            console.warn('WebGL distortion unavailable, using 2D canvas:', error.message);
+            // A canvas that already holds a WebGL context cannot hand out a 2D one
+            if (canvas.parentNode) {
+                const replacement = canvas.cloneNode(false);
+                canvas.parentNode.replaceChild(replacement, canvas);
+                canvas = replacement;
+            }
+        }
+    }
+    return new DistortionRenderer(source, canvas, options);
+}
+
+export { createDistortionRenderer };